@@ -0,0 +1,115 @@
+/**
+ * Fetch Sample Sets Script
+ * 
+ * Downloads the audio files listed in each sample set manifest so the
+ * sampler instruments work offline, like the vendor and WASM files.
+ * 
+ * Run with: npm run samples:fetch
+ * 
+ * Sample sets live in samples/<instrument>/manifest.json:
+ * {
+ *   "name": "Piano",                      // Label shown in the Instrument dropdown
+ *   "source": "https://example.com/...",  // Base URL to download files from (optional)
+ *   "release": 1,                         // Release time in seconds (optional)
+ *   "notes": { "A4": "A4.mp3", ... }      // Note name → file in the same folder
+ * }
+ * 
+ * Sets without a "source" are skipped (their files are expected to be
+ * copied into the folder by hand). Files already on disk are not re-downloaded.
+ * 
+ * Saves to: samples/<instrument>/ directory
+ */
+
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const utils = require('../src/utils');
+
+// Set up paths
+const root = path.join(__dirname, '..');
+const samplesDir = path.join(root, 'samples');
+
+/**
+ * Download a file from a URL and save to disk
+ * 
+ * @param {string} url - URL to download from (HTTPS)
+ * @param {string} dest - Local file path to save to
+ * @returns {Promise<void>}
+ */
+function fetchToFile(url, dest) {
+  return new Promise((resolve, reject) => {
+    // Create write stream to disk
+    const file = fs.createWriteStream(dest);
+    
+    // Start HTTPS request
+    https.get(url, (res) => {
+      // Check for HTTP errors
+      if (res.statusCode !== 200) {
+        file.close();
+        fs.unlink(dest, () => {});
+        return reject(new Error(`Failed to fetch ${url}: ${res.statusCode}`));
+      }
+      
+      // Pipe response to file
+      res.pipe(file);
+      
+      // Wait for file to finish writing
+      file.on('finish', () => {
+        file.close();
+        resolve();
+      });
+    }).on('error', (err) => {
+      // Clean up incomplete file on error
+      fs.unlink(dest, () => {});
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Main function: Download the files of every sample set that has a source
+ */
+async function main() {
+  if (!fs.existsSync(samplesDir)) {
+    console.error('✗ samples/ not found.');
+    process.exit(1);
+  }
+
+  console.log('Fetching sample sets to samples/ ...\n');
+
+  const sets = fs.readdirSync(samplesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+
+  for (const set of sets) {
+    const manifestPath = path.join(samplesDir, set, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) continue;
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (!manifest.source) {
+      console.log(`- ${set}: no source URL, skipping`);
+      continue;
+    }
+
+    const files = utils.sampleFiles(manifest);
+    let fetched = 0;
+    for (const { file } of files) {
+      const dest = path.join(samplesDir, set, file);
+      if (fs.existsSync(dest)) continue;
+      try {
+        await fetchToFile(manifest.source + file, dest);
+        fetched++;
+        process.stdout.write(`  ${set}: ${fetched} file(s) downloaded\r`);
+      } catch (err) {
+        console.error('\n✗ Error fetching', file, ':', err.message);
+        process.exitCode = 1;
+      }
+    }
+    console.log(`✓ ${set}: ${files.length} file(s) present (${fetched} downloaded)`);
+  }
+
+  console.log('\n✓ Sample sets ready in samples/');
+}
+
+// Run main function if this script is run directly (not imported)
+if (require.main === module) main();
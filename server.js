@@ -23,6 +23,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const config = require('./config');
+const utils = require('./src/utils');
 
 const app = express();
 const root = path.join(__dirname);
@@ -65,6 +66,37 @@ app.use('/vendor', express.static(path.join(root, 'vendor')));    // Vendor JS l
 app.use('/wasm', express.static(path.join(root, 'vendor', 'wasm'))); // MediaPipe WebAssembly modules
 app.use('/dist', express.static(path.join(root, 'dist')));        // Built bundles
 
+/**
+ * Sample Set Index
+ * Lists every samples/<instrument>/ folder whose manifest.json has at
+ * least one playable note, so new sets appear in the Instrument dropdown
+ * without code changes.
+ * 
+ * Response: [{ id: 'piano', name: 'Piano' }, ...]
+ */
+app.get('/samples/index.json', (req, res) => {
+  const samplesDir = path.join(root, 'samples');
+  let folders = [];
+
+  if (fs.existsSync(samplesDir)) {
+    folders = fs.readdirSync(samplesDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map((entry) => {
+        const manifestPath = path.join(samplesDir, entry.name, 'manifest.json');
+        if (!fs.existsSync(manifestPath)) return { id: entry.name, manifest: null };
+        try {
+          return { id: entry.name, manifest: JSON.parse(fs.readFileSync(manifestPath, 'utf8')) };
+        } catch (err) {
+          console.warn(`Skipping sample set "${entry.name}": invalid manifest.json (${err.message})`);
+          return { id: entry.name, manifest: null };
+        }
+      });
+  }
+
+  res.json(utils.buildSampleIndex(folders));
+});
+app.use('/samples', express.static(path.join(root, 'samples')));  // Instrument sample sets (manifest + audio files)
+
 /**
  * Generate a cryptographically secure random nonce
  * @returns {string} Base64-encoded random bytes (nonce)
@@ -7,13 +7,39 @@
  * 1. Hand Tracking: Uses MediaPipe Hands for real-time hand detection
  * 2. Sound Synthesis: Uses Tone.js to generate musical notes
  * 3. Multi-octave Support: Vertical hand position (Z-axis depth) changes octave
- * 4. Dynamic Volume: Horizontal hand position (X-axis) controls volume
+ * 4. Dynamic Volume: Horizontal hand position (X-axis) controls volume (default modulation route)
  * 5. Recording & Playback: Record hand gestures and play them back
  * 6. Visual Effects: Trail particles and note-triggered visual effects
  * 7. Performance Optimization: Adaptive frame skipping when FPS drops
+ * 8. Chord Mode: Number of raised fingers picks single note, power chord, triad or seventh
+ * 9. Scale Engine: Root key, mode and zone count regenerate the note zones live
+ * 10. Theremin Mode: Fingertip Y maps continuously to pitch, with snap and glide
+ * 11. Effects Rack: Filter → chorus → delay → reverb, each with bypass and wet/dry
+ * 12. Sampled Instruments: Multisample sets served locally from /samples/<instrument>/
+ * 13. Sound Design: Editable envelope, partials, detune and portamento with saved presets
+ * 14. Tuning: Reference pitch, just/equal temperaments and Scala (.scl/.kbm) import
+ * 15. Drum Pads: A grid of synthesized drum voices fired by downward fingertip strikes
+ * 16. Arpeggiator: Cycles chord or scale tones of the held zone at a set tempo and pattern
+ * 17. Loop Station: Bar-length loops on several tracks with overdub, mute/solo, clear and undo
+ * 18. Tempo Clock: BPM and time signature, audible/visual metronome, count-in and quantize
+ * 19. Audio Capture: Record the master output to a WAV or WebM file
+ * 20. Audio Export: Render recorded notes offline (faster than real time) to WAV
+ * 21. Master Bus: Compressor/limiter against clipping, with a peak/RMS meter and clip warning
+ * 22. Modulation Matrix: Routes hand features (position, pinch, openness, roll, speed) to sound parameters
+ * 23. Velocity: Fingertip speed entering a zone sets how hard (and optionally how bright) the note starts
+ * 24. Hold & Sustain: Fist latch, sustain pedal (Space) and a grace period before a lost hand releases
+ * 25. Two-Hand Play: The second hand plays its own melody or bass, or controls octave/volume/filter
+ * 26. Gestures: Held poses (thumbs-up, peace, horns...) fire bound actions like record or next scale
+ * 27. Landmark Smoothing: One Euro or moving-average filter on every landmark before mapping
+ * 28. Calibration: Per-player reach, depth range and zone sensitivity, saved as named profiles
+ * 29. Finger Piano: Each fingertip is a key, struck by curling the finger (ten keys with two hands)
+ * 30. Pinch to Play: Thumb-to-index pinch gates notes on and off, optionally setting velocity
+ * 31. Zone Layouts: Bands, left-to-right keys, isomorphic grid or radial zones from one shape definition
+ * 32. Pointer Input: Mouse, touch (two voices) or pen play the canvas, and stand in when the camera fails
  * 
  * Architecture:
  * - Uses utils.js for shared functions (clamp, frequency calc, volume calc, etc.)
+ * - Uses gestures.js to classify and debounce hand poses
  * - Uses Tone.js for audio synthesis
  * - Uses MediaPipe for hand detection and landmark tracking
  * - Uses HTML5 Canvas for visual feedback
@@ -27,18 +53,12 @@
  */
 
 /**
- * NOTES: Musical scale (C4 to B4)
- * Defines the 7 notes that can be played, with frequency and color
+ * NOTES: Playable note zones, top of the canvas first
+ * Each entry is {name, frequency, color, degree, octave}
+ * Regenerated by applyScale() from the selected key, mode and zone count
+ * (default: C major, C4 to B4)
  */
-const NOTES = [
-  { name: 'B', frequency: 493.88, color: '#9b59b6' },  // Purple
-  { name: 'A', frequency: 440.00, color: '#3498db' },  // Blue
-  { name: 'G', frequency: 392.00, color: '#1abc9c' },  // Teal
-  { name: 'F', frequency: 349.23, color: '#2ecc71' },  // Green
-  { name: 'E', frequency: 329.63, color: '#f1c40f' },  // Yellow
-  { name: 'D', frequency: 293.66, color: '#e67e22' },  // Orange
-  { name: 'C', frequency: 261.63, color: '#e74c3c' }   // Red
-];
+let NOTES = [];
 
 /**
  * Application State Object
@@ -54,22 +74,176 @@ const app = {
   camera: null,                             // MediaPipe Camera helper
   
   // Audio
-  synth: null,                              // Tone.js synthesizer
+  synth: null,                              // Tone.js synthesizer (monophonic lead voice)
+  polySynth: null,                          // Tone.js PolySynth voice pool (chord mode)
+  sampler: null,                            // Tone.js Sampler when a sampled instrument is selected
+  instrument: 'synth',                      // 'synth' or a sample set id (folder under /samples/)
+  sampleBuffers: {},                        // Loaded sample sets: id → {urls, release}
+  samplerFrequency: null,                   // Frequency held by the sampler in single-note play
+  soundSettings: utils.normalizeSoundSettings(),  // Synth voice settings (see utils.SOUND_PARAMS)
+  currentPreset: 'factory:Classic',         // Selected preset ('factory:<name>' or 'user:<name>')
+  drumKit: null,                            // Drum voices by pad id (created with the synths)
+  drumBus: null,                            // Tone.Volume shared by the drum voices
+  effects: null,                            // Effect slots by name: {input, effect, mix}
+  effectsInput: null,                       // Entry point of the effects chain (synths connect here)
+  effectSettings: {                         // Survives synth and chain rebuilds
+    filter: { enabled: false, wet: 1.0 },
+    chorus: { enabled: false, wet: 0.5 },
+    delay: { enabled: false, wet: 0.3 },
+    reverb: { enabled: false, wet: 0.4 }
+  },
+  filterCutoff: 2000,                       // Low-pass filter cutoff in Hz
+  masterStage: null,                        // {input, compressor, limiter, output, preWaveform, postWaveform}
+  limiterEnabled: true,                     // Compressor/limiter on the master bus
+  clipCount: 0,                             // Clipping events since Start
+  clipHoldUntil: 0,                         // performance.now() until which the clip light stays on
+  meterFrameId: null,                       // requestAnimationFrame id of the level meter loop
   isRunning: false,                         // Is app actively running
   audioInitialized: false,                  // Has Tone.js been initialized
   baseVolume: 70,                           // Base volume from slider (0-100)
-  dynamicVolumeMultiplier: 1.0,             // Volume multiplier based on X position (0.5-1.5)
+  dynamicVolumeMultiplier: 1.0,             // Volume multiplier set by the modulation matrix (default X → 0.5-1.5)
   
   // Hand Detection & Note Mapping
   handDetected: false,                      // Is a hand currently visible
+  inputSource: 'camera',                    // 'camera' (hand tracking) or 'pointer' (mouse, touch or pen)
+  pointers: [],                             // Pressed pointers in press order {id, x, y, z, displayX, pressure}
+  pointerFrameId: null,                     // requestAnimationFrame id of the pointer input loop
   pointerFinger: null,                      // Index finger landmark {x, y, z}
   currentNote: null,                        // Current note being played {name, frequency, color}
   currentNoteIndex: -1,                     // Index in NOTES array (-1 = none)
+  currentZone: -1,                          // Index in app.zones under the finger (-1 = none)
+  lastNoteChangeX: 0,                       // Display X of last note change (for hysteresis)
   lastNoteChangeY: 0,                       // Y position of last note change (for hysteresis)
+  zoneLayout: 'bands',                      // Zone layout (key of utils.ZONE_LAYOUTS)
+  zones: [],                                // Zone shapes in use (utils.buildZoneLayout)
   isPlaying: false,                         // Is a note currently playing
   
+  // Velocity
+  velocityMode: 'off',                      // 'off', 'amp' (louder) or 'ampBright' (louder and brighter)
+  noteVelocity: 1,                          // Onset velocity of the current zone (0-1)
+  onsetPending: false,                      // Next soundCurrentNote() strikes the note at noteVelocity
+  
+  // Hold & Sustain
+  latchEnabled: false,                      // A closed fist freezes the sounding note
+  latched: false,                           // Is a note frozen by the fist right now
+  sustainPedal: false,                      // Is the sustain key (Space) or button held down
+  pedalNotes: [],                           // Zone notes left ringing on the voice pool by the pedal (Hz)
+  pedalLead: false,                         // The lead voice is still ringing a note left under the pedal
+  pedalChord: null,                         // Frequencies the hand is playing under the pedal (null = none)
+  releaseGraceMs: 0,                        // How long a lost hand keeps its note before release
+  handLostAt: 0,                            // performance.now() when the hand left view (0 = in view)
+  
   // Multi-octave Support
   currentOctaveShift: 0,                    // Current octave shift (-2 to +2)
+  octaveTranspose: 0,                       // Octaves added on top by gesture actions
+  
+  // Scale Engine
+  scaleRoot: 0,                             // Root key pitch class (0 = C ... 11 = B)
+  scaleMode: 'major',                       // Key of utils.SCALE_INTERVALS or 'custom'
+  customIntervals: [0, 2, 4, 5, 7, 9, 11],  // Semitone offsets used when scaleMode is 'custom'
+  zoneCount: 'auto',                        // Number of zones, or 'auto' for one octave of the scale
+  scaleFrequencies: [],                     // One octave of the scale, ascending (for chords)
+  
+  // Tuning
+  referencePitch: 440,                      // Frequency of A4 in Hz
+  temperament: 'equal12',                   // Key of TEMPERAMENTS or 'scala'
+  scalaTuning: null,                        // Tuning parsed from an imported .scl file
+  keyboardMap: null,                        // Parsed .kbm file; when set it decides the zones
+  tuning: utils.equalTemperament(12),       // Active tuning {name, cents, period}
+  
+  // Play Mode
+  playMode: 'zones',                        // 'zones' (quantized), 'theremin' (continuous pitch) or 'drums'
+  snapStrength: 0.5,                        // Theremin pull toward the nearest scale tone (0-1)
+  glideTime: 0.05,                          // Theremin portamento in seconds
+  thereminFrequency: 0,                     // Current continuous pitch in Hz (octave shift applied)
+  
+  // Drum Pads
+  strikeState: null,                        // Last utils.detectStrike() result (null when no hand)
+  lastHitVelocity: 0,                       // Strength of the latest pad hit (0-1), for recording
+  padFlashes: [],                           // Per-pad highlight that fades after a hit (0-1)
+  
+  // Tempo Clock (Tone.Transport is shared by the metronome, arpeggiator and loop station)
+  tempo: 120,                               // Quarter notes per minute
+  beatsPerBar: 4,                           // Time signature numerator
+  beatUnit: 4,                              // Time signature denominator (4 = quarter-note beats)
+  metronomeOn: false,                       // Click on every beat
+  metronomeSynth: null,                     // Tone.Synth playing the clicks
+  metronomeLoop: null,                      // Tone.Loop firing once per beat
+  countInBars: 0,                           // Bars of clicks before recording or overdubbing starts
+  countingIn: false,                        // Is a count-in running
+  quantize: 'off',                          // 'off' or a key of utils.GRID_BEATS
+  pendingNote: null,                        // Zone change waiting for the next grid line {zone, point, velocity}
+  pendingNoteTimer: null,                   // Timer that applies pendingNote
+  
+  // Arpeggiator
+  arpSource: 'off',                         // 'off', 'chord' (chord tones) or 'scale' (scale run from the zone)
+  arpPattern: 'up',                         // One of utils.ARP_PATTERNS
+  arpRate: '8n',                            // Step length as a Tone.js time ('4n', '8n', '8t', '16n')
+  arpOctaves: 1,                            // Octave span of the pattern
+  arpGate: 0.5,                             // Fraction of each step the note sounds (0.1-0.95)
+  arpLoop: null,                            // Tone.Loop stepping the pattern (null when stopped)
+  arpTones: [],                             // Tones built from the current zone
+  arpStepIndex: 0,                          // Steps played since the arpeggio started
+  arpFrequency: null,                       // Frequency of the step now sounding
+  arpGateTimer: null,                       // Timer that schedules the current step's release
+  
+  // Loop Station
+  loopBars: 2,                              // Loop length in bars (4/4)
+  loopTracks: [],                           // {name, waveform, layers: [[event]], muted, soloed, synth, part}
+  armedTrack: 0,                            // Track that overdubs record into
+  loopPlaying: false,                       // Are the loops running on the transport
+  loopOverdub: false,                       // Is live playing being captured into the armed track
+  loopLayer: null,                          // Events captured in the current overdub pass
+  loopOpenEvent: null,                      // Note started but not yet released {tick, frequencies, velocity}
+  loopUndoStack: [],                        // Track index of each overdub pass, newest last
+  loopBus: null,                            // Tone.Volume shared by the loop tracks
+  
+  // Two-Hand Play
+  handMode: 'single',                       // 'single', 'dualMelody', 'modifiers' or 'bass'
+  melodySide: 'right',                      // Performer's hand that plays the main melody ('right' or 'left')
+  secondSynth: null,                        // Tone.Synth played by the second hand (melody or bass)
+  secondHand: null,                         // Second voice state {zone, anchor, frequency} (null = silent)
+  secondHandFeatures: null,                 // utils.extractHandFeatures() of the modifier hand
+  modifierHandActive: false,                // Is a modifier hand overriding octave, volume and filter
+  
+  // Calibration
+  calibration: utils.normalizeCalibration(),  // Active profile's values (fields of utils.CALIBRATION_DEFAULTS)
+  calibrationProfile: '',                   // Name of the active profile ('' = built-in default)
+  calibrationRun: null,                     // Wizard in progress {step, startedAt, samples} (null = not calibrating)
+  
+  // Landmark Smoothing
+  smoothing: {                              // Options for utils.smoothLandmarks()
+    method: 'off',                          // 'off', 'ema' or 'oneEuro'
+    minCutoff: utils.SMOOTHING_DEFAULTS.minCutoff,
+    beta: utils.SMOOTHING_DEFAULTS.beta
+  },
+  smoothingState: { melody: null, other: null },  // Filter state per hand role (null = start fresh)
+  showSmoothingDebug: false,                // Draw raw vs filtered landmarks
+  
+  // Gestures
+  gestureHand: 'off',                       // Hand whose poses fire actions: 'off', 'melody' or 'other'
+  poseBindings: {},                         // Pose (key of gestures.POSES) → key of GESTURE_ACTIONS
+  poseTracker: null,                        // gestures.trackPose() state (null = start fresh)
+  
+  // Modulation Matrix
+  modRoutes: [],                            // Normalized routes {feature, target, min, max, curve, invert}
+  modStage: null,                           // {brightness, vibrato, panner} between the live voices and the effects
+  modValues: {},                            // Last value sent to each target this hand (skips repeats)
+  handFeatures: null,                       // Latest utils.extractHandFeatures() result (null when no hand)
+  
+  // Pinch to Play
+  articulation: 'continuous',               // 'continuous' (hand in view = note on) or 'pinch'
+  pinchVelocity: false,                     // Set onset velocity from the pinch stroke
+  pinchState: null,                         // utils.pinchGate() result (null = no hand yet)
+  
+  // Finger Piano
+  fingerPressed: { melody: [], other: [] }, // Keys down per hand role (utils.fingerKeyPresses(), with hysteresis)
+  fingerHeld: {},                           // Key number → frequency of every sounding finger key
+  
+  // Chord Mode
+  chordMode: false,                         // Play chords picked by finger count instead of single notes
+  currentChordType: 'single',               // 'single', 'power', 'triad' or 'seventh'
+  activeChordFrequencies: [],               // Frequencies currently held on the PolySynth
   
   // Performance Optimization
   frameCount: 0,                            // Frame counter for adaptive skipping
@@ -81,21 +255,193 @@ const app = {
   
   // Recording System
   isRecording: false,                       // Is recording in progress
-  recordedNotes: [],                        // Array of {timestamp, noteIndex, octaveShift, frequency}
+  recordedNotes: [],                        // Array of {timestamp, noteIndex, octaveShift, octaveTranspose, frequency, velocity} (+ drum for pad hits)
   recordingStartTime: 0,                    // Timestamp when recording started
   isPlayingRecording: false,                // Is playback in progress
   selectedNoteIndices: new Set(),           // Track which recorded notes to play
   
+  // Audio Capture (separate from the note recorder: keeps the actual sound)
+  audioRecorder: null,                      // Tone.Recorder tapping the master output while capturing
+  captureFormat: 'wav',                     // 'wav' or 'webm'
+  captureStartTime: 0,                      // performance.now() when capture started
+  captureTimer: null,                       // Interval updating the elapsed time on the button
+  
   // Visual Effects
   trailPoints: [],                          // Finger trail: array of {x, y, life}
   particles: []                             // Visual particles: array of {x, y, vx, vy, life, color}
 };
 
 // Constants
-const NOTE_CHANGE_THRESHOLD = 20;          // Pixels; ignore small hand movements
 const INDEX_FINGER_TIP = 8;                // MediaPipe landmark index for index finger tip
 const FPS_THRESHOLD = 20;                  // If FPS < this, enable frame skipping
-const MIN_NOTE_CHANGE_INTERVAL = 100;      // Milliseconds between note changes (max 10/sec)
+const MAX_CHORD_VOICES = 8;                // PolySynth voice limit (seventh chord + release tails)
+const EFFECT_NAMES = ['filter', 'chorus', 'delay', 'reverb'];  // Effects chain order
+const SAMPLER_RETRIGGER_CENTS = 50;        // Samples can't glide: restrike once pitch moves this far
+const USER_PRESETS_KEY = 'handInstrument.soundPresets';  // localStorage key for saved presets
+const LOOP_TRACK_COUNT = 4;                // Tracks in the loop station
+const EXPORT_LAST_NOTE_SECONDS = 0.5;      // Final exported note length (matches live playback)
+const EXPORT_TAIL_SECONDS = 3;             // Extra render time for release, delay and reverb tails
+const LIMITER_THRESHOLD_DB = -1;           // Master limiter ceiling
+const CLIP_HOLD_MS = 1500;                 // How long the clip light stays on after a clip
+const MOD_MATRIX_KEY = 'handInstrument.modMatrix';  // localStorage key for the modulation routes
+const MOD_RAMP_SECONDS = 0.05;             // Smooths modulated parameters between video frames
+const VIBRATO_RATE = 5;                    // Vibrato rate in Hz when no route drives it
+const BRIGHTNESS_OPEN_HZ = 20000;          // Velocity brightness filter cutoff when not in use
+const BASS_PERIODS_DOWN = 2;               // Bass hand plays the zones this many octaves (periods) lower
+const BASS_VOICE_OPTIONS = {               // Bass hand timbre (ignores the sound design settings)
+  oscillator: { type: 'triangle' },
+  envelope: { attack: 0.02, decay: 0.3, sustain: 0.8, release: 0.5 }
+};
+const HAND_COLORS = {                      // Skeleton colour of each hand role
+  melody: 'rgba(255, 255, 255, 0.5)',
+  dualMelody: 'rgba(78, 205, 196, 0.9)',
+  modifiers: 'rgba(243, 156, 18, 0.9)',
+  bass: 'rgba(155, 89, 182, 0.9)'
+};
+const MODIFIER_TARGETS = ['volume', 'filterCutoff'];  // Modulation targets a modifier hand takes over
+const CALIBRATION_KEY = 'handInstrument.calibration';  // localStorage key for the calibration profiles
+const CALIBRATION_SETTLE_SECONDS = 1;      // Time to get into position before a wizard step records
+const CALIBRATION_STEPS = [                // Wizard steps, in order
+  { id: 'area', seconds: 6, text: 'Sweep your index fingertip around the edge of the area you can comfortably reach' },
+  { id: 'near', seconds: 3, text: 'Hold your hand as close to the camera as is comfortable' },
+  { id: 'far', seconds: 3, text: 'Now hold it as far back as is comfortable' },
+  { id: 'still', seconds: 3, text: 'Hold your hand still in the middle of the frame' }
+];
+const POSE_BINDINGS_KEY = 'handInstrument.poseBindings';  // localStorage key for the pose → action bindings
+const OCTAVE_TRANSPOSE_LIMIT = 2;          // Gesture octave actions stay within ± this
+const GESTURE_ACTIONS = {                  // What a recognized pose can do
+  none: { label: 'No action', run: () => {} },
+  toggleRecording: { label: 'Start/stop recording', run: () => toggleRecording() },
+  nextWaveform: { label: 'Next waveform', run: () => cycleSelect('waveformSelect') },
+  nextScale: { label: 'Next scale', run: () => cycleSelect('scaleModeSelect', 'custom') },
+  toggleFilter: { label: 'Filter on/off', run: () => toggleEffect('filter') },
+  toggleChorus: { label: 'Chorus on/off', run: () => toggleEffect('chorus') },
+  toggleDelay: { label: 'Delay on/off', run: () => toggleEffect('delay') },
+  toggleReverb: { label: 'Reverb on/off', run: () => toggleEffect('reverb') },
+  octaveUp: { label: 'Octave up', run: () => transposeOctave(1) },
+  octaveDown: { label: 'Octave down', run: () => transposeOctave(-1) }
+};
+const DEFAULT_POSE_BINDINGS = {            // Poses that are rarely made while playing
+  thumbsUp: 'toggleRecording',
+  peace: 'nextWaveform',
+  rockHorns: 'nextScale'
+};
+const DEFAULT_MOD_ROUTES = [               // X → volume, as the instrument has always played
+  { feature: 'x', target: 'volume', min: 0.5, max: 1.5, curve: 'linear', invert: false }
+];
+
+/**
+ * Drum Pads, left to right then top to bottom
+ * Each voice is built by createVoice() and played by hit(voice, time, velocity)
+ */
+const DRUM_GRID = { columns: 4, rows: 2 };
+const POINTER_CANVAS = { width: 1280, height: 720 };  // Canvas size with pointer input (the camera's ideal size)
+const DRUM_PADS = [
+  {
+    id: 'kick', name: 'Kick', color: '#e74c3c',
+    createVoice: () => new Tone.MembraneSynth({
+      pitchDecay: 0.05, octaves: 6,
+      envelope: { attack: 0.001, decay: 0.4, sustain: 0, release: 0.2 }
+    }),
+    hit: (voice, time, velocity) => voice.triggerAttackRelease('C1', '8n', time, velocity)
+  },
+  {
+    id: 'snare', name: 'Snare', color: '#f39c12',
+    createVoice: () => new Tone.NoiseSynth({
+      noise: { type: 'white' },
+      envelope: { attack: 0.001, decay: 0.18, sustain: 0 }
+    }),
+    hit: (voice, time, velocity) => voice.triggerAttackRelease('16n', time, velocity)
+  },
+  {
+    id: 'clap', name: 'Clap', color: '#f1c40f',
+    createVoice: () => new Tone.NoiseSynth({
+      noise: { type: 'pink' },
+      envelope: { attack: 0.005, decay: 0.1, sustain: 0 }
+    }),
+    hit: (voice, time, velocity) => voice.triggerAttackRelease('32n', time, velocity)
+  },
+  {
+    id: 'closedHat', name: 'Closed Hat', color: '#2ecc71',
+    createVoice: () => new Tone.MetalSynth({
+      harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5,
+      envelope: { attack: 0.001, decay: 0.05, release: 0.01 }
+    }),
+    hit: (voice, time, velocity) => voice.triggerAttackRelease(200, '32n', time, velocity * 0.5)
+  },
+  {
+    id: 'lowTom', name: 'Low Tom', color: '#3498db',
+    createVoice: () => new Tone.MembraneSynth({
+      pitchDecay: 0.08, octaves: 3,
+      envelope: { attack: 0.001, decay: 0.5, sustain: 0, release: 0.2 }
+    }),
+    hit: (voice, time, velocity) => voice.triggerAttackRelease('G2', '8n', time, velocity)
+  },
+  {
+    id: 'midTom', name: 'Mid Tom', color: '#9b59b6',
+    createVoice: () => new Tone.MembraneSynth({
+      pitchDecay: 0.08, octaves: 3,
+      envelope: { attack: 0.001, decay: 0.4, sustain: 0, release: 0.2 }
+    }),
+    hit: (voice, time, velocity) => voice.triggerAttackRelease('C3', '8n', time, velocity)
+  },
+  {
+    id: 'highTom', name: 'High Tom', color: '#e84393',
+    createVoice: () => new Tone.MembraneSynth({
+      pitchDecay: 0.08, octaves: 3,
+      envelope: { attack: 0.001, decay: 0.3, sustain: 0, release: 0.2 }
+    }),
+    hit: (voice, time, velocity) => voice.triggerAttackRelease('F3', '8n', time, velocity)
+  },
+  {
+    id: 'openHat', name: 'Open Hat', color: '#1abc9c',
+    createVoice: () => new Tone.MetalSynth({
+      harmonicity: 5.1, modulationIndex: 32, resonance: 4000, octaves: 1.5,
+      envelope: { attack: 0.001, decay: 0.4, release: 0.2 }
+    }),
+    hit: (voice, time, velocity) => voice.triggerAttackRelease(200, '8n', time, velocity * 0.5)
+  }
+];
+
+/**
+ * Built-in Temperaments (Scala imports are added as 'scala')
+ * 12-step tunings work with the scale modes; the others play every step
+ */
+const TEMPERAMENTS = {
+  equal12: () => utils.equalTemperament(12),
+  just: () => utils.tuningFromRatios('Just intonation (5-limit)', utils.JUST_INTONATION_RATIOS),
+  pythagorean: () => utils.tuningFromRatios('Pythagorean', utils.PYTHAGOREAN_RATIOS),
+  equal19: () => utils.equalTemperament(19),
+  equal24: () => utils.equalTemperament(24),
+  equal31: () => utils.equalTemperament(31)
+};
+
+/**
+ * Factory Sound Presets
+ * Values are in seconds (attack, decay, release, portamento), 0-1 (sustain),
+ * harmonics (partials, 0 = full waveform) and cents (detune)
+ */
+const FACTORY_PRESETS = {
+  'Classic': { waveform: 'sine', attack: 0.05, decay: 0.1, sustain: 0.7, release: 0.3, partials: 0, detune: 0, portamento: 0 },
+  'Soft Pad': { waveform: 'triangle', attack: 0.6, decay: 0.4, sustain: 0.8, release: 2.0, partials: 0, detune: 0, portamento: 0.08 },
+  'Pluck': { waveform: 'sawtooth', attack: 0.005, decay: 0.25, sustain: 0.1, release: 0.4, partials: 8, detune: 0, portamento: 0 },
+  'Chiptune Lead': { waveform: 'square', attack: 0.01, decay: 0.1, sustain: 0.6, release: 0.15, partials: 0, detune: 0, portamento: 0.05 },
+  'Warm Organ': { waveform: 'sawtooth', attack: 0.02, decay: 0.2, sustain: 0.9, release: 0.2, partials: 4, detune: -5, portamento: 0 }
+};
+
+/**
+ * Sound Design Sliders
+ * scale converts the setting to the slider value (e.g. seconds → ms)
+ */
+const SOUND_CONTROLS = [
+  { key: 'attack', id: 'attackSlider', scale: 1000, unit: 'ms' },
+  { key: 'decay', id: 'decaySlider', scale: 1000, unit: 'ms' },
+  { key: 'sustain', id: 'sustainSlider', scale: 100, unit: '%' },
+  { key: 'release', id: 'releaseSlider', scale: 1000, unit: 'ms' },
+  { key: 'partials', id: 'partialsSlider', scale: 1, unit: '' },
+  { key: 'detune', id: 'detuneSlider', scale: 1, unit: '¢' },
+  { key: 'portamento', id: 'portamentoSlider', scale: 1000, unit: 'ms' }
+];
 
 /**
  * Initialize the Application
@@ -104,7 +450,14 @@ const MIN_NOTE_CHANGE_INTERVAL = 100;      // Milliseconds between note changes
  * - Start/Stop buttons
  * - Volume control slider
  * - Recording controls (record, playback, clear, select/deselect)
+ * - Instrument selection dropdown (synth or sample sets)
  * - Waveform selection dropdown
+ * - Chord mode selection dropdown
+ * - Scale controls (key, mode, custom intervals, zone count)
+ * - Tuning controls (reference pitch, temperament, Scala file import)
+ * - Play mode (zones/theremin) with snap strength and glide sliders
+ * - Effects rack (bypass + wet/dry per effect, filter cutoff)
+ * - Sound design panel (envelope/oscillator sliders, presets)
  * 
  * Called once when the page loads (see end of file: window.addEventListener('DOMContentLoaded', init))
  */
@@ -117,6 +470,12 @@ function init() {
   // Start/Stop buttons
   document.getElementById('startBtn').addEventListener('click', startSystem);
   document.getElementById('stopBtn').addEventListener('click', stopSystem);
+  document.getElementById('inputSourceSelect').addEventListener('change', (e) => {
+    app.inputSource = e.target.value;
+  });
+  ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach((type) => {
+    app.canvas.addEventListener(type, handlePointerEvent);
+  });
   
   /**
    * Volume Control Slider
@@ -145,59 +504,570 @@ function init() {
   document.getElementById('selectAllBtn').addEventListener('click', selectAllNotes);
   document.getElementById('deselectAllBtn').addEventListener('click', deselectAllNotes);
   document.getElementById('playSelectedBtn').addEventListener('click', playSelectedNotes);
+  document.getElementById('exportAllBtn').addEventListener('click', () => {
+    exportRecordingAudio(app.recordedNotes.map((_, i) => i));
+  });
+  document.getElementById('exportSelectedBtn').addEventListener('click', () => {
+    exportRecordingAudio(Array.from(app.selectedNoteIndices).sort((a, b) => a - b));
+  });
+
+  /**
+   * Audio Capture Controls
+   * WebM is only offered where MediaRecorder can encode Opus
+   */
+  document.getElementById('captureBtn').addEventListener('click', toggleAudioCapture);
+  document.getElementById('captureFormatSelect').addEventListener('change', (e) => {
+    app.captureFormat = e.target.value;
+  });
+  const webmSupported = typeof MediaRecorder !== 'undefined' &&
+    MediaRecorder.isTypeSupported('audio/webm;codecs=opus');
+  document.getElementById('webmOption').disabled = !webmSupported;
 
   /**
    * Waveform Selection Dropdown
    * Allows switching between sine, triangle, sawtooth, square waves
    * 
-   * Creates a new Tone.js Synth with the selected waveform
-   * Maintains current playing state (note + frequency)
+   * Recreates the lead synth and chord voice pool with the selected waveform
+   * Maintains current playing state (note/chord + frequency)
    */
   document.getElementById('waveformSelect').addEventListener('change', (e) => {
-    if (app.synth && app.audioInitialized) {
-      // Store if we were playing and what frequency
-      const wasPlaying = app.isPlaying;
-      const currentFreq = wasPlaying ? app.synth.frequency.value : null;
-      
-      // Stop current note if playing
-      if (wasPlaying) {
-        stopNote();
-      }
-      
-      // Dispose old synth (release resources)
-      app.synth.dispose();
-      
-      // Create new synth with selected waveform
-      app.synth = new Tone.Synth({
-        oscillator: {
-          type: e.target.value  // 'sine', 'triangle', 'sawtooth', 'square'
-        },
-        envelope: {
-          attack: 0.05,   // 50ms fade-in
-          decay: 0.1,     // 100ms decay to sustain
-          sustain: 0.7,   // Hold at 70% volume
-          release: 0.3    // 300ms fade-out
-        }
-      }).toDestination();
-      
-      // Restore volume based on slider
+    app.soundSettings.waveform = e.target.value;
+    rebuildSynths();
+  });
+
+  /**
+   * Sound Design Panel
+   * Sliders edit the live voices in place; presets rebuild them
+   */
+  SOUND_CONTROLS.forEach((control) => {
+    document.getElementById(control.id).addEventListener('input', (e) => {
+      app.soundSettings[control.key] = parseFloat(e.target.value) / control.scale;
+      updateSoundControlLabel(control);
+      applySoundSettings();
+    });
+  });
+  document.getElementById('presetSelect').addEventListener('change', (e) => {
+    loadPreset(e.target.value);
+  });
+  document.getElementById('savePresetBtn').addEventListener('click', savePreset);
+  document.getElementById('renamePresetBtn').addEventListener('click', renamePreset);
+  document.getElementById('deletePresetBtn').addEventListener('click', deletePreset);
+  document.getElementById('velocitySelect').addEventListener('change', (e) => {
+    app.velocityMode = e.target.value;
+    applyVelocityBrightness(1);  // Open the filter until the next onset
+  });
+  updatePresetList();
+  syncSoundControls();
+
+  /**
+   * Instrument Dropdown
+   * 'synth' uses the waveform below; other options are sample sets
+   * listed by the server from /samples/index.json
+   */
+  const instrumentSelect = document.getElementById('instrumentSelect');
+  instrumentSelect.addEventListener('change', async (e) => {
+    instrumentSelect.disabled = true;
+    await selectInstrument(e.target.value);
+    instrumentSelect.disabled = false;
+  });
+  loadSampleSetList();
+
+  /**
+   * Calibration Controls
+   * The wizard runs on the live camera; the profile list is built by
+   * updateCalibrationProfileList()
+   */
+  document.getElementById('calibrationSelect').addEventListener('change', (e) => {
+    selectCalibrationProfile(e.target.value);
+  });
+  document.getElementById('calibrateBtn').addEventListener('click', () => {
+    if (app.calibrationRun) {
+      endCalibration('Calibration cancelled');
+    } else {
+      startCalibration();
+    }
+  });
+  document.getElementById('deleteCalibrationBtn').addEventListener('click', deleteCalibrationProfile);
+  selectCalibrationProfile(loadCalibrationProfiles().active);
+
+  /**
+   * Tracking Controls
+   * Changing the filter starts it fresh, so the hand doesn't glide
+   * from where the old one left it
+   */
+  document.getElementById('smoothingSelect').addEventListener('change', (e) => {
+    app.smoothing.method = e.target.value;
+    app.smoothingState = { melody: null, other: null };
+    document.getElementById('smoothingBetaRow').style.display = app.smoothing.method === 'oneEuro' ? 'flex' : 'none';
+  });
+  document.getElementById('smoothingCutoffSlider').addEventListener('input', (e) => {
+    app.smoothing.minCutoff = parseInt(e.target.value) / 10;
+    document.getElementById('smoothingCutoffValue').textContent = app.smoothing.minCutoff.toFixed(1) + ' Hz';
+  });
+  document.getElementById('smoothingBetaSlider').addEventListener('input', (e) => {
+    app.smoothing.beta = parseInt(e.target.value);
+    document.getElementById('smoothingBetaValue').textContent = e.target.value;
+  });
+  document.getElementById('smoothingDebug').addEventListener('change', (e) => {
+    app.showSmoothingDebug = e.target.checked;
+  });
+
+  /**
+   * Hold & Sustain Controls
+   * Space works as a sustain pedal anywhere except while typing; the
+   * button does the same for touch screens. preventDefault also stops
+   * Space from clicking the focused button.
+   */
+  document.getElementById('latchEnabled').addEventListener('change', (e) => {
+    app.latchEnabled = e.target.checked;
+  });
+  document.getElementById('releaseGraceSlider').addEventListener('input', (e) => {
+    app.releaseGraceMs = parseInt(e.target.value);
+    document.getElementById('releaseGraceValue').textContent = app.releaseGraceMs > 0 ? app.releaseGraceMs + 'ms' : 'Off';
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.code !== 'Space' || isTypingTarget(e)) return;
+    e.preventDefault();
+    if (!e.repeat) setSustainPedal(true);
+  });
+  document.addEventListener('keyup', (e) => {
+    if (e.code !== 'Space' || isTypingTarget(e)) return;
+    e.preventDefault();
+    setSustainPedal(false);
+  });
+  const sustainBtn = document.getElementById('sustainBtn');
+  sustainBtn.addEventListener('pointerdown', () => setSustainPedal(true));
+  ['pointerup', 'pointerleave', 'pointercancel'].forEach((type) => {
+    sustainBtn.addEventListener(type, () => {
+      if (app.sustainPedal) setSustainPedal(false);
+    });
+  });
+  window.addEventListener('blur', () => setSustainPedal(false));  // Don't stick if focus leaves mid-press
+
+  /**
+   * Two-Hand Controls
+   * One hand keeps the single-hand behaviour; the other modes track a
+   * second hand and give it a role
+   */
+  document.getElementById('handModeSelect').addEventListener('change', (e) => {
+    releaseSecondHand();
+    app.handMode = e.target.value;
+    document.getElementById('melodyHandRow').style.display = app.handMode === 'single' ? 'none' : 'flex';
+    if (app.hands) {
+      app.hands.setOptions({ maxNumHands: app.handMode === 'single' ? 1 : 2 });
+    }
+    if (app.audioInitialized) {
+      createSecondVoice();
       updateVolume();
-      
-      // Resume playing if we were playing
-      if (wasPlaying && currentFreq) {
-        app.synth.triggerAttack(currentFreq);
-        app.isPlaying = true;
-        document.getElementById('soundIndicator').classList.add('playing');
-        document.getElementById('soundStatus').textContent = 'On';
-        document.getElementById('noteDisplay').classList.add('playing');
-      }
     }
   });
+  document.getElementById('melodyHandSelect').addEventListener('change', (e) => {
+    releaseSecondHand();
+    app.melodySide = e.target.value;
+  });
+
+  /**
+   * Chord Mode Dropdown
+   * - off: one note per zone (monophonic lead synth)
+   * - fingers: raised finger count picks the chord built on the current zone
+   */
+  document.getElementById('chordModeSelect').addEventListener('change', (e) => {
+    stopNote();
+    app.chordMode = e.target.value === 'fingers';
+    app.currentChordType = 'single';
+    document.getElementById('chordStatus').textContent = app.chordMode ? 'Single' : 'Off';
+  });
+
+  /**
+   * Scale Controls
+   * Key, mode and zone count rebuild NOTES immediately, even while playing
+   */
+  document.getElementById('scaleRootSelect').addEventListener('change', (e) => {
+    app.scaleRoot = parseInt(e.target.value);
+    applyScale();
+  });
+  document.getElementById('scaleModeSelect').addEventListener('change', (e) => {
+    app.scaleMode = e.target.value;
+    document.getElementById('customScaleRow').style.display = app.scaleMode === 'custom' ? 'flex' : 'none';
+    applyScale();
+  });
+  document.getElementById('customIntervalsInput').addEventListener('change', (e) => {
+    try {
+      app.customIntervals = utils.parseIntervalList(e.target.value);
+      hideError();
+      applyScale();
+    } catch (error) {
+      showError(error.message);
+    }
+  });
+  document.getElementById('zoneCountSelect').addEventListener('change', (e) => {
+    app.zoneCount = e.target.value === 'auto' ? 'auto' : parseInt(e.target.value);
+    applyScale();
+  });
+
+  /**
+   * Play Mode Controls
+   * - zones: fingertip Y picks a discrete note zone
+   * - theremin: fingertip Y slides continuously between zone pitches
+   * - drums: the canvas becomes a grid of pads hit by downward strikes
+   */
+  document.getElementById('playModeSelect').addEventListener('change', (e) => {
+    stopArpeggiator();
+    cancelPendingNote();
+    stopNote();
+    app.playMode = e.target.value;
+    app.currentNote = null;
+    app.currentNoteIndex = -1;
+    app.strikeState = null;
+    app.fingerPressed = { melody: [], other: [] };
+    if (app.playMode === 'fingers') {
+      setOctaveShift(0);  // Depth doesn't shift finger keys
+    }
+    resetModulation();  // Routes on the axes that pick notes are skipped (see noteAxes)
+    rebuildZones();     // Theremin mode always slides along bands
+    document.getElementById('thereminControls').style.display = app.playMode === 'theremin' ? 'block' : 'none';
+    document.getElementById('zoneLayoutRow').style.display = app.playMode === 'zones' ? 'flex' : 'none';
+  });
+  document.getElementById('zoneLayoutSelect').addEventListener('change', (e) => {
+    stopArpeggiator();
+    cancelPendingNote();
+    stopNote();
+    app.zoneLayout = e.target.value;
+    app.currentNote = null;
+    app.currentNoteIndex = -1;
+    resetModulation();
+    rebuildZones();
+  });
+  document.getElementById('articulationSelect').addEventListener('change', (e) => {
+    stopArpeggiator();
+    cancelPendingNote();
+    stopNote();
+    app.articulation = e.target.value;
+    app.pinchState = null;
+    document.getElementById('pinchVelocityRow').style.display = app.articulation === 'pinch' ? 'flex' : 'none';
+  });
+  document.getElementById('pinchVelocity').addEventListener('change', (e) => {
+    app.pinchVelocity = e.target.checked;
+  });
+  document.getElementById('snapSlider').addEventListener('input', (e) => {
+    app.snapStrength = parseInt(e.target.value) / 100;
+    document.getElementById('snapValue').textContent = e.target.value + '%';
+  });
+  document.getElementById('glideSlider').addEventListener('input', (e) => {
+    app.glideTime = parseInt(e.target.value) / 1000;
+    document.getElementById('glideValue').textContent = e.target.value + 'ms';
+  });
+
+  /**
+   * Effects Rack Controls
+   * Each effect has an on/off checkbox (bypass) and a wet/dry slider
+   */
+  EFFECT_NAMES.forEach((name) => {
+    document.getElementById(name + 'Enabled').addEventListener('change', (e) => {
+      setEffectEnabled(name, e.target.checked);
+    });
+    document.getElementById(name + 'Wet').addEventListener('input', (e) => {
+      setEffectWet(name, parseInt(e.target.value) / 100);
+      document.getElementById(name + 'WetValue').textContent = e.target.value + '%';
+    });
+  });
+  document.getElementById('limiterEnabled').addEventListener('change', (e) => {
+    app.limiterEnabled = e.target.checked;
+    connectMasterStage();
+  });
+  document.getElementById('filterCutoffSlider').addEventListener('input', (e) => {
+    setFilterCutoff(utils.sliderToCutoff(parseInt(e.target.value)));
+  });
+
+  /**
+   * Tuning Controls
+   * Reference pitch and temperament apply immediately; importing a .scl
+   * file selects it, and a .kbm file maps the zones until it is cleared
+   */
+  document.getElementById('referencePitchSelect').addEventListener('change', (e) => {
+    app.referencePitch = parseFloat(e.target.value);
+    applyScale();
+  });
+  document.getElementById('temperamentSelect').addEventListener('change', (e) => {
+    app.temperament = e.target.value;
+    applyScale();
+  });
+  document.getElementById('sclFileInput').addEventListener('change', (e) => {
+    importTuningFile(e.target, 'scl');
+  });
+  document.getElementById('kbmFileInput').addEventListener('change', (e) => {
+    importTuningFile(e.target, 'kbm');
+  });
+  document.getElementById('clearKbmBtn').addEventListener('click', () => {
+    app.keyboardMap = null;
+    document.getElementById('kbmFileInput').value = '';
+    applyScale();
+  });
+
+  /**
+   * Arpeggiator Controls
+   * Source 'off' disables it; the rest apply to the running pattern
+   */
+  document.getElementById('arpSourceSelect').addEventListener('change', (e) => {
+    app.arpSource = e.target.value;
+    if (app.arpSource === 'off') {
+      stopArpeggiator();
+    }
+  });
+  document.getElementById('arpPatternSelect').addEventListener('change', (e) => {
+    app.arpPattern = e.target.value;
+  });
+  document.getElementById('arpRateSelect').addEventListener('change', (e) => {
+    app.arpRate = e.target.value;
+    if (app.arpLoop) {
+      app.arpLoop.interval = app.arpRate;
+    }
+  });
+  document.getElementById('arpOctavesSelect').addEventListener('change', (e) => {
+    app.arpOctaves = parseInt(e.target.value);
+  });
+  document.getElementById('arpGateSlider').addEventListener('input', (e) => {
+    app.arpGate = parseInt(e.target.value) / 100;
+    document.getElementById('arpGateValue').textContent = e.target.value + '%';
+  });
+
+  /**
+   * Tempo Clock Controls
+   * Tempo drives the metronome, arpeggiator and loops; loops follow tempo
+   * changes because their events are stored in transport ticks
+   */
+  document.getElementById('tempoSlider').addEventListener('input', (e) => {
+    app.tempo = parseInt(e.target.value);
+    document.getElementById('tempoValue').textContent = app.tempo + ' BPM';
+    Tone.Transport.bpm.value = app.tempo;
+  });
+  document.getElementById('timeSignatureSelect').addEventListener('change', (e) => {
+    setTimeSignature(e.target.value);
+  });
+  document.getElementById('metronomeEnabled').addEventListener('change', (e) => {
+    app.metronomeOn = e.target.checked;
+    updateClock();
+  });
+  document.getElementById('countInSelect').addEventListener('change', (e) => {
+    app.countInBars = parseInt(e.target.value);
+  });
+  document.getElementById('quantizeSelect').addEventListener('change', (e) => {
+    app.quantize = e.target.value;
+    cancelPendingNote();
+    updateClock();
+  });
+
+  /**
+   * Loop Station Controls
+   */
+  document.getElementById('loopBarsSelect').addEventListener('change', (e) => {
+    app.loopBars = parseInt(e.target.value);
+    Tone.Transport.loopEnd = app.loopBars + 'm';
+  });
+  document.getElementById('loopPlayBtn').addEventListener('click', toggleLoopPlayback);
+  document.getElementById('loopOverdubBtn').addEventListener('click', toggleOverdub);
+  document.getElementById('loopUndoBtn').addEventListener('click', undoOverdub);
+  createLoopTracks();
+
+  /**
+   * Modulation Matrix Controls
+   * Route rows are built by updateModRouteList(); every edit is saved
+   */
+  document.getElementById('addModRouteBtn').addEventListener('click', () => {
+    app.modRoutes.push(utils.normalizeModRoute({ feature: 'openness', target: 'filterCutoff' }));
+    modRoutesChanged();
+  });
+  document.getElementById('resetModRoutesBtn').addEventListener('click', () => {
+    if (!confirm('Replace all routes with the default (X → volume)?')) return;
+    app.modRoutes = DEFAULT_MOD_ROUTES.map(route => utils.normalizeModRoute(route));
+    modRoutesChanged();
+  });
+  app.modRoutes = loadModRoutes();
+  updateModRouteList();
+
+  /**
+   * Gesture Controls
+   * Binding rows are built by updatePoseBindingList(); every edit is saved
+   */
+  document.getElementById('gestureHandSelect').addEventListener('change', (e) => {
+    app.gestureHand = e.target.value;
+    app.poseTracker = null;
+    document.getElementById('poseStatus').textContent = '-';
+  });
+  document.getElementById('resetPoseBindingsBtn').addEventListener('click', () => {
+    if (!confirm('Replace all pose bindings with the defaults?')) return;
+    app.poseBindings = Object.assign({}, DEFAULT_POSE_BINDINGS);
+    storePoseBindings();
+    updatePoseBindingList();
+  });
+  app.poseBindings = loadPoseBindings();
+  updatePoseBindingList();
+
+  // Pick up control values the browser may have restored on reload
+  app.referencePitch = parseFloat(document.getElementById('referencePitchSelect').value);
+  app.scaleRoot = parseInt(document.getElementById('scaleRootSelect').value);
+  app.scaleMode = document.getElementById('scaleModeSelect').value;
+  document.getElementById('customScaleRow').style.display = app.scaleMode === 'custom' ? 'flex' : 'none';
+  const customIntervalsInput = document.getElementById('customIntervalsInput');
+  try {
+    app.customIntervals = utils.parseIntervalList(customIntervalsInput.value);
+  } catch (error) {
+    customIntervalsInput.value = app.customIntervals.join(' ');  // Show the intervals actually in use
+  }
+  const zoneCount = document.getElementById('zoneCountSelect').value;
+  app.zoneCount = zoneCount === 'auto' ? 'auto' : parseInt(zoneCount);
+  applyScale();
+  app.inputSource = document.getElementById('inputSourceSelect').value;
+  app.playMode = document.getElementById('playModeSelect').value;
+  app.zoneLayout = document.getElementById('zoneLayoutSelect').value;
+  document.getElementById('zoneLayoutRow').style.display = app.playMode === 'zones' ? 'flex' : 'none';
+  rebuildZones();
+  app.snapStrength = parseInt(document.getElementById('snapSlider').value) / 100;
+  app.articulation = document.getElementById('articulationSelect').value;
+  app.pinchVelocity = document.getElementById('pinchVelocity').checked;
+  document.getElementById('pinchVelocityRow').style.display = app.articulation === 'pinch' ? 'flex' : 'none';
+  app.glideTime = parseInt(document.getElementById('glideSlider').value) / 1000;
+  document.getElementById('thereminControls').style.display = app.playMode === 'theremin' ? 'block' : 'none';
+  EFFECT_NAMES.forEach((name) => {
+    app.effectSettings[name].enabled = document.getElementById(name + 'Enabled').checked;
+    app.effectSettings[name].wet = parseInt(document.getElementById(name + 'Wet').value) / 100;
+  });
+  app.limiterEnabled = document.getElementById('limiterEnabled').checked;
+  setFilterCutoff(utils.sliderToCutoff(parseInt(document.getElementById('filterCutoffSlider').value)));
+  app.velocityMode = document.getElementById('velocitySelect').value;
+  app.handMode = document.getElementById('handModeSelect').value;
+  app.melodySide = document.getElementById('melodyHandSelect').value;
+  document.getElementById('melodyHandRow').style.display = app.handMode === 'single' ? 'none' : 'flex';
+  app.gestureHand = document.getElementById('gestureHandSelect').value;
+  app.smoothing.method = document.getElementById('smoothingSelect').value;
+  app.smoothing.minCutoff = parseInt(document.getElementById('smoothingCutoffSlider').value) / 10;
+  app.smoothing.beta = parseInt(document.getElementById('smoothingBetaSlider').value);
+  app.showSmoothingDebug = document.getElementById('smoothingDebug').checked;
+  document.getElementById('smoothingCutoffValue').textContent = app.smoothing.minCutoff.toFixed(1) + ' Hz';
+  document.getElementById('smoothingBetaValue').textContent = app.smoothing.beta;
+  document.getElementById('smoothingBetaRow').style.display = app.smoothing.method === 'oneEuro' ? 'flex' : 'none';
+  app.latchEnabled = document.getElementById('latchEnabled').checked;
+  app.releaseGraceMs = parseInt(document.getElementById('releaseGraceSlider').value);
+  document.getElementById('releaseGraceValue').textContent = app.releaseGraceMs > 0 ? app.releaseGraceMs + 'ms' : 'Off';
+  app.arpSource = document.getElementById('arpSourceSelect').value;
+  app.arpPattern = document.getElementById('arpPatternSelect').value;
+  app.captureFormat = webmSupported ? document.getElementById('captureFormatSelect').value : 'wav';
+  document.getElementById('captureFormatSelect').value = app.captureFormat;
+  app.tempo = parseInt(document.getElementById('tempoSlider').value);
+  setTimeSignature(document.getElementById('timeSignatureSelect').value);
+  app.metronomeOn = document.getElementById('metronomeEnabled').checked;
+  app.countInBars = parseInt(document.getElementById('countInSelect').value);
+  app.quantize = document.getElementById('quantizeSelect').value;
+  app.loopBars = parseInt(document.getElementById('loopBarsSelect').value);
+  app.arpRate = document.getElementById('arpRateSelect').value;
+  app.arpOctaves = parseInt(document.getElementById('arpOctavesSelect').value);
+  app.arpGate = parseInt(document.getElementById('arpGateSlider').value) / 100;
   
   // Set initial UI state
   updateStatus('Click Start to begin', 'inactive');
 }
 
+/**
+ * Apply the Selected Scale
+ * 
+ * Regenerates NOTES (names, frequencies and colours) from the current
+ * key, mode, zone count and tuning. Any sounding note is released and the zone
+ * is re-picked on the next frame, so the switch can happen mid-performance.
+ * 
+ * Tunings with 12 steps use the scale modes; other tunings (19-TET,
+ * most Scala files) play every step of the tuning. A loaded .kbm file
+ * overrides both and picks the zone pitches itself.
+ */
+function applyScale() {
+  const tuning = app.temperament === 'scala' && app.scalaTuning
+    ? app.scalaTuning
+    : (TEMPERAMENTS[app.temperament] || TEMPERAMENTS.equal12)();
+  app.tuning = tuning;
+
+  const twelveStep = tuning.cents.length === 12;
+  let intervals = app.scaleMode === 'custom'
+    ? app.customIntervals
+    : utils.SCALE_INTERVALS[app.scaleMode];
+  if (!twelveStep) {
+    intervals = tuning.cents.map((_, step) => step);
+  } else if (app.temperament !== 'equal12') {
+    // Other 12-step tunings index their steps, so fractional semitones round
+    intervals = Array.from(new Set(intervals.map(Math.round)));
+  }
+  const zoneCount = app.zoneCount === 'auto' ? intervals.length : app.zoneCount;
+
+  let ascending;
+  let firstPeriod;
+  if (app.keyboardMap) {
+    ascending = utils.buildKeyboardMapNotes(tuning, app.keyboardMap, zoneCount);
+    firstPeriod = utils.buildKeyboardMapNotes(tuning, app.keyboardMap, tuning.cents.length);
+  } else {
+    const options = {
+      referencePitch: app.referencePitch,
+      tuning: app.temperament === 'equal12' ? undefined : tuning
+    };
+    ascending = utils.buildScaleNotes(app.scaleRoot, intervals, zoneCount, 4, options);
+    firstPeriod = utils.buildScaleNotes(app.scaleRoot, intervals, intervals.length, 4, options);
+  }
+  if (ascending.length === 0) {
+    showError('The keyboard mapping leaves no playable keys. Clear the .kbm file or load another.');
+    return;
+  }
+  const colors = utils.generateZoneColors(ascending.length);
+
+  // Zones are drawn top to bottom, so the highest note comes first
+  NOTES = ascending.map((note, i) => ({ ...note, color: colors[i] })).reverse();
+  app.scaleFrequencies = firstPeriod.map(n => n.frequency);
+  rebuildZones();
+
+  document.getElementById('scaleModeSelect').disabled = !twelveStep || !!app.keyboardMap;
+  document.getElementById('scaleRootSelect').disabled = !!app.keyboardMap;
+  document.getElementById('tuningInfo').textContent = tuning.name +
+    (app.keyboardMap ? ' · mapped by .kbm' : '') +
+    (twelveStep || app.keyboardMap ? '' : ' · all ' + tuning.cents.length + ' steps playable');
+
+  stopNote();
+  app.currentNote = null;
+  app.currentNoteIndex = -1;
+  document.getElementById('noteZone').textContent = '--';
+  document.getElementById('currentNote').textContent = '--';
+  document.getElementById('currentFrequency').textContent = '-- Hz';
+}
+
+/**
+ * Import a Scala Tuning File
+ * 
+ * .scl files become the 'Scala' temperament; .kbm files map the zones.
+ * Parse errors are shown with showError() and leave the tuning unchanged.
+ * 
+ * @param {HTMLInputElement} input - File input holding the chosen file
+ * @param {string} kind - 'scl' or 'kbm'
+ * @returns {Promise<void>}
+ */
+async function importTuningFile(input, kind) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    if (kind === 'scl') {
+      app.scalaTuning = utils.parseScala(text);
+      app.temperament = 'scala';
+      const scalaOption = document.getElementById('scalaOption');
+      scalaOption.disabled = false;
+      scalaOption.textContent = 'Scala: ' + app.scalaTuning.name;
+      document.getElementById('temperamentSelect').value = 'scala';
+    } else {
+      app.keyboardMap = utils.parseKeyboardMap(text);
+    }
+    hideError();
+    applyScale();
+  } catch (error) {
+    showError(`Could not load ${file.name}: ${error.message}`);
+    input.value = '';
+  }
+}
+
 /**
  * Initialize Tone.js Audio Synthesizer
  * 
@@ -219,22 +1089,18 @@ async function initializeAudio() {
     // This requires a user interaction (click, touch, etc.)
     await Tone.start();
     
-    // Get the waveform currently selected in the dropdown
-    const selectedWaveform = document.getElementById('waveformSelect').value;
+    // Protect the speakers before anything can make a sound
+    createMasterStage();
     
-    // Create the synthesizer with ADSR envelope
-    // ADSR = Attack, Decay, Sustain, Release (controls sound shape)
-    app.synth = new Tone.Synth({
-      oscillator: {
-        type: selectedWaveform  // 'sine', 'triangle', 'sawtooth', 'square'
-      },
-      envelope: {
-        attack: 0.05,    // 50ms fade-in when note starts
-        decay: 0.1,      // 100ms transition from attack to sustain
-        sustain: 0.7,    // Hold at 70% volume while note plays
-        release: 0.3     // 300ms fade-out when note stops
-      }
-    }).toDestination();  // Route synth to speakers
+    // Build the effects chain first so the synths have somewhere to connect
+    createEffectsChain();
+    createModulationStage();
+    
+    // Create the lead synth and chord voice pool from the current sound settings
+    createSynths();
+    createDrumKit();
+    createLoopVoices();
+    createMetronome();
 
     // Set initial volume from the slider
     const volumeValue = document.getElementById('volumeSlider').value;
@@ -242,6 +1108,12 @@ async function initializeAudio() {
     updateVolume();
 
     app.audioInitialized = true;
+    updateClock();
+
+    // Load the sampled instrument picked before Start (falls back to synth on error)
+    if (app.instrument !== 'synth') {
+      await selectInstrument(app.instrument);
+    }
     console.log('Audio initialized successfully');
     
   } catch (error) {
@@ -250,47 +1122,595 @@ async function initializeAudio() {
 }
 
 /**
- * Start the Hand Gesture Instrument System
+ * Create the Lead Synth and Chord Voice Pool
  * 
- * User clicks "Start" button → This function:
- * 1. Initializes audio (Tone.js)
- * 2. Initializes hand tracking (MediaPipe)
- * 3. Starts camera feed
- * 4. Enables recording and playback controls
- * 5. Updates UI status to "Ready to play"
+ * Both use app.soundSettings: waveform/partials, detune and ADSR envelope
+ * (ADSR = Attack, Decay, Sustain, Release: controls sound shape).
+ * The lead synth is monophonic so zone changes glide; the PolySynth
+ * holds one voice per chord tone in chord mode.
+ */
+function createSynths() {
+  const options = utils.buildSynthOptions(app.soundSettings);
+
+  // Route synths through the modulation stage and effects chain
+  const output = liveVoiceOutput();
+
+  app.synth = new Tone.Synth(options).connect(output);
+
+  app.polySynth = new Tone.PolySynth(Tone.Synth, options).connect(output);
+  app.polySynth.maxPolyphony = MAX_CHORD_VOICES;
+
+  createSecondVoice();
+}
+
+/**
+ * (Re)create the Second Hand's Voice
  * 
- * @returns {Promise<void>}
+ * A second melody hand sounds like the lead synth; a bass hand has its
+ * own timbre. A note it was holding is re-struck on the next frame.
  */
-async function startSystem() {
-  try {
-    hideError();
-    updateStatus('Starting...', 'inactive');
-    document.getElementById('startBtn').disabled = true;
-    
-    // Show loading message
-    document.getElementById('loadingMsg').classList.add('show');
-    
-    // Initialize audio first (requires user interaction)
-    await initializeAudio();
-    
-    // Initialize hand tracking
-    await initializeHandTracking();
-    
-    // Start camera feed
-    await startCamera();
-    
-    // Hide loading message
-    document.getElementById('loadingMsg').classList.remove('show');
-    
-    // Mark system as running
+function createSecondVoice() {
+  if (app.secondSynth) {
+    app.secondSynth.dispose();
+  }
+  const options = app.handMode === 'bass' ? BASS_VOICE_OPTIONS : utils.buildSynthOptions(app.soundSettings);
+  app.secondSynth = new Tone.Synth(options).connect(liveVoiceOutput());
+  if (app.secondHand) {
+    app.secondHand.frequency = null;
+  }
+}
+
+/**
+ * Rebuild the Lead Synth and Chord Voice Pool
+ * 
+ * Used when the waveform or preset changes. A sustained note or chord is
+ * re-struck on the new voices so the sound carries on.
+ */
+function rebuildSynths() {
+  if (!app.synth || !app.audioInitialized) return;
+
+  // Store if we were playing and what frequencies
+  const wasPlaying = app.isPlaying;
+  const heldChord = app.activeChordFrequencies.slice();
+  const leadFreq = app.sampler ? app.samplerFrequency : app.synth.frequency.value;
+  const currentFreq = wasPlaying && heldChord.length === 0 ? leadFreq : null;
+
+  // Stop current note if playing
+  if (wasPlaying) {
+    stopNote();
+  }
+
+  // Dispose old synths (release resources) and build new ones
+  disposeSynths();
+  createSynths();
+
+  // Restore volume based on slider
+  updateVolume();
+
+  // Resume playing if we were playing
+  if (wasPlaying && heldChord.length > 0) {
+    playChord(heldChord);
+  } else if (wasPlaying && currentFreq) {
+    playNote(currentFreq);
+  }
+}
+
+/**
+ * Apply Sound Settings to the Live Voices
+ * 
+ * Tone.js can change envelope, oscillator type and detune in place,
+ * so slider edits don't interrupt the sounding note.
+ */
+function applySoundSettings() {
+  if (!app.synth || !app.polySynth) return;
+
+  const options = utils.buildSynthOptions(app.soundSettings);
+  app.synth.set(options);
+  app.polySynth.set(options);
+  if (app.secondSynth && app.handMode !== 'bass') {
+    app.secondSynth.set(options);
+  }
+}
+
+/**
+ * Dispose the Lead Synth and Chord Voice Pool
+ */
+function disposeSynths() {
+  if (app.synth) {
+    app.synth.dispose();
+    app.synth = null;
+  }
+  if (app.polySynth) {
+    app.polySynth.dispose();
+    app.polySynth = null;
+  }
+  if (app.secondSynth) {
+    app.secondSynth.dispose();
+    app.secondSynth = null;
+  }
+  app.activeChordFrequencies = [];
+}
+
+/**
+ * Create the Drum Kit
+ * 
+ * One voice per pad (see DRUM_PADS), all through a shared volume so the
+ * volume slider applies, and through the effects chain like the synths.
+ * Drum voices ignore the sound design settings.
+ */
+function createDrumKit() {
+  const output = liveVoiceOutput();
+  app.drumBus = new Tone.Volume(0).connect(output);
+
+  app.drumKit = {};
+  DRUM_PADS.forEach((pad) => {
+    app.drumKit[pad.id] = pad.createVoice().connect(app.drumBus);
+  });
+}
+
+/**
+ * Dispose the Drum Kit
+ */
+function disposeDrumKit() {
+  if (app.drumKit) {
+    Object.values(app.drumKit).forEach(voice => voice.dispose());
+    app.drumKit = null;
+  }
+  if (app.drumBus) {
+    app.drumBus.dispose();
+    app.drumBus = null;
+  }
+}
+
+/**
+ * Play a Drum Pad
+ * 
+ * Drum voices are one-shots: they decay on their own, so nothing is held
+ * and stopNote() doesn't apply to them.
+ * 
+ * @param {string} padId - Id of a DRUM_PADS entry
+ * @param {number} velocity - Hit strength (0-1)
+ * @param {number} [time] - Audio context time to hit at (default: now)
+ */
+function triggerDrum(padId, velocity, time) {
+  if (!app.drumKit || !app.audioInitialized) return;
+
+  const pad = DRUM_PADS.find(p => p.id === padId);
+  if (!pad) return;
+  applyVelocityBrightness(velocity);
+  pad.hit(app.drumKit[padId], time || Tone.now(), utils.clamp(velocity, 0.1, 1));
+}
+
+/**
+ * Populate the Instrument Dropdown with Sample Sets
+ * 
+ * The server lists every samples/<instrument>/ folder with a manifest.
+ * If the listing is unavailable (e.g. static hosting), only the synth is offered.
+ * 
+ * @returns {Promise<void>}
+ */
+async function loadSampleSetList() {
+  try {
+    const response = await fetch('/samples/index.json');
+    if (!response.ok) return;
+    const sets = await response.json();
+
+    const select = document.getElementById('instrumentSelect');
+    sets.forEach((set) => {
+      const option = document.createElement('option');
+      option.value = set.id;
+      option.textContent = set.name + ' (samples)';
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.warn('Sample set list unavailable:', error.message);
+  }
+}
+
+/**
+ * Select the Active Instrument
+ * 
+ * 'synth' plays through the oscillator synths; any other value is a
+ * sample set id that is loaded (once) and played through a Tone.Sampler.
+ * Before Start the choice is only remembered; initializeAudio() loads it.
+ * Load failures are reported with showError() and fall back to the synth.
+ * 
+ * @param {string} instrument - 'synth' or a sample set id
+ * @returns {Promise<void>}
+ */
+async function selectInstrument(instrument) {
+  app.instrument = instrument;
+  if (!app.audioInitialized) return;
+
+  stopNote();
+  if (app.sampler) {
+    app.sampler.dispose();
+    app.sampler = null;
+  }
+  if (instrument === 'synth') return;
+
+  try {
+    hideError();
+    const set = await loadSampleSet(instrument);
+    app.sampler = new Tone.Sampler({ urls: set.urls, release: set.release })
+      .connect(liveVoiceOutput());
+    updateVolume();
+  } catch (error) {
+    console.error('Sample loading error:', error);
+    showError(error.message);
+    app.instrument = 'synth';
+    document.getElementById('instrumentSelect').value = 'synth';
+  }
+}
+
+/**
+ * Load a Sample Set from /samples/<id>/
+ * 
+ * Reads manifest.json ({name, release, notes: {noteName: file}}) and
+ * fetches every file, reporting progress in the loading message.
+ * Loaded sets are cached for the session.
+ * 
+ * @param {string} id - Sample set folder name
+ * @returns {Promise<{urls: Object<string, Tone.ToneAudioBuffer>, release: number}>}
+ * @throws {Error} If the manifest or any sample fails to load
+ */
+async function loadSampleSet(id) {
+  if (app.sampleBuffers[id]) return app.sampleBuffers[id];
+
+  const loadingMsg = document.getElementById('loadingMsg');
+  const previousText = loadingMsg.textContent;
+  const wasShown = loadingMsg.classList.contains('show');
+  const baseUrl = `/samples/${encodeURIComponent(id)}/`;
+
+  try {
+    loadingMsg.textContent = `⏳ Loading ${id} samples...`;
+    loadingMsg.classList.add('show');
+
+    const response = await fetch(baseUrl + 'manifest.json');
+    if (!response.ok) {
+      throw new Error(`Sample set "${id}" not found (HTTP ${response.status})`);
+    }
+    const manifest = await response.json();
+    const files = utils.sampleFiles(manifest);
+    if (files.length === 0) {
+      throw new Error(`Sample set "${id}" has no playable notes in its manifest`);
+    }
+
+    // Load buffers individually so progress can be shown (Tone.Sampler only reports completion)
+    const name = manifest.name || id;
+    let loaded = 0;
+    const urls = {};
+    await Promise.all(files.map(async ({ note, file }) => {
+      try {
+        urls[note] = await new Tone.ToneAudioBuffer().load(baseUrl + encodeURIComponent(file));
+      } catch (error) {
+        throw new Error(`Failed to load sample ${file} for ${name}. Run \`npm run samples:fetch\` to download it.`);
+      }
+      loaded++;
+      loadingMsg.textContent = `⏳ Loading ${name} samples... ${loaded}/${files.length}`;
+    }));
+
+    const set = { urls, release: typeof manifest.release === 'number' ? manifest.release : 1 };
+    app.sampleBuffers[id] = set;
+    return set;
+  } finally {
+    loadingMsg.textContent = previousText;
+    if (!wasShown) loadingMsg.classList.remove('show');
+  }
+}
+
+/**
+ * Create the Effects Chain
+ * 
+ * synths → filter → chorus → delay → reverb → speakers
+ * 
+ * Every effect sits in a slot with its own dry/wet crossfade, so the
+ * filter (which has no wet control of its own) behaves like the others
+ * and a bypassed effect simply fades to fully dry. The chain outlives the
+ * synths, so waveform changes keep the current effect settings.
+ */
+function createEffectsChain() {
+  const chain = buildEffectsChain();
+  chain.output.toDestination();
+  app.effects = chain.slots;
+  app.effectsInput = chain.input;
+}
+
+/**
+ * Create the Master Bus Stage
+ * 
+ * everything → [compressor → limiter] → speakers
+ * 
+ * Inserted on Tone's destination, so every voice, loop, the metronome and
+ * audio capture go through it. Waveform taps before and after the stage
+ * feed the level meter: the output level is shown, and a pre-stage peak
+ * at full scale counts as a clip (caught by the limiter when it's on).
+ */
+function createMasterStage() {
+  const stage = buildMasterStage();
+  stage.preWaveform = new Tone.Waveform(1024);
+  stage.postWaveform = new Tone.Waveform(1024);
+  stage.output.connect(stage.postWaveform);
+  app.masterStage = stage;
+  app.clipCount = 0;
+  app.clipHoldUntil = 0;
+  connectMasterStage();
+  app.meterFrameId = requestAnimationFrame(meterFrame);
+}
+
+/**
+ * Build the Master Stage Dynamics
+ * 
+ * Builds in whichever Tone context is active, so the offline export
+ * renders through the same compressor and limiter as live play.
+ * 
+ * @returns {{input: Tone.Gain, compressor: Tone.Compressor, limiter: Tone.Limiter, output: Tone.Gain}}
+ */
+function buildMasterStage() {
+  return {
+    input: new Tone.Gain(),
+    compressor: new Tone.Compressor({ threshold: -18, ratio: 3, attack: 0.01, release: 0.2 }),
+    limiter: new Tone.Limiter(LIMITER_THRESHOLD_DB),
+    output: new Tone.Gain()
+  };
+}
+
+/**
+ * (Re)wire the Master Stage, Bypassing the Dynamics When the Limiter Is Off
+ * 
+ * @param {Object} [stage] - Stage to insert on the active context's destination
+ *   (defaults to the live app.masterStage)
+ */
+function connectMasterStage(stage = app.masterStage) {
+  if (!stage) return;
+
+  // Destination.chain() replaces whatever was inserted before
+  stage.input.disconnect();
+  stage.compressor.disconnect();
+  stage.limiter.disconnect();
+  if (stage.preWaveform) stage.input.connect(stage.preWaveform);
+  if (app.limiterEnabled) {
+    Tone.getDestination().chain(stage.input, stage.compressor, stage.limiter, stage.output);
+  } else {
+    Tone.getDestination().chain(stage.input, stage.output);
+  }
+}
+
+/**
+ * Remove the Master Stage from the Destination
+ */
+function disposeMasterStage() {
+  if (app.meterFrameId !== null) {
+    cancelAnimationFrame(app.meterFrameId);
+    app.meterFrameId = null;
+  }
+  if (!app.masterStage) return;
+
+  Tone.getDestination().chain();
+  Object.values(app.masterStage).forEach(node => node.dispose());
+  app.masterStage = null;
+}
+
+/**
+ * Level Meter Loop
+ * 
+ * Runs on its own animation frame while the master stage exists, so the
+ * meter keeps moving (and catches clips) whatever the input source and
+ * however slowly the hand tracker delivers frames.
+ */
+function meterFrame() {
+  updateLevelMeter();
+  app.meterFrameId = requestAnimationFrame(meterFrame);
+}
+
+/**
+ * Update the Output Level Meter and Clip Light
+ * 
+ * Called once per display frame by meterFrame(). Shows output peak and RMS in dBFS.
+ */
+function updateLevelMeter() {
+  let peakDb = -Infinity;
+  let rmsDb = -Infinity;
+  const now = performance.now();
+
+  if (app.masterStage) {
+    const output = utils.measureLevels(app.masterStage.postWaveform.getValue());
+    peakDb = utils.gainToDb(output.peak);
+    rmsDb = utils.gainToDb(output.rms);
+
+    const input = utils.measureLevels(app.masterStage.preWaveform.getValue());
+    if (input.peak >= 1) {
+      // Count each burst once, not every frame it lasts
+      if (now > app.clipHoldUntil) {
+        app.clipCount++;
+      }
+      app.clipHoldUntil = now + CLIP_HOLD_MS;
+    }
+  }
+
+  document.getElementById('levelMeterRms').style.width = utils.meterPercent(rmsDb) + '%';
+  document.getElementById('levelMeterPeak').style.left = utils.meterPercent(peakDb) + '%';
+  document.getElementById('outputLevel').textContent =
+    isFinite(peakDb) ? peakDb.toFixed(1) + ' dB' : '-∞ dB';
+
+  const clipIndicator = document.getElementById('clipIndicator');
+  clipIndicator.classList.toggle('active', now < app.clipHoldUntil);
+  clipIndicator.textContent = app.clipCount > 0 ? `CLIP ×${app.clipCount}` : 'CLIP';
+  clipIndicator.title = app.limiterEnabled
+    ? 'Input reached full scale; the limiter kept the output from clipping'
+    : 'Output clipped; turn on the limiter or lower the volume';
+}
+
+/**
+ * Build an Effects Chain with the Current Effect Settings
+ * 
+ * Builds in whichever Tone context is active, so the offline export
+ * renders through the same effects as live play.
+ * 
+ * @returns {{slots: Object, input: Tone.Gain, output: Tone.CrossFade, ready: Promise<void>}}
+ *   ready resolves once the reverb impulse response has been generated
+ */
+function buildEffectsChain() {
+  const nodes = {
+    filter: new Tone.Filter(app.filterCutoff, 'lowpass'),
+    chorus: new Tone.Chorus(4, 2.5, 0.5).start(),
+    delay: new Tone.FeedbackDelay('8n', 0.35),
+    reverb: new Tone.Reverb({ decay: 2.5 })
+  };
+
+  const slots = {};
+  let previous = null;
+
+  EFFECT_NAMES.forEach((name) => {
+    const effect = nodes[name];
+    if (effect.wet) effect.wet.value = 1;  // Slot crossfade does the mixing
+
+    const settings = app.effectSettings[name];
+    const input = new Tone.Gain();
+    const mix = new Tone.CrossFade(utils.effectMixLevel(settings));  // 0 = dry, 1 = wet
+    input.connect(mix.a);
+    input.connect(effect);
+    effect.connect(mix.b);
+
+    if (previous) previous.mix.connect(input);
+    slots[name] = { input, effect, mix };
+    previous = slots[name];
+  });
+
+  return {
+    slots: slots,
+    input: slots[EFFECT_NAMES[0]].input,
+    output: previous.mix,
+    ready: nodes.reverb.ready
+  };
+}
+
+/**
+ * Dispose the Effects Chain
+ */
+function disposeEffectsChain() {
+  if (!app.effects) return;
+
+  EFFECT_NAMES.forEach((name) => {
+    const slot = app.effects[name];
+    slot.input.dispose();
+    slot.effect.dispose();
+    slot.mix.dispose();
+  });
+  app.effects = null;
+  app.effectsInput = null;
+}
+
+/**
+ * Push an Effect's Settings to its Slot
+ * 
+ * @param {string} name - One of EFFECT_NAMES
+ */
+function applyEffectSettings(name) {
+  if (!app.effects) return;  // Chain is built on Start; settings apply then
+
+  const fade = utils.effectMixLevel(app.effectSettings[name]);
+  app.effects[name].mix.fade.rampTo(fade, 0.05);  // Short ramp avoids clicks
+}
+
+/**
+ * Enable or Bypass an Effect
+ * 
+ * @param {string} name - One of EFFECT_NAMES
+ * @param {boolean} enabled - false = bypass (fully dry)
+ */
+function setEffectEnabled(name, enabled) {
+  app.effectSettings[name].enabled = enabled;
+  document.getElementById(name + 'Enabled').checked = enabled;
+  applyEffectSettings(name);
+}
+
+/**
+ * Set an Effect's Wet/Dry Mix
+ * 
+ * @param {string} name - One of EFFECT_NAMES
+ * @param {number} wet - 0 (dry) to 1 (wet)
+ */
+function setEffectWet(name, wet) {
+  app.effectSettings[name].wet = Math.max(0, Math.min(1, wet));
+  applyEffectSettings(name);
+}
+
+/**
+ * Set the Low-pass Filter Cutoff
+ * 
+ * @param {number} frequency - Cutoff in Hz
+ */
+function setFilterCutoff(frequency) {
+  app.filterCutoff = frequency;
+  if (app.effects) {
+    app.effects.filter.effect.frequency.rampTo(frequency, 0.05);
+  }
+  document.getElementById('filterCutoffValue').textContent = utils.formatCutoff(frequency);
+}
+
+/**
+ * Start the Hand Gesture Instrument System
+ * 
+ * User clicks "Start" button → This function:
+ * 1. Initializes audio (Tone.js)
+ * 2. Initializes hand tracking (MediaPipe)
+ * 3. Starts camera feed (falls back to pointer input if 2 or 3 fail)
+ * 4. Enables recording and playback controls
+ * 5. Updates UI status to "Ready to play"
+ * 
+ * @returns {Promise<void>}
+ */
+async function startSystem() {
+  try {
+    hideError();
+    updateStatus('Starting...', 'inactive');
+    document.getElementById('startBtn').disabled = true;
+    
+    // Show loading message
+    document.getElementById('loadingMsg').classList.add('show');
+    
+    // Initialize audio first (requires user interaction)
+    await initializeAudio();
+    
+    if (app.inputSource === 'camera') {
+      try {
+        // Initialize hand tracking
+        await initializeHandTracking();
+        
+        // Start camera feed
+        await startCamera();
+      } catch (error) {
+        // No camera (or no tracker): the canvas still plays by mouse, touch or pen.
+        // Only for this run; the Input menu keeps 'camera' so the next Start tries again.
+        console.warn('Hand tracking unavailable, using pointer input:', error);
+        stopHandTracking();
+        app.inputSource = 'pointer';
+        showError(error.message + ' Playing with mouse, touch or pen instead.');
+      }
+    }
+    
+    // Hide loading message
+    document.getElementById('loadingMsg').classList.remove('show');
+    
+    // Mark system as running
     app.isRunning = true;
-    updateStatus('Ready to play! Show your hand', 'detecting');
+    document.getElementById('inputSourceSelect').disabled = true;
+    if (app.inputSource === 'pointer') {
+      startPointerInput();
+      updateStatus('Ready to play! Click, touch or draw on the canvas', 'detecting');
+    } else {
+      updateStatus('Ready to play! Show your hand', 'detecting');
+    }
     
     // Enable controls
     document.getElementById('stopBtn').disabled = false;
     document.getElementById('recordBtn').disabled = false;
     document.getElementById('playbackBtn').disabled = false;
     document.getElementById('clearBtn').disabled = false;
+    document.getElementById('captureBtn').disabled = !Tone.Recorder.supported;
+    document.getElementById('loopPlayBtn').disabled = false;
+    document.getElementById('loopOverdubBtn').disabled = false;
     document.getElementById('octaveDisplay').style.display = 'block';
 
   } catch (error) {
@@ -325,7 +1745,7 @@ async function initializeHandTracking() {
 
     // Configure model options
     app.hands.setOptions({
-      maxNumHands: 1,              // Detect only 1 hand (multi-hand would be more complex)
+      maxNumHands: app.handMode === 'single' ? 1 : 2,  // Second hand only when a two-hand mode is on
       modelComplexity: 1,          // 1 = full model (better accuracy), 0 = lite (faster)
       minDetectionConfidence: 0.5, // Only track hands with >50% confidence
       minTrackingConfidence: 0.5   // Only report tracked hands with >50% confidence
@@ -383,6 +1803,7 @@ async function startCamera() {
     // Set canvas to same dimensions as video
     app.canvas.width = app.video.videoWidth;
     app.canvas.height = app.video.videoHeight;
+    rebuildZones();  // Radial zones follow the aspect ratio
 
     // Create MediaPipe Camera helper
     // This feeds camera frames to the Hands model
@@ -414,15 +1835,41 @@ async function startCamera() {
  * Volume is controlled by:
  * - baseVolume: Slider value (0-100%)
  * - dynamicVolumeMultiplier: Based on hand X position (0.5-1.5)
+ * - velocity: How hard this note was struck (see utils.speedToVelocity)
  * 
  * @param {number} frequency - Frequency in Hz (e.g., 440 for A4)
+ * @param {number} [glideTime=0] - Seconds to slide to the new pitch (0 = jump)
+ * @param {number} [velocity] - Onset velocity (0-1); when given a sounding note is re-struck instead of gliding
+ * @param {number} [time] - AudioContext time to play at (default: now), for steps scheduled ahead
  */
-function playNote(frequency) {
+function playNote(frequency, glideTime, velocity, time) {
   if (!app.synth || !app.audioInitialized) return;  // Audio not ready
 
-  if (!app.isPlaying) {
-    // Start a new note (triggerAttack = start ADSR envelope)
-    app.synth.triggerAttack(frequency);
+  // Coming from a chord: release the voice pool and start the lead voice fresh
+  // (a single note kept when the sustain pedal came up rings on until the zone changes)
+  const at = typeof time === 'number' ? time : Tone.now();
+  if (app.activeChordFrequencies.length === 1 && app.activeChordFrequencies[0] === frequency &&
+      typeof velocity !== 'number') {
+    return;
+  }
+  if (app.activeChordFrequencies.length > 0) {
+    releaseChord(at);
+    app.isPlaying = false;
+  }
+
+  if (app.sampler) {
+    playSampledNote(frequency, velocity, at);
+    return;
+  }
+
+  const struck = typeof velocity === 'number';
+  if (struck) {
+    applyVelocityBrightness(velocity, at);
+  }
+
+  if (!app.isPlaying || struck) {
+    // Start a new note (triggerAttack = start ADSR envelope; re-strikes a sounding one)
+    app.synth.triggerAttack(frequency, at, struck ? velocity : 1);
     app.isPlaying = true;
     
     // Update UI indicators
@@ -431,21 +1878,34 @@ function playNote(frequency) {
     document.getElementById('noteDisplay').classList.add('playing');
   } else {
     // Already playing - change frequency (smooth pitch glide)
-    app.synth.frequency.setValueAtTime(frequency, Tone.now());
+    if (glideTime > 0) {
+      app.synth.frequency.rampTo(frequency, glideTime, at);
+    } else {
+      app.synth.frequency.setValueAtTime(frequency, at);
+    }
   }
 }
 
 /**
  * Stop Playing Current Note
  * 
- * Stops the current note (triggerRelease = start release phase of ADSR).
+ * Stops the current note (triggerRelease = start release phase of ADSR),
+ * along with any notes the sustain pedal left ringing.
  * The release phase creates a smooth fade-out.
+ * 
+ * @param {number} [time] - AudioContext time to release at (default: now)
  */
-function stopNote() {
+function stopNote(time) {
+  endLoopEvent();
+  releasePedalNotes(time);
   if (!app.synth || !app.isPlaying) return;  // Nothing playing
 
   // Start release phase (fade-out)
-  app.synth.triggerRelease();
+  if (app.activeChordFrequencies.length > 0) {
+    releaseChord(time);
+  } else {
+    releaseLeadVoice(time);
+  }
   app.isPlaying = false;
   
   // Update UI indicators
@@ -454,20 +1914,274 @@ function stopNote() {
   document.getElementById('noteDisplay').classList.remove('playing');
 }
 
-// MediaPipe Hands results callback
-function onHandsResults(results) {
-  if (!app.isRunning) return;
+/**
+ * Play a Chord on the Voice Pool
+ * 
+ * Retriggers only when the set of frequencies changes, so holding a
+ * chord shape in one zone sustains it instead of restarting every frame.
+ * 
+ * @param {number[]} frequencies - Chord frequencies in Hz
+ * @param {number} [velocity] - Onset velocity (0-1); when given the chord is always re-struck
+ */
+function playChord(frequencies, velocity) {
+  if (!app.polySynth || !app.audioInitialized || frequencies.length === 0) return;
 
-  // Frame skipping optimization: if FPS drops, process fewer frames
-  app.frameCount++;
-  if (app.frameCount % app.processEveryNthFrame !== 0) {
-    return; // Skip this frame
+  const struck = typeof velocity === 'number';
+  const unchanged = frequencies.length === app.activeChordFrequencies.length &&
+    frequencies.every((f, i) => f === app.activeChordFrequencies[i]);
+  if (app.isPlaying && unchanged && !struck) return;
+
+  if (app.activeChordFrequencies.length > 0) {
+    releaseChord();
+  } else if (app.isPlaying) {
+    // Hand over from the lead voice
+    releaseLeadVoice();
   }
 
-  // Calculate FPS
-  const now = performance.now();
-  if (app.lastFrameTime > 0) {
-    const delta = now - app.lastFrameTime;
+  if (struck) {
+    applyVelocityBrightness(velocity);
+  }
+  (app.sampler || app.polySynth).triggerAttack(frequencies, Tone.now(), struck ? velocity : 1);
+  app.activeChordFrequencies = frequencies.slice();
+
+  if (!app.isPlaying) {
+    app.isPlaying = true;
+    document.getElementById('soundIndicator').classList.add('playing');
+    document.getElementById('soundStatus').textContent = 'On';
+    document.getElementById('noteDisplay').classList.add('playing');
+  }
+}
+
+/**
+ * Release All Chord Voices
+ * 
+ * @param {number} [time] - AudioContext time to release at (default: now)
+ */
+function releaseChord(time) {
+  const voice = app.sampler || app.polySynth;
+  if (voice) {
+    voice.triggerRelease(app.activeChordFrequencies, time);
+  }
+  app.activeChordFrequencies = [];
+  app.fingerHeld = {};  // Finger keys share the chord voices
+}
+
+/**
+ * Play a Single Note on the Sampler
+ * 
+ * Samples can't glide, so the sounding note is released and a new one
+ * struck only when the pitch moves at least SAMPLER_RETRIGGER_CENTS
+ * (theremin mode therefore steps by semitone with sampled instruments).
+ * 
+ * @param {number} frequency - Frequency in Hz
+ * @param {number} [velocity] - Onset velocity (0-1); when given the note is always re-struck
+ * @param {number} [time] - AudioContext time to play at (default: now)
+ */
+function playSampledNote(frequency, velocity, time) {
+  const at = typeof time === 'number' ? time : Tone.now();
+  const struck = typeof velocity === 'number';
+  if (app.isPlaying && app.samplerFrequency) {
+    const cents = Math.abs(1200 * Math.log2(frequency / app.samplerFrequency));
+    if (cents < SAMPLER_RETRIGGER_CENTS && !struck) return;
+    app.sampler.triggerRelease(app.samplerFrequency, at);
+  }
+
+  if (struck) {
+    applyVelocityBrightness(velocity, at);
+  }
+  app.sampler.triggerAttack(frequency, at, struck ? velocity : 1);
+  app.samplerFrequency = frequency;
+
+  if (!app.isPlaying) {
+    app.isPlaying = true;
+    document.getElementById('soundIndicator').classList.add('playing');
+    document.getElementById('soundStatus').textContent = 'On';
+    document.getElementById('noteDisplay').classList.add('playing');
+  }
+}
+
+/**
+ * Release the Single-note Voice (lead synth or sampler)
+ * 
+ * @param {number} [time] - AudioContext time to release at (default: now)
+ */
+function releaseLeadVoice(time) {
+  if (app.sampler) {
+    if (app.samplerFrequency) {
+      app.sampler.triggerRelease(app.samplerFrequency, time);
+      app.samplerFrequency = null;
+    }
+  } else if (app.synth) {
+    app.synth.triggerRelease(time);
+  }
+}
+
+/**
+ * Build the Current Chord
+ * 
+ * Uses the current zone as the root and stacks tones of the selected scale
+ * according to app.currentChordType, then applies the octave shift.
+ * 
+ * @returns {number[]} Chord frequencies in Hz (empty if no note)
+ */
+function getChordFrequencies() {
+  if (!app.currentNote || app.currentNoteIndex === -1) return [];
+
+  const note = app.currentNote;
+  return utils.buildChordFrequencies(app.scaleFrequencies, note.degree, app.currentChordType)
+    .map(f => getFrequencyWithOctave(f * Math.pow(2, note.octave)));
+}
+
+/**
+ * Update Chord Type from Raised Fingers
+ * 
+ * @param {Array} landmarks - 21 MediaPipe hand landmarks
+ */
+function updateChordType(landmarks) {
+  const fingerCount = utils.countRaisedFingers(landmarks);
+  const chordType = utils.chordTypeForFingerCount(fingerCount);
+
+  if (chordType !== app.currentChordType) {
+    app.currentChordType = chordType;
+    document.getElementById('chordStatus').textContent =
+      chordType.charAt(0).toUpperCase() + chordType.slice(1);
+
+    // A new chord shape in the same zone is a new event for the recorder
+    // (the arpeggiator records its own steps)
+    if (!app.arpLoop) {
+      recordNote();
+    }
+  }
+}
+
+// ===== ARPEGGIATOR =====
+
+/**
+ * Tones for the Arpeggiator
+ * 
+ * 'chord' uses the chord on the current zone (the finger-count chord in
+ * chord mode, otherwise a triad); 'scale' runs up the scale from the zone
+ * for one octave. Octave shift applies as usual.
+ * 
+ * @returns {number[]} Frequencies in Hz, in the order they were built
+ */
+function getArpeggioTones() {
+  if (!app.currentNote || app.currentNoteIndex === -1) return [];
+
+  const note = app.currentNote;
+  let tones;
+  if (app.arpSource === 'scale') {
+    const length = app.scaleFrequencies.length;
+    tones = app.scaleFrequencies.map((_, i) => {
+      const step = note.degree + i;
+      return app.scaleFrequencies[step % length] * Math.pow(2, Math.floor(step / length));
+    });
+  } else {
+    const chordType = app.chordMode && app.currentChordType !== 'single' ? app.currentChordType : 'triad';
+    tones = utils.buildChordFrequencies(app.scaleFrequencies, note.degree, chordType);
+  }
+  return tones.map(f => getFrequencyWithOctave(f * Math.pow(2, note.octave)));
+}
+
+/**
+ * Keep the Arpeggiator Following the Hand
+ * 
+ * Called every frame while a hand holds a zone: refreshes the tones
+ * (zone, chord shape and octave can change between steps) and starts
+ * the pattern if it isn't running.
+ */
+function updateArpeggiator() {
+  app.arpTones = getArpeggioTones();
+  if (!app.arpLoop) {
+    startArpeggiator();
+  }
+}
+
+/**
+ * Start the Arpeggiator Clock
+ * 
+ * Steps run on Tone.Transport at app.tempo, aligned to the step grid
+ * (and so in time with the loop station).
+ */
+function startArpeggiator() {
+  if (!app.audioInitialized || app.arpLoop) return;
+
+  app.arpStepIndex = 0;
+  app.arpLoop = new Tone.Loop(playArpeggioStep, app.arpRate).start(0);
+  startTransport();
+}
+
+/**
+ * Stop the Arpeggiator and Release Its Note
+ */
+function stopArpeggiator() {
+  if (!app.arpLoop) return;
+
+  // A step's pending release or readout must not touch the next note
+  clearTimeout(app.arpGateTimer);
+  app.arpGateTimer = null;
+  app.arpStepIndex = 0;
+  app.arpLoop.dispose();
+  app.arpLoop = null;
+  stopTransportIfIdle();
+  app.arpFrequency = null;
+  app.arpTones = [];
+  stopNote();
+}
+
+/**
+ * Play One Arpeggiator Step
+ * 
+ * Restrikes the lead voice through stopNote()/playNote() at the step's
+ * scheduled time, and releases it after the gate. The readouts,
+ * particles and recorder follow through Tone.Draw when the step sounds.
+ * 
+ * @param {number} time - AudioContext time of the step (from Tone.Loop)
+ */
+function playArpeggioStep(time) {
+  const sequence = utils.buildArpeggio(app.arpTones, app.arpPattern, app.arpOctaves, app.tuning.period);
+  const frequency = utils.arpeggioNoteAt(sequence, app.arpPattern, app.arpStepIndex);
+  if (frequency === null) return;
+
+  const loop = app.arpLoop;
+  const step = ++app.arpStepIndex;
+  stopNote(time);
+  playNote(frequency, 0, app.velocityMode === 'off' ? undefined : app.noteVelocity, time);
+
+  Tone.Draw.schedule(() => {
+    if (app.arpLoop !== loop) return;
+    app.arpFrequency = frequency;
+    document.getElementById('currentFrequency').textContent = frequency.toFixed(2) + ' Hz';
+    recordNote();
+    createNoteParticles();
+  }, time);
+
+  // Release after the gate unless the next step has already started. Tone.now()
+  // includes the look-ahead, so the timer fires in time to schedule the release
+  const releaseAt = time + loop.interval * app.arpGate;
+  clearTimeout(app.arpGateTimer);
+  app.arpGateTimer = setTimeout(() => {
+    app.arpGateTimer = null;
+    if (app.arpLoop === loop && app.arpStepIndex === step) {
+      stopNote(releaseAt);
+    }
+  }, Math.max(0, releaseAt - Tone.now()) * 1000);
+}
+
+// MediaPipe Hands results callback
+function onHandsResults(results) {
+  if (!app.isRunning) return;
+
+  // Frame skipping optimization: if FPS drops, process fewer frames
+  app.frameCount++;
+  if (app.frameCount % app.processEveryNthFrame !== 0) {
+    return; // Skip this frame
+  }
+
+  // Calculate FPS
+  const now = performance.now();
+  if (app.lastFrameTime > 0) {
+    const delta = now - app.lastFrameTime;
     app.fps = Math.round(1000 / delta);
     document.getElementById('fpsCounter').textContent = app.fps;
     
@@ -486,7 +2200,9 @@ function onHandsResults(results) {
   app.ctx.clearRect(0, 0, app.canvas.width, app.canvas.height);
 
   // Draw note zones
-  drawNoteZones();
+  if (app.playMode !== 'drums' && app.playMode !== 'fingers') {
+    drawNoteZones();
+  }
 
   // Draw video frame (mirrored)
   app.ctx.save();
@@ -495,447 +2211,3264 @@ function onHandsResults(results) {
   app.ctx.drawImage(results.image, 0, 0, app.canvas.width, app.canvas.height);
   app.ctx.restore();
 
-  // Check if hand is detected
-  if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
+  // Drum pads and finger keys go over the video so hits can flash
+  if (app.playMode === 'drums') {
+    drawDrumPads();
+  } else if (app.playMode === 'fingers') {
+    drawFingerKeyboard();
+  }
+
+  // Check if the melody hand is detected (the only hand in one-hand mode)
+  const hands = smoothHands(splitHands(results), now);
+
+  // The calibration wizard has the hand to itself: nothing plays
+  if (app.calibrationRun) {
+    updateSecondHand(null, now);
+    if (hands.melody) {
+      drawHandSkeleton(hands.melody, HAND_COLORS.melody);
+    }
+    updateCalibration(hands.melody, now);
+    return;
+  }
+  if (hands.melody) {
     app.handDetected = true;
-    const landmarks = results.multiHandLandmarks[0];
+    const landmarks = hands.melody;
     
     extractPointerFinger(landmarks);
+    app.handFeatures = utils.extractHandFeatures(landmarks, app.handFeatures, now, app.calibration);
+    app.handLostAt = 0;
+    updateLatch(landmarks);
     
     if (app.pointerFinger) {
-      mapPositionToNote();
-      calculateDynamicVolume(); // Add dynamic volume control
-      updateOctaveShift(landmarks); // Phase 8: Multi-octave support
-      
-      drawHandSkeleton(landmarks);
-      drawPointer();
-      drawTrail(); // Phase 8: Visual trail effect
-      highlightActiveZone();
+      // A latched note stays frozen (pitch, octave and modulation) until the fist opens
+      if (!app.latched) {
+        if (app.playMode === 'drums') {
+          detectPadStrike();
+        } else if (app.playMode === 'theremin') {
+          mapPositionToPitch();
+        } else if (app.playMode === 'zones') {
+          mapPositionToNote();
+        }
+        updatePinchGate();
+        applyModulation();
+        // Finger keys: curling fingers moves the hand in depth, so no depth octaves
+        if (!app.modifierHandActive && app.playMode !== 'fingers') {
+          updateOctaveShift(landmarks); // Phase 8: Multi-octave support
+        }
+      }
       
-      // Play the note!
-      if (app.currentNote) {
-        const adjustedFrequency = getFrequencyWithOctave(app.currentNote.frequency);
-        playNote(adjustedFrequency);
+      drawHandSkeleton(landmarks, HAND_COLORS.melody);
+      if (app.playMode !== 'fingers') {
+        drawPointer();
+        drawTrail(); // Phase 8: Visual trail effect
       }
+      if (app.playMode === 'zones' || app.playMode === 'theremin') {
+        highlightActiveZone();
+      }
+      
+      // Play the note (or chord)! Drum pads and finger keys are played by their own handlers
+      playCurrentZone(landmarks);
     }
     
-    document.getElementById('handStatus').textContent = 'Yes';
-    updateStatus('🎵 Playing notes!', 'active');
+    document.getElementById('handStatus').textContent =
+      (app.latched ? 'Yes (latched)' : 'Yes') + (hands.other ? ' + 2nd' : '');
+    updateStatus(app.latched ? '✊ Note latched - open your hand to play on' : '🎵 Playing notes!', 'active');
     
   } else {
     app.handDetected = false;
     app.pointerFinger = null;
+    app.strikeState = null;
+    app.handFeatures = null;  // The next hand starts a fresh speed reading
+    app.pinchState = null;    // ...and has to pinch to play again
+    if (!app.handLostAt) {
+      app.handLostAt = now;
+    }
     
-    // Stop playing when hand is not detected
-    stopNote();
-    
-    app.currentNote = null;
-    app.currentNoteIndex = -1;
-    app.dynamicVolumeMultiplier = 1.0;
-    
-    document.getElementById('handStatus').textContent = 'No';
-    document.getElementById('noteZone').textContent = '--';
-    document.getElementById('currentNote').textContent = '--';
-    document.getElementById('currentFrequency').textContent = '-- Hz';
-    document.getElementById('dynamicVolume').textContent = '100%';
-    updateStatus('No hand detected - Move hand into view', 'detecting');
+    // Keep the note through dropouts while latched, sustained or within the grace period
+    // (finger keys release themselves in updateFingerKeys)
+    if (app.playMode === 'fingers') {
+      document.getElementById('handStatus').textContent = hands.other ? '2nd only' : 'No';
+      updateStatus('No hand detected - Move hand into view', 'detecting');
+    } else if (isNoteHeld(now)) {
+      document.getElementById('handStatus').textContent = 'No (holding)';
+      updateStatus('Holding note - Move hand into view to play on', 'detecting');
+    } else {
+      releaseHandNote();
+      updateStatus('No hand detected - Move hand into view', 'detecting');
+    }
+  }
+  updateSecondHand(hands.other, now);
+  if (app.playMode === 'fingers') {
+    updateFingerKeys(hands);
   }
+  updateGestures(app.gestureHand === 'other' ? hands.other : hands.melody, now);
   
   // Phase 8: Update visual effects on every frame
   updateParticles();
+  updateLoopPosition();
+}
+
+/**
+ * Sound the Zone Under the Melody Pointer for this Frame
+ * 
+ * Zones and theremin modes only; drum pads and finger keys are played
+ * by their own handlers.
+ * 
+ * @param {Array|null} landmarks - Melody hand's landmarks, for the chord
+ *   finger count (null = pointer input, the chord type stays as it is)
+ */
+function playCurrentZone(landmarks) {
+  if (!app.currentNote || (app.playMode !== 'zones' && app.playMode !== 'theremin') ||
+      app.latched || !pinchGateOpen()) {
+    return;
+  }
+
+  if (app.playMode === 'theremin') {
+    // Theremin is always a single gliding voice (a pinch onset restrikes it)
+    const velocity = app.onsetPending ? app.noteVelocity : undefined;
+    app.onsetPending = false;
+    playNote(app.thereminFrequency, app.glideTime, velocity);
+    return;
+  }
+  if (app.chordMode && landmarks) {
+    updateChordType(landmarks);
+  }
+  if (app.arpSource !== 'off') {
+    // The arpeggiator plays the notes on its own clock
+    updateArpeggiator();
+  } else {
+    soundCurrentNote();
+  }
 }
 
 // (rest of functions are defined below in this file)
 
-// Draw note zones
-function drawNoteZones() {
-  const zoneHeight = app.canvas.height / NOTES.length;
-  
-  NOTES.forEach((note, index) => {
-    const y = index * zoneHeight;
-    
-    app.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-    app.ctx.lineWidth = 2;
-    app.ctx.beginPath();
-    app.ctx.moveTo(0, y);
-    app.ctx.lineTo(app.canvas.width, y);
-    app.ctx.stroke();
-    
-    app.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
-    app.ctx.font = 'bold 40px Arial';
-    app.ctx.textAlign = 'right';
-    app.ctx.textBaseline = 'middle';
-    app.ctx.fillText(note.name, app.canvas.width - 20, y + zoneHeight / 2);
-  });
+// ===== POINTER INPUT =====
+
+/**
+ * Start Playing with Mouse, Touch or Pen
+ * 
+ * Pointer events on the canvas feed the same pointer model as the hand
+ * tracker (app.pointerFinger) and pointerFrame() stands in for
+ * onHandsResults(). Used when chosen in the Input menu or when the
+ * camera can't start.
+ */
+function startPointerInput() {
+  app.canvas.width = POINTER_CANVAS.width;
+  app.canvas.height = POINTER_CANVAS.height;
+  app.canvas.classList.add('pointer-input');
+  rebuildZones();
+  app.pointers = [];
+  setOctaveShift(0);  // No hand depth to read; don't keep a shift left over from camera play
+  app.pointerFrameId = requestAnimationFrame(pointerFrame);
 }
 
-// Extract pointer finger
-function extractPointerFinger(landmarks) {
-  const landmark = landmarks[INDEX_FINGER_TIP];
-  
-  app.pointerFinger = {
-    x: landmark.x * app.canvas.width,
-    y: landmark.y * app.canvas.height,
-    z: landmark.z,
-    displayX: (1 - landmark.x) * app.canvas.width
+/**
+ * Stop the Pointer Input Loop
+ */
+function stopPointerInput() {
+  if (app.pointerFrameId !== null) {
+    cancelAnimationFrame(app.pointerFrameId);
+    app.pointerFrameId = null;
+  }
+  app.pointers = [];
+  app.canvas.classList.remove('pointer-input');
+}
+
+/**
+ * Pointer Model for a Pointer Event
+ * 
+ * Same shape as extractPointerFinger(): x is in camera (unmirrored)
+ * pixels, displayX as drawn. There is no depth; only a pen reports
+ * pressure.
+ * 
+ * @param {PointerEvent} event - Pointer event on the canvas
+ * @returns {{id: number, x: number, y: number, z: number, displayX: number, pressure: number|null}}
+ */
+function eventPointer(event) {
+  const point = utils.clientToCanvas(event.clientX, event.clientY, app.canvas.getBoundingClientRect(),
+    app.canvas.width, app.canvas.height);
+  return {
+    id: event.pointerId,
+    x: app.canvas.width - point.displayX,
+    y: point.y,
+    z: 0,
+    displayX: point.displayX,
+    pressure: event.pointerType === 'pen' ? event.pressure : null
   };
 }
 
-// Map position to note
-function mapPositionToNote() {
-  if (!app.pointerFinger) return;
-  
-  const y = app.pointerFinger.y;
-  const zoneHeight = app.canvas.height / NOTES.length;
-  
-  let noteIndex = Math.floor(y / zoneHeight);
-  noteIndex = Math.max(0, Math.min(NOTES.length - 1, noteIndex));
-  
-  // Apply hysteresis
-  if (app.currentNoteIndex !== -1) {
-    const yDiff = Math.abs(y - app.lastNoteChangeY);
-    if (yDiff < NOTE_CHANGE_THRESHOLD && noteIndex !== app.currentNoteIndex) {
-      noteIndex = app.currentNoteIndex;
+/**
+ * Press, Move or Lift a Pointer
+ * 
+ * A mouse plays while its button is down. Each touch is its own pointer;
+ * in drum mode every press hits the pad under it.
+ * 
+ * @param {PointerEvent} event - pointerdown, pointermove, pointerup or pointercancel
+ */
+function handlePointerEvent(event) {
+  if (!app.isRunning || app.inputSource !== 'pointer') return;
+  event.preventDefault();
+
+  const index = app.pointers.findIndex(p => p.id === event.pointerId);
+  if (event.type === 'pointerdown') {
+    app.canvas.setPointerCapture(event.pointerId);
+    const pointer = eventPointer(event);
+    app.pointers.push(pointer);
+    if (app.playMode === 'drums') {
+      hitPad(pointer, typeof pointer.pressure === 'number' ? pointer.pressure : 1);
     }
+  } else if (event.type === 'pointermove') {
+    if (index !== -1) {
+      app.pointers[index] = eventPointer(event);
+    }
+  } else if (index !== -1) {
+    app.pointers.splice(index, 1);
   }
-  
-  // Update note if changed (with throttling: max 10 changes per second)
-  if (noteIndex !== app.currentNoteIndex) {
-    const now = performance.now();
-    const timeSinceLastChange = now - app.lastNoteChangeTime;
-    
-    // Only allow note change if enough time has passed
-    if (timeSinceLastChange >= MIN_NOTE_CHANGE_INTERVAL) {
-      app.currentNoteIndex = noteIndex;
-      app.currentNote = NOTES[noteIndex];
-      app.lastNoteChangeY = y;
-      app.lastNoteChangeTime = now;
-      
-      document.getElementById('currentNote').textContent = app.currentNote.name;
-      document.getElementById('currentFrequency').textContent = app.currentNote.frequency.toFixed(2) + ' Hz';
-      document.getElementById('noteZone').textContent = app.currentNote.name;
-      
-      // Phase 8: Record note and create visual effect
-      recordNote();
-      createNoteParticles();
+}
+
+/**
+ * Draw and Play One Frame of Pointer Input
+ * 
+ * The first pointer pressed plays the melody (zones or theremin); a
+ * second plays the second voice, as a second hand would. Finger piano,
+ * calibration, pose gestures and hand-feature modulation need the camera.
+ */
+function pointerFrame() {
+  if (!app.isRunning || app.inputSource !== 'pointer') {
+    app.pointerFrameId = null;
+    return;
+  }
+  app.pointerFrameId = requestAnimationFrame(pointerFrame);
+  const now = performance.now();
+
+  // No video behind the zones, so give them a dark backdrop
+  app.ctx.fillStyle = '#1a1a2e';
+  app.ctx.fillRect(0, 0, app.canvas.width, app.canvas.height);
+  if (app.playMode === 'drums') {
+    drawDrumPads();
+  } else if (app.playMode !== 'fingers') {
+    drawNoteZones();
+  }
+
+  const [melody, second] = app.pointers;
+  if (app.playMode === 'fingers') {
+    releaseHandNote();
+    updateStatus('Finger piano needs the camera - pick another play mode', 'detecting');
+  } else if (melody) {
+    app.handDetected = true;
+    app.pointerFinger = melody;
+    app.handLostAt = 0;
+
+    if (app.playMode === 'theremin') {
+      mapPositionToPitch();
+    } else if (app.playMode === 'zones') {
+      mapPositionToNote();
+    }
+    drawPointer();
+    drawTrail();
+    if (app.playMode === 'zones' || app.playMode === 'theremin') {
+      highlightActiveZone();
+    }
+    playCurrentZone(null);
+
+    document.getElementById('handStatus').textContent = 'Pointer' + (second ? ' + 2nd' : '');
+    updateStatus('🎵 Playing notes!', 'active');
+  } else {
+    app.handDetected = false;
+    app.pointerFinger = null;
+    if (!app.handLostAt) {
+      app.handLostAt = now;
+    }
+    if (isNoteHeld(now)) {
+      document.getElementById('handStatus').textContent = 'No (holding)';
+    } else {
+      releaseHandNote();
+      updateStatus('Click, touch or draw on the canvas to play', 'detecting');
     }
   }
+
+  if (second) {
+    playSecondPointer(second, 0);
+  } else {
+    releaseSecondHand();
+  }
+
+  updateParticles();
+  updateLoopPosition();
 }
 
-// Highlight active zone
-function highlightActiveZone() {
-  if (!app.currentNote || app.currentNoteIndex === -1) return;
+// ===== TWO-HAND PLAY =====
 
-  const zoneHeight = app.canvas.height / NOTES.length;
-  const y = app.currentNoteIndex * zoneHeight;
+/**
+ * Split the Detected Hands into the Melody Hand and the Other Hand
+ * 
+ * In one-hand mode the first hand found plays, whichever it is.
+ * Otherwise MediaPipe's handedness decides (see utils.assignHandRoles).
+ * 
+ * @param {object} results - MediaPipe Hands results
+ * @returns {{melody: Array|null, other: Array|null}} Landmarks of each hand
+ */
+function splitHands(results) {
+  const all = results.multiHandLandmarks || [];
+  if (app.handMode === 'single' || all.length === 0) {
+    return { melody: all[0] || null, other: null };
+  }
 
-  // Convert hex color to rgba with an animated (pulsing) alpha
-  function hexToRgba(hex, alpha) {
-    const h = hex.replace('#', '');
-    const bigint = parseInt(h, 16);
-    const r = (bigint >> 16) & 255;
-    const g = (bigint >> 8) & 255;
-    const b = bigint & 255;
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  const handedness = results.multiHandedness || [];
+  const roles = utils.assignHandRoles(all.map((landmarks, i) => ({
+    label: handedness[i] ? handedness[i].label : '',
+    x: landmarks[0].x
+  })), app.melodySide);
+  return {
+    melody: roles.melody >= 0 ? all[roles.melody] : null,
+    other: roles.other >= 0 ? all[roles.other] : null
+  };
+}
+
+/**
+ * Play or Apply the Second Hand for this Frame
+ * 
+ * - dualMelody: its own zones and depth octave on the second voice
+ * - bass: the same zones BASS_PERIODS_DOWN octaves lower, on the bass voice
+ * - modifiers: height, pinch and openness set octave, volume and filter
+ * The second voice is live only: it isn't recorded or looped. It sits
+ * out drum mode, where a second hand only works as a modifier, and
+ * finger piano mode, where its fingers are keys (see updateFingerKeys).
+ * 
+ * @param {Array|null} landmarks - Second hand's landmarks (null = not in view)
+ * @param {number} now - performance.now() of this frame
+ */
+function updateSecondHand(landmarks, now) {
+  if (!landmarks || app.handMode === 'single') {
+    releaseSecondHand();
+    return;
   }
 
-  // Subtle pulse: alpha oscillates over time for a gentle animation
-  const pulseAlpha = 0.12 + 0.06 * Math.sin(performance.now() / 300);
-  const fillColor = hexToRgba(app.currentNote.color, Math.abs(pulseAlpha));
+  drawHandSkeleton(landmarks, HAND_COLORS[app.handMode]);
+  const tip = landmarks[INDEX_FINGER_TIP];
+  const point = utils.mapToArea(tip.x, tip.y, app.calibration.area);
+  const pointer = {
+    displayX: (1 - point.x) * app.canvas.width,
+    y: point.y * app.canvas.height
+  };
 
+  if (app.handMode === 'modifiers') {
+    app.secondHandFeatures = utils.extractHandFeatures(landmarks, app.secondHandFeatures, now, app.calibration);
+    const modifiers = utils.handModifiers(app.secondHandFeatures);
+    app.modifierHandActive = true;
+    setOctaveShift(modifiers.octaveShift);
+    setModTarget('volume', modifiers.volume);
+    setModTarget('filterCutoff', modifiers.filterCutoff);
+    drawPointer(pointer, HAND_COLORS.modifiers);
+    return;
+  }
+
+  const depthShift = utils.zToOctaveShift(utils.averageDepth(landmarks), app.calibration.farZ, app.calibration.nearZ);
+  playSecondPointer(pointer, depthShift);
+}
+
+/**
+ * Play the Zone Under a Second Pointer on the Second Voice
+ * 
+ * Shared by the second hand and a second touch (pointer input). A bass
+ * hand plays BASS_PERIODS_DOWN octaves lower instead of following depth.
+ * 
+ * @param {{displayX: number, y: number}} pointer - Pointer in canvas pixels
+ * @param {number} depthShift - Octave shift from hand depth (0 without one)
+ */
+function playSecondPointer(pointer, depthShift) {
+  if (app.playMode === 'drums' || app.playMode === 'fingers' || NOTES.length === 0) {
+    releaseSecondHand();
+    return;
+  }
+
+  // Zone under the second fingertip, with the same hysteresis as the melody hand
+  const hand = app.secondHand || (app.secondHand = { zone: -1, anchor: { x: 0, y: 0 }, frequency: null });
+  const zoneIndex = zoneUnderPointer(pointer, hand.zone, hand.anchor);
+  if (zoneIndex === -1) {
+    // Hasn't reached a zone yet (the radial hub)
+    drawPointer(pointer, HAND_COLORS[app.handMode] || HAND_COLORS.dualMelody);
+    return;
+  }
+  if (zoneIndex !== hand.zone) {
+    hand.zone = zoneIndex;
+    hand.anchor = { x: pointer.displayX, y: pointer.y };
+  }
+
+  const { note } = zoneNote(zoneIndex);
+  const shift = (app.handMode === 'bass' ? -BASS_PERIODS_DOWN : depthShift) + app.octaveTranspose;
+  const frequency = utils.getFrequencyWithOctave(note.frequency, shift, app.tuning.period);
+  playSecondVoice(frequency);
+  drawPointer(pointer, note.color);
+}
+
+/**
+ * Start or Glide the Second Voice
+ * 
+ * @param {number} frequency - Frequency in Hz
+ */
+function playSecondVoice(frequency) {
+  const hand = app.secondHand;
+  if (!app.secondSynth || !app.audioInitialized || frequency === hand.frequency) return;
+
+  if (hand.frequency === null) {
+    app.secondSynth.triggerAttack(frequency);
+  } else if (app.handMode !== 'bass' && app.soundSettings.portamento > 0) {
+    app.secondSynth.frequency.rampTo(frequency, app.soundSettings.portamento);
+  } else {
+    app.secondSynth.frequency.setValueAtTime(frequency, Tone.now());
+  }
+  hand.frequency = frequency;
+}
+
+/**
+ * Silence the Second Hand and Hand Back What a Modifier Hand Controlled
+ */
+function releaseSecondHand() {
+  if (app.secondHand && app.secondHand.frequency !== null && app.secondSynth) {
+    app.secondSynth.triggerRelease();
+  }
+  app.secondHand = null;
+  app.secondHandFeatures = null;
+  if (app.modifierHandActive) {
+    app.modifierHandActive = false;
+    resetModulation();
+  }
+}
+
+// ===== PINCH TO PLAY =====
+
+/**
+ * Is the Note Allowed to Sound?
+ * 
+ * @returns {boolean} Always true in continuous articulation or with pointer input; while pinched otherwise
+ */
+function pinchGateOpen() {
+  // Pointer input only plays while pressed, which is its own gate
+  return app.inputSource === 'pointer' || utils.pinchGateOpen(app.articulation, app.pinchState);
+}
+
+/**
+ * Advance the Pinch Gate for This Frame
+ * 
+ * Runs after the zone is picked, so an onset strikes the zone under
+ * the finger now. Only zones and theremin modes are gated.
+ * - onset: strike (at the stroke's velocity if pinch velocity is on)
+ *   and record, even if the zone is the same as last time
+ * - release: silence the note; the zone keeps following the hand
+ */
+function updatePinchGate() {
+  if (app.articulation !== 'pinch' || !app.handFeatures ||
+      (app.playMode !== 'zones' && app.playMode !== 'theremin')) return;
+
+  app.pinchState = utils.pinchGate(app.pinchState, app.handFeatures.pinch);
+  if (app.pinchState.onset && app.currentNote) {
+    app.noteVelocity = app.pinchVelocity ? app.pinchState.velocity : currentOnsetVelocity();
+    app.onsetPending = app.pinchVelocity || app.velocityMode !== 'off';
+    recordNote();
+    createNoteParticles();
+  } else if (app.pinchState.release) {
+    stopArpeggiator();
+    cancelPendingNote();
+    liftNote();
+  }
+}
+
+/**
+ * Draw the Pinch Ring Around the Pointer
+ * 
+ * The ring shrinks as thumb and index close and turns solid once the
+ * pinch holds the note.
+ * 
+ * @param {number} x - Pointer X on the canvas
+ * @param {number} y - Pointer Y on the canvas
+ */
+function drawPinchIndicator(x, y) {
+  const pinched = pinchGateOpen();
+  const radius = 22 + 30 * utils.clamp(app.handFeatures.pinch, 0, 1);
+  const ctx = app.ctx;
+
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, 2 * Math.PI);
+  ctx.strokeStyle = pinched ? '#2ecc71' : 'rgba(255, 255, 255, 0.7)';
+  ctx.lineWidth = pinched ? 6 : 2;
+  ctx.setLineDash(pinched ? [] : [6, 6]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+// ===== FINGER PIANO =====
+
+/**
+ * Hands Playing Finger Keys, Lowest Keys First
+ * 
+ * The other hand joins in the two-hand melody and bass modes; a
+ * modifier hand keeps its modifier role.
+ * 
+ * @returns {Array<{role: string, side: string}>} Hand role ('melody' or 'other') and performer's side
+ */
+function fingerKeyHands() {
+  const otherSide = app.melodySide === 'right' ? 'left' : 'right';
+  const hands = [{ role: 'melody', side: app.melodySide }];
+  if (app.handMode === 'dualMelody' || app.handMode === 'bass') {
+    hands.push({ role: 'other', side: otherSide });
+  }
+  return hands.sort((a, b) => (a.side === 'left' ? 0 : 1) - (b.side === 'left' ? 0 : 1));
+}
+
+/**
+ * Pitch and Colour of a Finger Key
+ * 
+ * @param {number} key - Key number (utils.fingerKeyIndex)
+ * @returns {{name: string, frequency: number, color: string, noteIndex: number, octaveShift: number}}
+ */
+function fingerKeyNote(key) {
+  const { step, octave } = utils.fingerKeyNote(key, NOTES.length);
+  const noteIndex = NOTES.length - 1 - step;  // NOTES runs highest first
+  const note = NOTES[noteIndex];
+  const octaveShift = octave + app.currentOctaveShift + app.octaveTranspose;
+  return {
+    name: note.name,
+    frequency: utils.getFrequencyWithOctave(note.frequency, octaveShift, app.tuning.period),
+    color: note.color,
+    noteIndex: noteIndex,
+    octaveShift: octaveShift
+  };
+}
+
+/**
+ * Read Every Playing Hand's Fingers and Sound or Release Their Keys
+ * 
+ * A lost hand lets its keys go. With the sustain pedal down, released
+ * keys keep sounding until it comes up.
+ * 
+ * @param {{melody: Array|null, other: Array|null}} hands - This frame's landmarks by role
+ */
+function updateFingerKeys(hands) {
+  if (NOTES.length === 0) return;
+
+  const playing = fingerKeyHands();
+  const wanted = new Set();
+  playing.forEach(({ role, side }) => {
+    const landmarks = hands[role];
+    if (!landmarks) {
+      app.fingerPressed[role] = [];
+      return;
+    }
+    const pressed = utils.fingerKeyPresses(utils.fingerCurls(landmarks), app.fingerPressed[role]);
+    app.fingerPressed[role] = pressed;
+    const keys = pressed.map((_, finger) => utils.fingerKeyIndex(side, finger, playing.length));
+    pressed.forEach((down, finger) => {
+      if (down) wanted.add(keys[finger]);
+    });
+    drawFingerKeys(landmarks, pressed, keys);
+  });
+
+  if (!app.sustainPedal) {
+    Object.keys(app.fingerHeld).map(Number).forEach((key) => {
+      if (!wanted.has(key)) releaseFingerKey(key);
+    });
+  }
+  wanted.forEach((key) => {
+    if (!(key in app.fingerHeld)) pressFingerKey(key);
+  });
+}
+
+/**
+ * Sound a Finger Key
+ * 
+ * Keys share the chord voices (PolySynth or sampler), so stopNote()
+ * releases them along with everything else.
+ * 
+ * @param {number} key - Key number
+ */
+function pressFingerKey(key) {
+  const voice = app.sampler || app.polySynth;
+  if (!voice || !app.audioInitialized) return;
+
+  const note = fingerKeyNote(key);
+  voice.triggerAttack(note.frequency, Tone.now());
+  app.fingerHeld[key] = note.frequency;
+  app.activeChordFrequencies = Object.values(app.fingerHeld);
+
+  if (!app.isPlaying) {
+    app.isPlaying = true;
+    document.getElementById('soundIndicator').classList.add('playing');
+    document.getElementById('soundStatus').textContent = 'On';
+    document.getElementById('noteDisplay').classList.add('playing');
+  }
+
+  app.currentNote = { name: note.name, frequency: note.frequency, color: note.color, octaveShift: note.octaveShift, fingerKey: key };
+  app.currentNoteIndex = note.noteIndex;
+  document.getElementById('currentNote').textContent = note.name;
+  document.getElementById('currentFrequency').textContent = note.frequency.toFixed(2) + ' Hz';
+  document.getElementById('noteZone').textContent = 'Key ' + (key + 1);
+  recordNote();
+}
+
+/**
+ * Release a Finger Key
+ * 
+ * The last key up goes through stopNote() so the sound indicators and
+ * loop capture end with it.
+ * 
+ * @param {number} key - Key number
+ */
+function releaseFingerKey(key) {
+  if (Object.keys(app.fingerHeld).length === 1) {
+    stopNote();
+    return;
+  }
+  const voice = app.sampler || app.polySynth;
+  if (voice) {
+    voice.triggerRelease(app.fingerHeld[key]);
+  }
+  delete app.fingerHeld[key];
+  app.activeChordFrequencies = Object.values(app.fingerHeld);
+  endLoopEvent();  // The looped chord ends here; keys still down aren't re-captured
+}
+
+/**
+ * Draw a Ring at Each Fingertip, Filled While Its Key Is Down
+ * 
+ * @param {Array} landmarks - 21 hand landmarks
+ * @param {boolean[]} pressed - Key down per finger
+ * @param {number[]} keys - Key number per finger
+ */
+function drawFingerKeys(landmarks, pressed, keys) {
+  const ctx = app.ctx;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'bottom';
+  ctx.font = 'bold 14px Arial';
+
+  utils.FINGER_NAMES.forEach((name, finger) => {
+    const tip = landmarks[utils.FINGER_LANDMARKS[name][3]];
+    const x = (1 - tip.x) * app.canvas.width;
+    const y = tip.y * app.canvas.height;
+    const note = fingerKeyNote(keys[finger]);
+
+    ctx.beginPath();
+    ctx.arc(x, y, 12, 0, 2 * Math.PI);
+    if (pressed[finger]) {
+      ctx.fillStyle = note.color;
+      ctx.fill();
+    }
+    ctx.strokeStyle = pressed[finger] ? 'white' : note.color;
+    ctx.lineWidth = 3;
+    ctx.stroke();
+
+    ctx.fillStyle = 'white';
+    ctx.fillText(note.name, x, y - 16);
+  });
+}
+
+/**
+ * Draw the Finger Keys as a Keyboard Strip Along the Bottom
+ */
+function drawFingerKeyboard() {
+  if (NOTES.length === 0) return;
+
+  const count = fingerKeyHands().length * 5;
+  const height = Math.round(app.canvas.height * 0.08);
+  const width = app.canvas.width / count;
+  const top = app.canvas.height - height;
+  const ctx = app.ctx;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = `bold ${Math.round(height * 0.4)}px Arial`;
+
+  for (let key = 0; key < count; key++) {
+    const note = fingerKeyNote(key);
+    const down = key in app.fingerHeld;
+    ctx.fillStyle = down ? note.color : 'rgba(0, 0, 0, 0.35)';
+    ctx.fillRect(key * width, top, width, height);
+    ctx.strokeStyle = note.color;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(key * width + 1, top + 1, width - 2, height - 2);
+    ctx.fillStyle = 'white';
+    ctx.fillText(note.name, key * width + width / 2, top + height / 2);
+  }
+}
+
+// ===== CALIBRATION =====
+
+/**
+ * Read the Saved Calibration Profiles
+ * 
+ * @returns {{active: string, profiles: Object<string, object>}} Active profile name ('' = default) and profiles by name
+ */
+function loadCalibrationProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CALIBRATION_KEY));
+    if (saved && saved.profiles && typeof saved.profiles === 'object') {
+      return { active: typeof saved.active === 'string' ? saved.active : '', profiles: saved.profiles };
+    }
+  } catch (error) {
+    console.warn('Could not read saved calibration profiles:', error.message);
+  }
+  return { active: '', profiles: {} };
+}
+
+/**
+ * Write the Calibration Profiles to localStorage
+ * 
+ * @param {{active: string, profiles: Object<string, object>}} store - As returned by loadCalibrationProfiles()
+ */
+function storeCalibrationProfiles(store) {
+  try {
+    localStorage.setItem(CALIBRATION_KEY, JSON.stringify(store));
+  } catch (error) {
+    showError('Could not save calibration profiles: ' + error.message);
+  }
+}
+
+/**
+ * Make a Calibration Profile the Active One
+ * 
+ * @param {string} name - Profile name ('' or an unknown name = built-in default)
+ */
+function selectCalibrationProfile(name) {
+  const store = loadCalibrationProfiles();
+  const profile = store.profiles[name];
+  app.calibrationProfile = profile ? name : '';
+  app.calibration = utils.normalizeCalibration(profile);
+  if (store.active !== app.calibrationProfile) {
+    store.active = app.calibrationProfile;
+    storeCalibrationProfiles(store);
+  }
+  updateCalibrationProfileList();
+}
+
+/**
+ * Delete the Active Calibration Profile
+ */
+function deleteCalibrationProfile() {
+  if (!app.calibrationProfile) {
+    alert('The default calibration can\'t be deleted.');
+    return;
+  }
+  if (!confirm(`Delete the calibration profile "${app.calibrationProfile}"?`)) return;
+
+  const store = loadCalibrationProfiles();
+  delete store.profiles[app.calibrationProfile];
+  storeCalibrationProfiles(store);
+  selectCalibrationProfile('');
+}
+
+/**
+ * Rebuild the Profile Dropdown and the Summary of the Active Profile
+ */
+function updateCalibrationProfileList() {
+  const select = document.getElementById('calibrationSelect');
+  while (select.firstChild) select.removeChild(select.firstChild);
+
+  const names = [''].concat(Object.keys(loadCalibrationProfiles().profiles).sort());
+  names.forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name || 'Default (whole frame)';
+    select.appendChild(option);
+  });
+  select.value = app.calibrationProfile;
+
+  const c = app.calibration;
+  const percent = (v) => Math.round(v * 100);
+  document.getElementById('calibrationSummary').textContent =
+    `Reach ${percent(c.area.minX)}-${percent(c.area.maxX)}% across, ${percent(c.area.minY)}-${percent(c.area.maxY)}% down · ` +
+    `depth ${c.farZ.toFixed(3)} (far) to ${c.nearZ.toFixed(3)} (near) · ` +
+    `zone dead band ${c.hysteresisPx}px · ${c.minNoteIntervalMs}ms between notes`;
+}
+
+/**
+ * Start the Calibration Wizard
+ * 
+ * Needs the camera running. Whatever was sounding stops; nothing plays
+ * until the wizard ends.
+ */
+function startCalibration() {
+  if (!app.isRunning || app.inputSource !== 'camera') {
+    showError('Start the camera first, then calibrate.');
+    return;
+  }
+  hideError();
+  releaseHandNote();
+  app.calibrationRun = { step: 0, startedAt: 0, samples: { area: [], near: [], far: [], still: [] } };
+  document.getElementById('calibrateBtn').textContent = '✖ Cancel';
+  document.getElementById('calibrationStatus').style.display = 'block';
+}
+
+/**
+ * Stop the Calibration Wizard
+ * 
+ * @param {string} message - Shown in the wizard status line
+ */
+function endCalibration(message) {
+  app.calibrationRun = null;
+  document.getElementById('calibrateBtn').textContent = '📐 Calibrate';
+  document.getElementById('calibrationStatus').textContent = message;
+}
+
+/**
+ * Run One Frame of the Calibration Wizard
+ * 
+ * A step's clock starts when a hand is in view. The first
+ * CALIBRATION_SETTLE_SECONDS give time to get into position; samples
+ * are taken for the rest of the step.
+ * 
+ * @param {Array|null} landmarks - Melody hand landmarks (null = not in view)
+ * @param {number} now - performance.now() of this frame
+ */
+function updateCalibration(landmarks, now) {
+  const run = app.calibrationRun;
+  const step = CALIBRATION_STEPS[run.step];
+  const label = `Step ${run.step + 1}/${CALIBRATION_STEPS.length}: ${step.text}`;
+  const status = document.getElementById('calibrationStatus');
+
+  if (!landmarks) {
+    status.textContent = label + ' (show your hand to the camera)';
+    updateStatus('📐 Calibrating - Move hand into view', 'detecting');
+    return;
+  }
+  if (!run.startedAt) {
+    run.startedAt = now;
+  }
+
+  const elapsed = (now - run.startedAt) / 1000;
+  const tip = landmarks[INDEX_FINGER_TIP];
+  if (elapsed >= CALIBRATION_SETTLE_SECONDS) {
+    if (step.id === 'near' || step.id === 'far') {
+      run.samples[step.id].push(utils.averageDepth(landmarks));
+    } else {
+      run.samples[step.id].push({ x: tip.x, y: tip.y });
+    }
+  }
+  drawPointer({ displayX: (1 - tip.x) * app.canvas.width, y: tip.y * app.canvas.height }, HAND_COLORS.melody);
+
+  const remaining = Math.ceil(CALIBRATION_SETTLE_SECONDS + step.seconds - elapsed);
+  status.textContent = `${label} (${Math.max(remaining, 0)}s)`;
+  updateStatus('📐 Calibrating - ' + step.text, 'active');
+
+  if (elapsed >= CALIBRATION_SETTLE_SECONDS + step.seconds) {
+    run.step++;
+    run.startedAt = 0;
+    if (run.step === CALIBRATION_STEPS.length) {
+      // Leave the camera callback before the name prompt blocks the page
+      const samples = run.samples;
+      endCalibration('Calibration finished');
+      setTimeout(() => saveCalibration(samples), 0);
+    }
+  }
+}
+
+/**
+ * Turn the Wizard's Samples into a Profile and Save It
+ * 
+ * @param {object} samples - Samples by step id (see utils.deriveCalibration)
+ */
+function saveCalibration(samples) {
+  let calibration;
+  try {
+    calibration = utils.deriveCalibration(samples, app.canvas.height);
+  } catch (error) {
+    showError(error.message);
+    endCalibration('Calibration failed - try again');
+    return;
+  }
+
+  const name = (prompt('Name this calibration profile:', app.calibrationProfile) || '').trim();
+  if (!name) {
+    endCalibration('Calibration not saved');
+    return;
+  }
+
+  const store = loadCalibrationProfiles();
+  if (store.profiles[name] && name !== app.calibrationProfile && !confirm(`Replace the profile "${name}"?`)) {
+    endCalibration('Calibration not saved');
+    return;
+  }
+  store.profiles[name] = calibration;
+  storeCalibrationProfiles(store);
+  selectCalibrationProfile(name);
+  endCalibration(`Saved as "${name}"`);
+}
+
+// ===== LANDMARK SMOOTHING =====
+
+/**
+ * Filter Each Hand's Landmarks Before Anything Reads Them
+ * 
+ * Each role keeps its own filter; a hand leaving view resets its
+ * filter so the next hand doesn't slide in from the old position.
+ * 
+ * @param {{melody: Array|null, other: Array|null}} hands - Raw landmarks from splitHands()
+ * @param {number} now - performance.now() of this frame
+ * @returns {{melody: Array|null, other: Array|null}} Smoothed landmarks
+ */
+function smoothHands(hands, now) {
+  const smoothed = {};
+  ['melody', 'other'].forEach((role) => {
+    const raw = hands[role];
+    if (!raw) {
+      app.smoothingState[role] = null;
+      smoothed[role] = null;
+      return;
+    }
+    const step = utils.smoothLandmarks(raw, app.smoothingState[role], now, app.smoothing);
+    app.smoothingState[role] = step.state;
+    smoothed[role] = step.landmarks;
+    if (app.showSmoothingDebug) {
+      drawSmoothingDebug(raw, step.landmarks);
+    }
+  });
+  return smoothed;
+}
+
+/**
+ * Debug Overlay: Raw vs Filtered Landmarks
+ * 
+ * Red dots are MediaPipe's raw points, green the filtered ones, joined
+ * by a line showing how far the filter holds each point back.
+ * 
+ * @param {Array} raw - Raw landmarks
+ * @param {Array} filtered - Smoothed landmarks
+ */
+function drawSmoothingDebug(raw, filtered) {
+  const ctx = app.ctx;
+  const toCanvas = (point) => [(1 - point.x) * app.canvas.width, point.y * app.canvas.height];
+
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+  raw.forEach((point, i) => {
+    const [rx, ry] = toCanvas(point);
+    const [fx, fy] = toCanvas(filtered[i]);
+    ctx.beginPath();
+    ctx.moveTo(rx, ry);
+    ctx.lineTo(fx, fy);
+    ctx.stroke();
+
+    ctx.fillStyle = '#ff4d4d';
+    ctx.beginPath();
+    ctx.arc(rx, ry, 3, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillStyle = '#2ecc71';
+    ctx.beginPath();
+    ctx.arc(fx, fy, 3, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+}
+
+// ===== HOLD & SUSTAIN =====
+
+/**
+ * Latch or Unlatch the Note from the Hand Shape
+ * 
+ * With latch on, closing the fist while a note sounds freezes it;
+ * opening the hand lets it follow the finger again.
+ * 
+ * @param {Array} landmarks - 21 hand landmarks
+ */
+function updateLatch(landmarks) {
+  // A fist in finger piano mode is every key down, not a latch
+  if (!app.latchEnabled || app.playMode === 'fingers' || !utils.isClosedFist(landmarks)) {
+    app.latched = false;
+  } else if (app.isPlaying || app.arpLoop) {
+    app.latched = true;
+  }
+}
+
+/**
+ * Should the Note Keep Sounding with No Hand in View?
+ * 
+ * @param {number} now - performance.now() of this frame
+ * @returns {boolean} true while latched, sustained or within the grace period
+ */
+function isNoteHeld(now) {
+  if (!app.isPlaying && !app.arpLoop) return false;
+
+  return utils.holdsNote({
+    latched: app.latched,
+    sustain: app.sustainPedal,
+    lostForMs: now - app.handLostAt,
+    graceMs: app.releaseGraceMs
+  });
+}
+
+/**
+ * Release Whatever the Hand Was Playing
+ * 
+ * Called on frames without a hand once nothing holds the note any more.
+ */
+function releaseHandNote() {
+  app.latched = false;
+  stopArpeggiator();
+  cancelPendingNote();
+  stopNote();
+  
+  app.currentNote = null;
+  app.currentNoteIndex = -1;
+  app.currentZone = -1;
+  app.dynamicVolumeMultiplier = 1.0;
+  if (Object.keys(app.modValues).length > 0) {
+    resetModulation();
+  }
+  
+  document.getElementById('handStatus').textContent = 'No';
+  document.getElementById('noteZone').textContent = '--';
+  document.getElementById('currentNote').textContent = '--';
+  document.getElementById('currentFrequency').textContent = '-- Hz';
+  document.getElementById('dynamicVolume').textContent = '100%';
+}
+
+/**
+ * Press or Lift the Sustain Pedal
+ * 
+ * Like a piano pedal: while it is down, moving to another zone strikes
+ * the new note and leaves the earlier ones ringing on the voice pool,
+ * a pinch let go keeps its note, and the note keeps sounding after the
+ * hand leaves. Lifting it releases everything except the note the hand
+ * is still playing (or, with no hand in view, everything on the next frame).
+ * 
+ * @param {boolean} down - Pedal state
+ */
+function setSustainPedal(down) {
+  if (down && !app.sustainPedal) {
+    // The note already sounding is the first one the pedal holds
+    app.pedalChord = app.isPlaying && app.currentNote && app.playMode === 'zones' ? sustainedFrequencies() : null;
+  } else if (!down && app.sustainPedal) {
+    const keep = app.isPlaying && app.pedalChord && app.pedalNotes.length > 0 ? app.pedalChord : null;
+    if (keep) {
+      app.pedalNotes = app.pedalNotes.filter(f => !keep.includes(f));
+    }
+    releasePedalNotes();
+    if (keep) {
+      // Hand the held note back to the usual voice handling, which releases it on the next change
+      app.activeChordFrequencies = keep.slice();
+    }
+  }
+  app.sustainPedal = down;
+  document.getElementById('sustainBtn').classList.toggle('active', down);
+}
+
+/**
+ * Frequencies the Current Zone Plays (chord or single note, octave applied)
+ * 
+ * @returns {number[]} Frequencies in Hz
+ */
+function sustainedFrequencies() {
+  return app.chordMode ? getChordFrequencies() : [getFrequencyWithOctave(app.currentNote.frequency)];
+}
+
+/**
+ * Play the Current Zone with the Sustain Pedal Down
+ * 
+ * Every note goes to the voice pool (PolySynth or sampler), so a new zone
+ * is struck without releasing the previous ones; they ring until the
+ * pedal comes up. Holding the same zone doesn't restrike it.
+ * 
+ * @param {number[]} frequencies - Notes to play in Hz
+ * @param {number} [velocity] - Onset velocity (0-1); when given the notes are always re-struck
+ */
+function sustainNotes(frequencies, velocity) {
+  const voice = app.sampler || app.polySynth;
+  if (!voice || !app.audioInitialized || frequencies.length === 0) return;
+
+  const struck = typeof velocity === 'number';
+  const unchanged = app.pedalChord !== null && frequencies.length === app.pedalChord.length &&
+    frequencies.every((f, i) => f === app.pedalChord[i]);
+  if (app.isPlaying && unchanged && !struck) return;
+
+  holdUnderPedal();
+  if (struck) {
+    applyVelocityBrightness(velocity);
+  }
+  // A key struck again while still ringing restarts its voice rather than stacking another
+  const ringing = frequencies.filter(f => app.pedalNotes.includes(f));
+  if (ringing.length > 0) {
+    voice.triggerRelease(ringing);
+  }
+  voice.triggerAttack(frequencies, Tone.now(), struck ? velocity : 1);
+  frequencies.forEach((f) => {
+    if (!app.pedalNotes.includes(f)) app.pedalNotes.push(f);
+  });
+  app.pedalChord = frequencies.slice();
+
+  if (!app.isPlaying) {
+    app.isPlaying = true;
+    document.getElementById('soundIndicator').classList.add('playing');
+    document.getElementById('soundStatus').textContent = 'On';
+    document.getElementById('noteDisplay').classList.add('playing');
+  }
+}
+
+/**
+ * Leave Whatever Is Sounding to the Sustain Pedal
+ * 
+ * Chord voices join app.pedalNotes; a lead voice note is marked so the
+ * pedal releases it later.
+ */
+function holdUnderPedal() {
+  if (app.activeChordFrequencies.length > 0) {
+    app.activeChordFrequencies.forEach((f) => {
+      if (!app.pedalNotes.includes(f)) app.pedalNotes.push(f);
+    });
+    app.activeChordFrequencies = [];
+  } else if (app.isPlaying && app.pedalNotes.length === 0) {
+    app.pedalLead = true;
+  }
+}
+
+/**
+ * Release Every Note the Sustain Pedal Left Ringing
+ * 
+ * @param {number} [time] - AudioContext time to release at (default: now)
+ */
+function releasePedalNotes(time) {
+  const voice = app.sampler || app.polySynth;
+  if (voice && app.pedalNotes.length > 0) {
+    voice.triggerRelease(app.pedalNotes, time);
+  }
+  if (app.pedalLead) {
+    releaseLeadVoice(time);
+  }
+  app.pedalNotes = [];
+  app.pedalLead = false;
+  app.pedalChord = null;
+}
+
+/**
+ * Let Go of the Zone Note (Pinch Opened)
+ * 
+ * With the sustain pedal down the note keeps ringing, like a piano key let
+ * go with the pedal down; otherwise it stops.
+ */
+function liftNote() {
+  if (!app.sustainPedal || app.playMode !== 'zones' || !app.isPlaying) {
+    stopNote();
+    return;
+  }
+
+  endLoopEvent();
+  holdUnderPedal();
+  app.pedalChord = null;
+  app.isPlaying = false;
+  document.getElementById('soundIndicator').classList.remove('playing');
+  document.getElementById('soundStatus').textContent = 'Off';
+  document.getElementById('noteDisplay').classList.remove('playing');
+}
+
+/**
+ * Is a Key Event Typing into a Form Field?
+ * 
+ * @param {KeyboardEvent} e - Key event
+ * @returns {boolean} true for text inputs, text areas and dropdowns
+ */
+function isTypingTarget(e) {
+  const tag = e.target.tagName;
+  return tag === 'TEXTAREA' || tag === 'SELECT' || (tag === 'INPUT' && e.target.type === 'text');
+}
+
+// ===== GESTURES =====
+
+/**
+ * Read the Saved Pose Bindings
+ * 
+ * @returns {Object<string, string>} Pose → action (the defaults if none are saved)
+ */
+function loadPoseBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(POSE_BINDINGS_KEY));
+    if (saved && typeof saved === 'object') {
+      const bindings = {};
+      Object.keys(gestures.POSES).forEach((pose) => {
+        if (GESTURE_ACTIONS[saved[pose]]) bindings[pose] = saved[pose];
+      });
+      return bindings;
+    }
+  } catch (error) {
+    console.warn('Could not read saved pose bindings:', error.message);
+  }
+  return Object.assign({}, DEFAULT_POSE_BINDINGS);
+}
+
+/**
+ * Write the Pose Bindings to localStorage
+ */
+function storePoseBindings() {
+  try {
+    localStorage.setItem(POSE_BINDINGS_KEY, JSON.stringify(app.poseBindings));
+  } catch (error) {
+    showError('Could not save pose bindings: ' + error.message);
+  }
+}
+
+/**
+ * Rebuild the Pose Binding Rows
+ * 
+ * One row per pose with a dropdown of GESTURE_ACTIONS.
+ */
+function updatePoseBindingList() {
+  const list = document.getElementById('poseBindingList');
+  const fragment = document.createDocumentFragment();
+
+  Object.keys(gestures.POSES).forEach((pose) => {
+    const row = document.createElement('div');
+    row.className = 'control-row';
+    const label = document.createElement('div');
+    label.className = 'control-label';
+    label.textContent = gestures.POSES[pose];
+    const input = document.createElement('div');
+    input.className = 'control-input';
+
+    const select = document.createElement('select');
+    Object.keys(GESTURE_ACTIONS).forEach((action) => {
+      const option = document.createElement('option');
+      option.value = action;
+      option.textContent = GESTURE_ACTIONS[action].label;
+      select.appendChild(option);
+    });
+    select.value = app.poseBindings[pose] || 'none';
+    select.addEventListener('change', (e) => {
+      app.poseBindings[pose] = e.target.value;
+      storePoseBindings();
+    });
+
+    input.appendChild(select);
+    row.appendChild(label);
+    row.appendChild(input);
+    fragment.appendChild(row);
+  });
+
+  while (list.firstChild) list.removeChild(list.firstChild);
+  list.appendChild(fragment);
+}
+
+/**
+ * Recognize the Pose of the Gesture Hand and Fire Its Action
+ * 
+ * Runs every frame, with or without a hand: a missing hand counts as
+ * no pose, which re-arms the pose that fired last.
+ * 
+ * @param {Array|null} landmarks - Landmarks of the hand picked by app.gestureHand (null = not in view)
+ * @param {number} now - performance.now() of this frame
+ */
+function updateGestures(landmarks, now) {
+  if (app.gestureHand === 'off') return;
+
+  const result = landmarks ? gestures.classifyPose(landmarks) : { pose: 'none', confidence: 0 };
+  const step = gestures.trackPose(app.poseTracker || gestures.createPoseTracker(), result, now);
+  app.poseTracker = step.tracker;
+  document.getElementById('poseStatus').textContent = result.pose === 'none'
+    ? '-'
+    : gestures.POSES[result.pose] + ' ' + Math.round(result.confidence * 100) + '%';
+
+  const action = step.fired ? app.poseBindings[step.fired] : null;
+  if (action && action !== 'none') {
+    GESTURE_ACTIONS[action].run();
+    document.getElementById('gestureActionStatus').textContent =
+      gestures.POSES[step.fired] + ' → ' + GESTURE_ACTIONS[action].label;
+  }
+}
+
+/**
+ * Select the Next Option of a Dropdown
+ * 
+ * Fires the dropdown's change handler, so the switch behaves exactly
+ * like picking the option by hand. Wraps around at the end.
+ * 
+ * @param {string} id - Element id of the <select>
+ * @param {string} [skipValue] - Option to leave out of the cycle
+ */
+function cycleSelect(id, skipValue) {
+  const select = document.getElementById(id);
+  const options = Array.from(select.options).filter(o => !o.disabled && o.value !== skipValue);
+  if (options.length === 0) return;
+  const index = options.findIndex(o => o.value === select.value);
+  select.value = options[(index + 1) % options.length].value;
+  select.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Switch an Effect On or Off
+ * 
+ * @param {string} name - One of EFFECT_NAMES
+ */
+function toggleEffect(name) {
+  setEffectEnabled(name, !app.effectSettings[name].enabled);
+}
+
+/**
+ * Transpose Every Hand Voice by Whole Octaves
+ * 
+ * Added on top of the depth (or modifier hand) octave shift.
+ * 
+ * @param {number} delta - Octaves to move (+1 up, -1 down)
+ */
+function transposeOctave(delta) {
+  app.octaveTranspose = utils.clamp(app.octaveTranspose + delta, -OCTAVE_TRANSPOSE_LIMIT, OCTAVE_TRANSPOSE_LIMIT);
+  updateOctaveReadout();
+}
+
+// ===== ZONE LAYOUTS =====
+
+/**
+ * Rebuild the Zone Shapes
+ * 
+ * Called when the scale, layout, play mode or canvas size changes.
+ * Theremin mode always uses bands, since its pitch slides along Y.
+ */
+function rebuildZones() {
+  const layout = app.playMode === 'theremin' ? 'bands' : app.zoneLayout;
+  app.zones = utils.buildZoneLayout(layout, NOTES.length, app.canvas.width / app.canvas.height);
+  app.currentZone = -1;
+  if (app.secondHand) {
+    app.secondHand.zone = -1;
+  }
+}
+
+/**
+ * Hand Axes that Pick the Note in the Current Play Mode
+ * 
+ * @returns {string[]} Some of 'x' and 'y' (drum pads use both, finger keys neither)
+ */
+function noteAxes() {
+  if (app.playMode === 'drums') return ['x', 'y'];
+  if (app.playMode === 'fingers') return [];
+  return utils.zoneLayoutAxes(app.playMode === 'theremin' ? 'bands' : app.zoneLayout);
+}
+
+/**
+ * Note Played by a Zone
+ * 
+ * Zones past the top of the scale (the grid layout) play their note an
+ * octave (tuning period) up; the name gets a prime mark per octave.
+ * 
+ * @param {number} zoneIndex - Index in app.zones
+ * @returns {{noteIndex: number, note: object}} Index in NOTES and the note to play
+ */
+function zoneNote(zoneIndex) {
+  const { step, octave } = utils.fingerKeyNote(app.zones[zoneIndex].step, NOTES.length);
+  const noteIndex = NOTES.length - 1 - step;  // NOTES runs highest first
+  const note = NOTES[noteIndex];
+  if (octave === 0) return { noteIndex, note };
+  return {
+    noteIndex,
+    note: {
+      ...note,
+      name: note.name + '′'.repeat(octave),
+      frequency: utils.getFrequencyWithOctave(note.frequency, octave, app.tuning.period),
+      octave: note.octave + octave
+    }
+  };
+}
+
+/**
+ * Zone Under a Pointer, with Hysteresis
+ * 
+ * A different zone only takes over once the pointer is hysteresisPx
+ * from where the last change happened. Outside every zone (the radial
+ * layout's hub) the current zone carries on.
+ * 
+ * @param {{displayX: number, y: number}} pointer - Pointer in canvas pixels
+ * @param {number} current - Zone index now (-1 = none)
+ * @param {{x: number, y: number}} anchor - Pointer position at the last change
+ * @returns {number} Index in app.zones (-1 = none)
+ */
+function zoneUnderPointer(pointer, current, anchor) {
+  const zoneIndex = utils.zoneAt(app.zones, pointer.displayX / app.canvas.width, pointer.y / app.canvas.height);
+  if (zoneIndex === -1 || current === -1) return zoneIndex === -1 ? current : zoneIndex;
+
+  const moved = Math.hypot(pointer.displayX - anchor.x, pointer.y - anchor.y);
+  return moved < app.calibration.hysteresisPx ? current : zoneIndex;
+}
+
+/**
+ * Trace a Zone's Outline as the Current Canvas Path
+ * 
+ * @param {object} zone - Entry of app.zones
+ */
+function traceZone(zone) {
+  app.ctx.beginPath();
+  zone.points.forEach((point, i) => {
+    const x = point.x * app.canvas.width;
+    const y = point.y * app.canvas.height;
+    if (i === 0) {
+      app.ctx.moveTo(x, y);
+    } else {
+      app.ctx.lineTo(x, y);
+    }
+  });
+  app.ctx.closePath();
+}
+
+/**
+ * Draw the Zone Outlines and Note Names
+ * 
+ * Label size follows the smaller side of the zone's bounding box.
+ */
+function drawNoteZones() {
+  app.zones.forEach((zone, index) => {
+    traceZone(zone);
+    app.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    app.ctx.lineWidth = 2;
+    app.ctx.stroke();
+
+    const xs = zone.points.map(p => p.x * app.canvas.width);
+    const ys = zone.points.map(p => p.y * app.canvas.height);
+    const size = Math.min(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+    const fontSize = Math.round(Math.min(40, size * 0.6));
+    const inset = zone.label.align === 'right' ? -20 : 0;
+
+    app.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+    app.ctx.font = `bold ${fontSize}px Arial`;
+    app.ctx.textAlign = zone.label.align;
+    app.ctx.textBaseline = 'middle';
+    app.ctx.fillText(zoneNote(index).note.name,
+      zone.label.x * app.canvas.width + inset, zone.label.y * app.canvas.height);
+  });
+}
+
+// Extract pointer finger
+function extractPointerFinger(landmarks) {
+  const landmark = landmarks[INDEX_FINGER_TIP];
+  
+  // The calibrated reach covers the whole canvas
+  const point = utils.mapToArea(landmark.x, landmark.y, app.calibration.area);
+  app.pointerFinger = {
+    x: point.x * app.canvas.width,
+    y: point.y * app.canvas.height,
+    z: landmark.z,
+    displayX: (1 - point.x) * app.canvas.width
+  };
+}
+
+// Map position to note
+function mapPositionToNote() {
+  if (!app.pointerFinger) return;
+  
+  const pointer = app.pointerFinger;
+  const anchor = { x: app.lastNoteChangeX, y: app.lastNoteChangeY };
+  const zoneIndex = zoneUnderPointer(pointer, app.currentZone, anchor);
+  
+  // Update note if changed (with throttling: max 10 changes per second)
+  if (zoneIndex !== -1 && zoneIndex !== app.currentZone) {
+    const now = performance.now();
+    const timeSinceLastChange = now - app.lastNoteChangeTime;
+    
+    // Only allow note change if enough time has passed
+    if (timeSinceLastChange >= app.calibration.minNoteIntervalMs) {
+      if (app.quantize !== 'off' && Tone.Transport.state === 'started') {
+        queueNoteChange(zoneIndex, pointer);
+      } else {
+        changeNote(zoneIndex, pointer);
+      }
+    }
+  }
+}
+
+/**
+ * Switch to a New Note Zone
+ * 
+ * @param {number} zoneIndex - Index in app.zones
+ * @param {{displayX: number, y: number}} point - Fingertip at the change (for hysteresis)
+ * @param {number} [velocity] - Onset velocity (default: from the fingertip speed now)
+ */
+function changeNote(zoneIndex, point, velocity) {
+  const { noteIndex, note } = zoneNote(zoneIndex);
+  app.currentZone = zoneIndex;
+  app.currentNoteIndex = noteIndex;
+  app.currentNote = note;
+  app.lastNoteChangeX = point.displayX;
+  app.lastNoteChangeY = point.y;
+  app.lastNoteChangeTime = performance.now();
+  app.noteVelocity = typeof velocity === 'number' ? velocity : currentOnsetVelocity();
+  app.onsetPending = app.velocityMode !== 'off';
+  
+  document.getElementById('currentNote').textContent = app.currentNote.name;
+  document.getElementById('currentFrequency').textContent = app.currentNote.frequency.toFixed(2) + ' Hz';
+  document.getElementById('noteZone').textContent = app.currentNote.name;
+  
+  // Phase 8: Record note and create visual effect (the arpeggiator records its own steps;
+  // a zone passed with the pinch open is silent, so nothing to record)
+  if (!app.arpLoop && pinchGateOpen()) {
+    recordNote();
+  }
+  createNoteParticles();
+}
+
+/**
+ * Hold a Zone Change Until the Next Quantize Grid Line
+ * 
+ * The old note keeps sounding until then. If the hand moves again before
+ * the grid line, the latest zone wins.
+ * 
+ * @param {number} zoneIndex - Index in app.zones
+ * @param {{displayX: number, y: number}} point - Fingertip at the change
+ */
+function queueNoteChange(zoneIndex, point) {
+  // Velocity is taken now, while the finger is still moving into the zone
+  app.pendingNote = {
+    zone: zoneIndex,
+    point: { displayX: point.displayX, y: point.y },
+    velocity: currentOnsetVelocity()
+  };
+  if (app.pendingNoteTimer) return;
+
+  // Tone.now() includes the scheduling look-ahead, so the note lands on the line
+  const delay = Math.max(0, quantizedOnset() - Tone.now()) * 1000;
+  app.pendingNoteTimer = setTimeout(() => {
+    const pending = app.pendingNote;
+    app.pendingNote = null;
+    app.pendingNoteTimer = null;
+    if (!pending || !app.pointerFinger || app.playMode !== 'zones' || app.latched) return;
+
+    // Same checks as the live frame: with the pinch open the zone changes silently
+    changeNote(pending.zone, pending.point, pending.velocity);
+    playCurrentZone(null);
+  }, delay);
+}
+
+/**
+ * Drop a Zone Change Still Waiting for the Grid
+ */
+function cancelPendingNote() {
+  if (app.pendingNoteTimer) {
+    clearTimeout(app.pendingNoteTimer);
+    app.pendingNoteTimer = null;
+  }
+  app.pendingNote = null;
+}
+
+/**
+ * Map Position to a Continuous Pitch (Theremin Mode)
+ * 
+ * Fingertip Y slides between zone pitches (see utils.continuousZonePitch),
+ * pulled toward the nearest scale tone by app.snapStrength.
+ * The zone under the finger still drives colour, highlight and recording,
+ * while the readouts show the nearest note and the deviation in cents.
+ */
+function mapPositionToPitch() {
+  if (!app.pointerFinger || NOTES.length === 0) return;
+
+  const y = app.pointerFinger.y;
+  const zoneMidis = NOTES.map(n => n.midi);
+  const rawMidi = utils.continuousZonePitch(y, app.canvas.height, zoneMidis);
+  const midi = utils.snapPitch(rawMidi, zoneMidis, app.snapStrength);
+  app.thereminFrequency = getFrequencyWithOctave(utils.midiToFrequency(midi));
+
+  // No throttle here: zone changes don't retrigger the voice in this mode
+  const zoneIndex = utils.zoneAt(app.zones, app.pointerFinger.displayX / app.canvas.width, y / app.canvas.height);
+  if (zoneIndex !== -1 && zoneIndex !== app.currentZone) {
+    const { noteIndex, note } = zoneNote(zoneIndex);
+    app.currentZone = zoneIndex;
+    app.currentNoteIndex = noteIndex;
+    app.currentNote = note;
+    document.getElementById('noteZone').textContent = app.currentNote.name;
+    if (pinchGateOpen()) {
+      recordNote();
+    }
+    createNoteParticles();
+  }
+
+  const pitch = utils.describePitch(app.thereminFrequency, app.referencePitch);
+  const centsText = (pitch.cents > 0 ? '+' : '') + pitch.cents + '¢';
+  document.getElementById('currentNote').textContent = pitch.name;
+  document.getElementById('currentFrequency').textContent =
+    app.thereminFrequency.toFixed(2) + ' Hz (' + centsText + ')';
+}
+
+/**
+ * Sound the Current Zone (Single Note or Chord)
+ * 
+ * Called every frame while a zone is held; playNote()/playChord() only
+ * retrigger when the pitch changes. With velocity on, the first call
+ * after a zone change strikes the note at the zone's onset velocity.
+ */
+function soundCurrentNote() {
+  const velocity = app.onsetPending ? app.noteVelocity : undefined;
+  app.onsetPending = false;
+
+  if (app.sustainPedal) {
+    sustainNotes(sustainedFrequencies(), velocity);
+  } else if (app.chordMode) {
+    playChord(getChordFrequencies(), velocity);
+  } else {
+    const adjustedFrequency = getFrequencyWithOctave(app.currentNote.frequency);
+    playNote(adjustedFrequency, app.soundSettings.portamento, velocity);
+  }
+}
+
+/**
+ * Onset Velocity from the Fingertip Speed in the Latest Frame
+ * 
+ * With pointer input, a pen's pressure stands in for the speed.
+ * 
+ * @returns {number} 0-1 (1 when velocity is off or no hand is tracked)
+ */
+function currentOnsetVelocity() {
+  if (app.velocityMode === 'off') return 1;
+  if (app.pointerFinger && typeof app.pointerFinger.pressure === 'number') {
+    return utils.clamp(app.pointerFinger.pressure, 0, 1);
+  }
+  if (!app.handFeatures) return 1;
+  return utils.speedToVelocity(app.handFeatures.tipSpeed);
+}
+
+/**
+ * Darken Soft Onsets (Velocity Brightness)
+ * 
+ * Sets the modulation stage low-pass for the note about to start; it
+ * stays open unless the velocity mode includes brightness.
+ * 
+ * @param {number} velocity - Onset velocity (0-1)
+ * @param {number} [time] - AudioContext time of the onset (default: now)
+ */
+function applyVelocityBrightness(velocity, time) {
+  if (!app.modStage) return;
+
+  const cutoff = app.velocityMode === 'ampBright' ? utils.velocityCutoff(velocity) : BRIGHTNESS_OPEN_HZ;
+  app.modStage.brightness.frequency.setValueAtTime(cutoff, typeof time === 'number' ? time : Tone.now());
+}
+
+/**
+ * Detect a Strike on the Drum Pads
+ * 
+ * Fires the pad under the fingertip when utils.detectStrike() sees a
+ * downward swing between frames. Hit strength comes from the swing speed.
+ */
+function detectPadStrike() {
+  if (!app.pointerFinger) return;
+
+  app.strikeState = utils.detectStrike(
+    app.strikeState,
+    app.pointerFinger.y / app.canvas.height,
+    performance.now()
+  );
+  if (!app.strikeState.struck) return;
+
+  hitPad(app.pointerFinger, app.strikeState.strength);
+}
+
+/**
+ * Hit the Drum Pad Under a Pointer
+ * 
+ * @param {{displayX: number, y: number}} pointer - Pointer in canvas pixels
+ * @param {number} velocity - Hit strength (0-1)
+ */
+function hitPad(pointer, velocity) {
+  const padIndex = utils.padIndexAt(
+    pointer.displayX, pointer.y,
+    app.canvas.width, app.canvas.height,
+    DRUM_GRID.columns, DRUM_GRID.rows
+  );
+  const pad = DRUM_PADS[padIndex];
+
+  app.currentNoteIndex = padIndex;
+  app.currentNote = { name: pad.name, frequency: 0, color: pad.color, drum: pad.id };
+  app.lastHitVelocity = velocity;
+  app.padFlashes[padIndex] = 1;
+  triggerDrum(pad.id, velocity, quantizedOnset());
+
+  document.getElementById('noteZone').textContent = pad.name;
+  document.getElementById('currentNote').textContent = pad.name;
+  document.getElementById('currentFrequency').textContent = 'Hit ' + Math.round(velocity * 100) + '%';
+
+  recordNote();
+  createNoteParticles();
+}
+
+/**
+ * Draw the Drum Pad Grid
+ * 
+ * Each pad is tinted with its colour and flashes brighter when hit.
+ */
+function drawDrumPads() {
+  const padWidth = app.canvas.width / DRUM_GRID.columns;
+  const padHeight = app.canvas.height / DRUM_GRID.rows;
+  const fontSize = Math.round(Math.min(32, padHeight * 0.15));
+
+  DRUM_PADS.forEach((pad, index) => {
+    const x = (index % DRUM_GRID.columns) * padWidth;
+    const y = Math.floor(index / DRUM_GRID.columns) * padHeight;
+    const flash = app.padFlashes[index] || 0;
+
+    app.ctx.globalAlpha = 0.15 + flash * 0.45;
+    app.ctx.fillStyle = pad.color;
+    app.ctx.fillRect(x + 4, y + 4, padWidth - 8, padHeight - 8);
+    app.ctx.globalAlpha = 1;
+
+    app.ctx.strokeStyle = flash > 0 ? pad.color : 'rgba(255, 255, 255, 0.4)';
+    app.ctx.lineWidth = 2 + flash * 4;
+    app.ctx.strokeRect(x + 4, y + 4, padWidth - 8, padHeight - 8);
+
+    app.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+    app.ctx.font = `bold ${fontSize}px Arial`;
+    app.ctx.textAlign = 'center';
+    app.ctx.textBaseline = 'middle';
+    app.ctx.fillText(pad.name, x + padWidth / 2, y + padHeight / 2);
+
+    // Fade the flash over roughly a third of a second
+    app.padFlashes[index] = Math.max(0, flash - 0.08);
+  });
+}
+
+// Highlight active zone
+function highlightActiveZone() {
+  if (!app.currentNote || app.currentZone === -1) return;
+
+  const zone = app.zones[app.currentZone];
+
+  // Convert hex color to rgba with an animated (pulsing) alpha
+  function hexToRgba(hex, alpha) {
+    const h = hex.replace('#', '');
+    const bigint = parseInt(h, 16);
+    const r = (bigint >> 16) & 255;
+    const g = (bigint >> 8) & 255;
+    const b = bigint & 255;
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  }
+
+  // Subtle pulse: alpha oscillates over time for a gentle animation
+  const pulseAlpha = 0.12 + 0.06 * Math.sin(performance.now() / 300);
+  const fillColor = hexToRgba(app.currentNote.color, Math.abs(pulseAlpha));
+
+  traceZone(zone);
   app.ctx.fillStyle = fillColor;
-  app.ctx.fillRect(0, y, app.canvas.width, zoneHeight);
+  app.ctx.fill();
+
+  app.ctx.strokeStyle = hexToRgba(app.currentNote.color, 0.6);
+  app.ctx.lineWidth = 4;
+  app.ctx.stroke();
+}
+
+// Draw hand skeleton
+function drawHandSkeleton(landmarks, color) {
+  const connections = [
+    [0, 1], [1, 2], [2, 3], [3, 4],
+    [0, 5], [5, 6], [6, 7], [7, 8],
+    [0, 9], [9, 10], [10, 11], [11, 12],
+    [0, 13], [13, 14], [14, 15], [15, 16],
+    [0, 17], [17, 18], [18, 19], [19, 20],
+    [5, 9], [9, 13], [13, 17]
+  ];
+
+  app.ctx.strokeStyle = color || HAND_COLORS.melody;
+  app.ctx.lineWidth = 2;
+
+  connections.forEach(([start, end]) => {
+    const startPoint = landmarks[start];
+    const endPoint = landmarks[end];
+    
+    app.ctx.beginPath();
+    app.ctx.moveTo(
+      (1 - startPoint.x) * app.canvas.width,
+      startPoint.y * app.canvas.height
+    );
+    app.ctx.lineTo(
+      (1 - endPoint.x) * app.canvas.width,
+      endPoint.y * app.canvas.height
+    );
+    app.ctx.stroke();
+  });
+}
+
+// Draw pointer
+function drawPointer(pointer, color) {
+  pointer = pointer || app.pointerFinger;
+  if (!pointer) return;
+
+  const x = pointer.displayX;
+  const y = pointer.y;
+
+  // Pinch to play: a ring that closes with thumb and index (melody pointer only)
+  if (pointer === app.pointerFinger && app.articulation === 'pinch' && app.handFeatures) {
+    drawPinchIndicator(x, y);
+  }
+
+  // Outer glow
+  const gradient = app.ctx.createRadialGradient(x, y, 0, x, y, 40);
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+  gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+  app.ctx.fillStyle = gradient;
+  app.ctx.beginPath();
+  app.ctx.arc(x, y, 40, 0, 2 * Math.PI);
+  app.ctx.fill();
+
+  // Main pointer circle
+  app.ctx.fillStyle = color || (app.currentNote ? app.currentNote.color : '#4ecdc4');
+  app.ctx.beginPath();
+  app.ctx.arc(x, y, 16, 0, 2 * Math.PI);
+  app.ctx.fill();
+  
+  app.ctx.strokeStyle = 'white';
+  app.ctx.lineWidth = 4;
+  app.ctx.stroke();
+
+  // Crosshair
+  app.ctx.strokeStyle = 'white';
+  app.ctx.lineWidth = 3;
+  app.ctx.beginPath();
+  app.ctx.moveTo(x - 10, y);
+  app.ctx.lineTo(x + 10, y);
+  app.ctx.moveTo(x, y - 10);
+  app.ctx.lineTo(x, y + 10);
+  app.ctx.stroke();
+}
+
+// ===== SOUND DESIGN PRESETS =====
+
+/**
+ * Read Saved User Presets
+ * 
+ * @returns {Object<string, object>} Preset name → sound settings
+ */
+function loadUserPresets() {
+  try {
+    return JSON.parse(localStorage.getItem(USER_PRESETS_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read saved presets:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Write User Presets to localStorage
+ * 
+ * @param {Object<string, object>} presets - Preset name → sound settings
+ */
+function storeUserPresets(presets) {
+  try {
+    localStorage.setItem(USER_PRESETS_KEY, JSON.stringify(presets));
+  } catch (error) {
+    showError('Could not save presets: ' + error.message);
+  }
+}
+
+/**
+ * Rebuild the Preset Dropdown (factory presets, then user presets)
+ */
+function updatePresetList() {
+  const select = document.getElementById('presetSelect');
+  while (select.firstChild) select.removeChild(select.firstChild);
+
+  const groups = [
+    { label: 'Factory', prefix: 'factory:', names: Object.keys(FACTORY_PRESETS) },
+    { label: 'My Presets', prefix: 'user:', names: Object.keys(loadUserPresets()).sort() }
+  ];
+
+  groups.forEach((group) => {
+    if (group.names.length === 0) return;
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group.label;
+    group.names.forEach((name) => {
+      const option = document.createElement('option');
+      option.value = group.prefix + name;
+      option.textContent = name;
+      optgroup.appendChild(option);
+    });
+    select.appendChild(optgroup);
+  });
+
+  select.value = app.currentPreset;
+}
+
+/**
+ * Load a Preset and Rebuild the Voices
+ * 
+ * @param {string} id - 'factory:<name>' or 'user:<name>'
+ */
+function loadPreset(id) {
+  const name = id.slice(id.indexOf(':') + 1);
+  const source = id.startsWith('factory:') ? FACTORY_PRESETS : loadUserPresets();
+  if (!source[name]) return;
+
+  app.currentPreset = id;
+  app.soundSettings = utils.normalizeSoundSettings(source[name]);
+  syncSoundControls();
+  rebuildSynths();
+}
+
+/**
+ * Save the Current Sound as a User Preset
+ */
+function savePreset() {
+  const suggested = app.currentPreset.startsWith('user:') ? app.currentPreset.slice(5) : '';
+  const name = (prompt('Preset name:', suggested) || '').trim();
+  if (!name) return;
+
+  const presets = loadUserPresets();
+  if (presets[name] && name !== suggested && !confirm(`Replace the preset "${name}"?`)) return;
+
+  presets[name] = { ...app.soundSettings };
+  storeUserPresets(presets);
+  app.currentPreset = 'user:' + name;
+  updatePresetList();
+}
+
+/**
+ * Rename the Selected User Preset
+ */
+function renamePreset() {
+  if (!app.currentPreset.startsWith('user:')) {
+    alert('Factory presets can\'t be renamed. Save a copy under a new name instead.');
+    return;
+  }
+
+  const oldName = app.currentPreset.slice(5);
+  const newName = (prompt('Rename preset:', oldName) || '').trim();
+  if (!newName || newName === oldName) return;
+
+  const presets = loadUserPresets();
+  if (presets[newName]) {
+    alert(`A preset called "${newName}" already exists.`);
+    return;
+  }
+  presets[newName] = presets[oldName];
+  delete presets[oldName];
+  storeUserPresets(presets);
+  app.currentPreset = 'user:' + newName;
+  updatePresetList();
+}
+
+/**
+ * Delete the Selected User Preset
+ */
+function deletePreset() {
+  if (!app.currentPreset.startsWith('user:')) {
+    alert('Factory presets can\'t be deleted.');
+    return;
+  }
+
+  const name = app.currentPreset.slice(5);
+  if (!confirm(`Delete the preset "${name}"?`)) return;
+
+  const presets = loadUserPresets();
+  delete presets[name];
+  storeUserPresets(presets);
+  app.currentPreset = 'factory:Classic';
+  updatePresetList();
+}
+
+/**
+ * Move the Sound Design Sliders (and waveform dropdown) to app.soundSettings
+ */
+function syncSoundControls() {
+  document.getElementById('waveformSelect').value = app.soundSettings.waveform;
+  SOUND_CONTROLS.forEach((control) => {
+    document.getElementById(control.id).value = app.soundSettings[control.key] * control.scale;
+    updateSoundControlLabel(control);
+  });
+}
+
+/**
+ * Update a Sound Design Slider's Value Label
+ * 
+ * @param {object} control - Entry of SOUND_CONTROLS
+ */
+function updateSoundControlLabel(control) {
+  const value = Math.round(app.soundSettings[control.key] * control.scale);
+  const label = document.getElementById(control.id.replace('Slider', 'Value'));
+  label.textContent = control.key === 'partials' && value === 0 ? 'Full' : value + control.unit;
+}
+
+// Update volume based on base volume and dynamic multiplier
+function updateVolume() {
+  if (!app.synth) return;
+  
+  // Calculate final volume (base * multiplier)
+  const finalVolume = app.baseVolume * app.dynamicVolumeMultiplier;
+  
+  // Clamp to 0-100 range
+  const clampedVolume = Math.max(0, Math.min(100, finalVolume));
+  
+  // Convert to decibels
+  const volumeDb = ((clampedVolume - 100) / 100) * 40;
+  app.synth.volume.value = volumeDb;
+  if (app.polySynth) {
+    app.polySynth.volume.value = volumeDb;
+  }
+  if (app.secondSynth) {
+    app.secondSynth.volume.value = volumeDb;
+  }
+  if (app.drumBus) {
+    app.drumBus.volume.value = volumeDb;
+  }
+  if (app.loopBus) {
+    // Loops follow the slider but not the live hand position
+    app.loopBus.volume.value = ((app.baseVolume - 100) / 100) * 40;
+  }
+  if (app.sampler) {
+    app.sampler.volume.value = volumeDb;
+  }
+  
+  // Update UI
+  document.getElementById('dynamicVolume').textContent = Math.round(clampedVolume) + '%';
+}
+
+// ===== MODULATION MATRIX =====
+
+/**
+ * Read the Saved Modulation Routes
+ * 
+ * @returns {object[]} Normalized routes (the default route if none are saved)
+ */
+function loadModRoutes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MOD_MATRIX_KEY));
+    if (Array.isArray(saved)) {
+      return saved.map(route => utils.normalizeModRoute(route));
+    }
+  } catch (error) {
+    console.warn('Could not read saved modulation routes:', error.message);
+  }
+  return DEFAULT_MOD_ROUTES.map(route => utils.normalizeModRoute(route));
+}
+
+/**
+ * Write the Modulation Routes to localStorage
+ */
+function storeModRoutes() {
+  try {
+    localStorage.setItem(MOD_MATRIX_KEY, JSON.stringify(app.modRoutes));
+  } catch (error) {
+    showError('Could not save modulation routes: ' + error.message);
+  }
+}
+
+/**
+ * Save, Redraw and Re-apply After a Route Edit
+ * 
+ * Parameters go back to their slider values first, so a removed or
+ * retargeted route doesn't leave its last value behind.
+ */
+function modRoutesChanged() {
+  storeModRoutes();
+  resetModulation();
+  updateModRouteList();
+}
+
+/**
+ * Create the Modulation Stage
+ * 
+ * live voices → brightness → vibrato → panner → effects chain
+ * 
+ * Only the live voices (lead, chords, samples, drums) go through it;
+ * loops and the metronome don't follow the hand. The brightness
+ * low-pass is set per onset by the velocity (see applyVelocityBrightness).
+ */
+function createModulationStage() {
+  const brightness = new Tone.Filter(BRIGHTNESS_OPEN_HZ, 'lowpass');
+  const vibrato = new Tone.Vibrato(VIBRATO_RATE, 0);
+  const panner = new Tone.Panner(0);
+  brightness.chain(vibrato, panner, app.effectsInput || Tone.getDestination());
+  app.modStage = { brightness, vibrato, panner };
+  app.modValues = {};
+}
+
+/**
+ * Dispose the Modulation Stage
+ */
+function disposeModulationStage() {
+  if (!app.modStage) return;
+
+  Object.values(app.modStage).forEach(node => node.dispose());
+  app.modStage = null;
+  app.modValues = {};
+}
+
+/**
+ * Where the Live Voices Connect
+ * 
+ * @returns {Tone.ToneAudioNode} Modulation stage input, else the effects chain, else the speakers
+ */
+function liveVoiceOutput() {
+  if (app.modStage) return app.modStage.brightness;
+  return app.effectsInput || Tone.getDestination();
+}
+
+/**
+ * Apply Every Route to the Latest Hand Features
+ * 
+ * Called once per frame while a hand is visible. When two routes drive
+ * the same parameter the lower one in the list wins. Routes from an axis
+ * that picks the note (see noteAxes) are skipped; a modifier hand in
+ * view takes over volume and filter cutoff.
+ */
+function applyModulation() {
+  if (!app.handFeatures) return;
+
+  const axes = noteAxes();
+  app.modRoutes.forEach((route, index) => {
+    const label = document.getElementById('modValue' + index);
+    const pickingNotes = axes.includes(route.feature);
+    const overridden = app.modifierHandActive && MODIFIER_TARGETS.includes(route.target);
+    if (pickingNotes || overridden) {
+      if (label) label.textContent = '--';
+      return;
+    }
+
+    const value = utils.modulationValue(route, app.handFeatures[route.feature]);
+    setModTarget(route.target, value);
+    if (label) {
+      label.textContent = Math.abs(value) >= 100 ? Math.round(value) : value.toFixed(2);
+    }
+  });
+}
+
+/**
+ * Send a Value to a Modulation Target
+ * 
+ * Writes to the audio nodes only: app.filterCutoff, effectSettings and
+ * soundSettings keep the slider values that resetModulation() returns to.
+ * 
+ * @param {string} target - Key of utils.MOD_TARGETS
+ * @param {number} value - Value in the target's units
+ */
+function setModTarget(target, value) {
+  if (!app.audioInitialized || app.modValues[target] === value) return;
+  app.modValues[target] = value;
+
+  switch (target) {
+    case 'volume':
+      app.dynamicVolumeMultiplier = value;
+      updateVolume();
+      break;
+    case 'pan':
+      app.modStage.panner.pan.rampTo(value, MOD_RAMP_SECONDS);
+      break;
+    case 'vibratoDepth':
+      app.modStage.vibrato.depth.rampTo(value, MOD_RAMP_SECONDS);
+      break;
+    case 'vibratoRate':
+      app.modStage.vibrato.frequency.rampTo(value, MOD_RAMP_SECONDS);
+      break;
+    case 'detune': {
+      // Offset from the sound design detune (samples can't be detuned)
+      const detune = app.soundSettings.detune + value;
+      if (app.synth) app.synth.set({ detune });
+      if (app.polySynth) app.polySynth.set({ detune });
+      break;
+    }
+    case 'filterCutoff':
+      app.effects.filter.effect.frequency.rampTo(value, MOD_RAMP_SECONDS);
+      break;
+    default: {
+      // Effect sends only open up effects that are switched on
+      const name = target.replace('Wet', '');
+      if (app.effectSettings[name].enabled) {
+        app.effects[name].mix.fade.rampTo(value, MOD_RAMP_SECONDS);
+      }
+    }
+  }
+}
+
+/**
+ * Return Every Modulation Target to its Unmodulated Value
+ */
+function resetModulation() {
+  app.modValues = {};
+  app.dynamicVolumeMultiplier = 1.0;
+  updateVolume();
+  if (!app.modStage) return;
+
+  app.modStage.panner.pan.rampTo(0, MOD_RAMP_SECONDS);
+  app.modStage.vibrato.depth.rampTo(0, MOD_RAMP_SECONDS);
+  app.modStage.vibrato.frequency.rampTo(VIBRATO_RATE, MOD_RAMP_SECONDS);
+  applySoundSettings();
+  if (app.effects) {
+    app.effects.filter.effect.frequency.rampTo(app.filterCutoff, MOD_RAMP_SECONDS);
+    EFFECT_NAMES.forEach(name => applyEffectSettings(name));
+  }
+}
+
+/**
+ * Rebuild the Route Rows
+ * 
+ * Each row: feature → target, range min/max, curve, invert, live value
+ * and remove.
+ */
+function updateModRouteList() {
+  const list = document.getElementById('modRouteList');
+  const fragment = document.createDocumentFragment();
+
+  const makeSelect = (options, value, onChange) => {
+    const select = document.createElement('select');
+    Object.keys(options).forEach((key) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = options[key];
+      select.appendChild(option);
+    });
+    select.value = value;
+    select.addEventListener('change', (e) => onChange(e.target.value));
+    return select;
+  };
+
+  const makeNumber = (route, key) => {
+    const bounds = utils.MOD_TARGETS[route.target];
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = bounds.min;
+    input.max = bounds.max;
+    input.step = 'any';
+    input.value = route[key];
+    input.title = key === 'min' ? 'Value at the bottom of the feature' : 'Value at the top of the feature';
+    input.addEventListener('change', (e) => {
+      route[key] = parseFloat(e.target.value);
+      Object.assign(route, utils.normalizeModRoute(route));
+      modRoutesChanged();
+    });
+    return input;
+  };
+
+  const targetLabels = {};
+  Object.keys(utils.MOD_TARGETS).forEach((key) => {
+    targetLabels[key] = utils.MOD_TARGETS[key].label;
+  });
+  const curveLabels = { linear: 'Linear', exponential: 'Exponential', logarithmic: 'Logarithmic', sCurve: 'S-curve' };
+
+  app.modRoutes.forEach((route, index) => {
+    const row = document.createElement('div');
+    row.className = 'mod-route';
+
+    const feature = makeSelect(utils.MOD_FEATURES, route.feature, (value) => {
+      route.feature = value;
+      modRoutesChanged();
+    });
+    const arrow = document.createElement('span');
+    arrow.textContent = '→';
+    const target = makeSelect(targetLabels, route.target, (value) => {
+      // A new target starts from its own default range
+      app.modRoutes[index] = utils.normalizeModRoute({ feature: route.feature, target: value, curve: route.curve, invert: route.invert });
+      modRoutesChanged();
+    });
+    const curve = makeSelect(curveLabels, route.curve, (value) => {
+      route.curve = value;
+      modRoutesChanged();
+    });
+
+    const invertLabel = document.createElement('label');
+    const invert = document.createElement('input');
+    invert.type = 'checkbox';
+    invert.checked = route.invert;
+    invert.addEventListener('change', (e) => {
+      route.invert = e.target.checked;
+      modRoutesChanged();
+    });
+    invertLabel.appendChild(invert);
+    invertLabel.appendChild(document.createTextNode(' Invert'));
+
+    const value = document.createElement('span');
+    value.className = 'mod-route-value';
+    value.id = 'modValue' + index;
+    value.textContent = '--';
+
+    const remove = document.createElement('button');
+    remove.textContent = '✕';
+    remove.title = 'Remove route';
+    remove.addEventListener('click', () => {
+      app.modRoutes.splice(index, 1);
+      modRoutesChanged();
+    });
+
+    row.appendChild(feature);
+    row.appendChild(arrow);
+    row.appendChild(target);
+    row.appendChild(makeNumber(route, 'min'));
+    row.appendChild(makeNumber(route, 'max'));
+    row.appendChild(curve);
+    row.appendChild(invertLabel);
+    row.appendChild(value);
+    row.appendChild(remove);
+    fragment.appendChild(row);
+  });
+
+  while (list.firstChild) list.removeChild(list.firstChild);
+  list.appendChild(fragment);
+}
+
+// Stop system
+function stopSystem() {
+  app.isRunning = false;
+  if (app.calibrationRun) {
+    endCalibration('Calibration cancelled');
+  }
+  
+  // Save any audio capture in progress before the audio graph goes away
+  void stopAudioCapture();
+  
+  // Stop audio first
+  stopArpeggiator();
+  stopLoopPlayback();
+  cancelPendingNote();
+  stopNote();
+  releaseSecondHand();
+  disposeSynths();
+  disposeLoopVoices();
+  disposeMetronome();
+  disposeDrumKit();
+  if (app.sampler) {
+    app.sampler.dispose();
+    app.sampler = null;
+  }
+  disposeModulationStage();
+  disposeEffectsChain();
+  disposeMasterStage();
+  
+  app.audioInitialized = false;
+  
+  stopHandTracking();
+  stopPointerInput();
+  document.getElementById('inputSourceSelect').disabled = false;
+  app.inputSource = document.getElementById('inputSourceSelect').value;  // Undo a camera fallback
+  app.ctx.clearRect(0, 0, app.canvas.width, app.canvas.height);
+  
+  app.handDetected = false;
+  app.pointerFinger = null;
+  app.currentNote = null;
+  app.currentNoteIndex = -1;
+  app.currentZone = -1;
+  app.dynamicVolumeMultiplier = 1.0;
+  app.currentChordType = 'single';
+  app.strikeState = null;
+  app.handFeatures = null;
+  app.latched = false;
+  app.handLostAt = 0;
+  
+  updateStatus('Stopped', 'inactive');
+  document.getElementById('handStatus').textContent = 'No';
+  document.getElementById('soundStatus').textContent = 'Off';
+  document.getElementById('noteZone').textContent = '--';
+  document.getElementById('currentNote').textContent = '--';
+  document.getElementById('currentFrequency').textContent = '-- Hz';
+  document.getElementById('dynamicVolume').textContent = '100%';
+  document.getElementById('fpsCounter').textContent = '0';
+  updateLevelMeter();
+  
+  document.getElementById('startBtn').disabled = false;
+  document.getElementById('stopBtn').disabled = true;
+  document.getElementById('loopPlayBtn').disabled = true;
+  document.getElementById('loopOverdubBtn').disabled = true;
+  document.getElementById('captureBtn').disabled = true;
+}
+
+// Update status indicator
+function updateStatus(text, state) {
+  const indicator = document.getElementById('statusIndicator');
+  const statusText = document.getElementById('statusText');
+  
+  statusText.textContent = text;
+  indicator.className = 'status-indicator ' + state;
+}
+
+// Handle errors
+function handleError(error) {
+  let errorMessage = error.message || 'An unknown error occurred.';
+  
+  if (errorMessage.includes('Camera access')) {
+    errorMessage += ' Please allow camera access in your browser settings.';
+  }
+  
+  showError(errorMessage);
+  updateStatus('Error', 'inactive');
+  
+  document.getElementById('startBtn').disabled = false;
+  document.getElementById('stopBtn').disabled = true;
+}
+
+/**
+ * Stop the Camera and Hand Tracker
+ * 
+ * Safe to call when they only partly started.
+ */
+function stopHandTracking() {
+  if (app.camera) {
+    app.camera.stop();
+    app.camera = null;
+  }
+
+  if (app.stream) {
+    app.stream.getTracks().forEach(track => track.stop());
+    app.stream = null;
+  }
+
+  if (app.hands) {
+    app.hands.close();
+    app.hands = null;
+  }
+
+  app.video.srcObject = null;
+}
+
+// Show error message
+function showError(message) {
+  const errorBox = document.getElementById('errorBox');
+  const errorText = document.getElementById('errorText');
+  errorText.textContent = message;
+  errorBox.classList.add('show');
+}
+
+// Hide error message
+function hideError() {
+  document.getElementById('errorBox').classList.remove('show');
+}
+
+// ===== PHASE 8: ENHANCED FEATURES =====
+
+// Calculate octave shift based on hand distance (z-axis)
+function updateOctaveShift(landmarks) {
+  if (!landmarks || landmarks.length < 21) return;
+  
+  // Average Z of all landmarks is steadier than any single point.
+  // The calibration's far depth maps to -2 and its near depth to +2
+  // (uncalibrated: 0.05 and -0.1, see utils.CALIBRATION_DEFAULTS)
+  const avgZ = utils.averageDepth(landmarks);
+  setOctaveShift(utils.zToOctaveShift(avgZ, app.calibration.farZ, app.calibration.nearZ));
+}
+
+// Set the octave shift and its readout (from hand depth or a modifier hand)
+function setOctaveShift(octave) {
+  if (octave !== app.currentOctaveShift) {
+    app.currentOctaveShift = octave;
+    updateOctaveReadout();
+  }
+}
+
+// Show the total octave shift (hand shift plus gesture transpose)
+function updateOctaveReadout() {
+  const octave = app.currentOctaveShift + app.octaveTranspose;
+  const octaveText = octave > 0 ? '+' + octave : octave;
+  document.getElementById('octaveValue').textContent = octaveText;
+  console.log(`Octave shift: ${octaveText}`);
+}
+
+// Get frequency with octave shift applied
+function getFrequencyWithOctave(baseFrequency) {
+  // Each octave up = one period of the tuning (an octave unless a Scala file says otherwise)
+  return utils.getFrequencyWithOctave(baseFrequency, app.currentOctaveShift + app.octaveTranspose, app.tuning.period);
+}
+
+// Toggle recording
+function toggleRecording() {
+  if (!app.audioInitialized) return;
+  
+  const btn = document.getElementById('recordBtn');
+  const info = document.getElementById('recordingInfo');
+  
+  if (!app.isRecording) {
+    if (app.countingIn) return;
+    info.style.display = 'block';
+    document.getElementById('recordingStatus').textContent = '🥁 Count-in...';
+    
+    // Start recording (after the count-in, on a bar line, if one is set)
+    startAfterCountIn(() => {
+      app.isRecording = true;
+      app.recordedNotes = [];
+      app.selectedNoteIndices.clear();
+      app.recordingStartTime = performance.now();
+      btn.textContent = '⏹️ Stop Recording';
+      btn.style.background = 'linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)';
+      document.getElementById('recordingStatus').textContent = '🔴 Recording... Notes will be captured.';
+      document.getElementById('recordedNotesContainer').style.display = 'block';
+      updateRecordedNotesList();
+    });
+  } else {
+    // Stop recording
+    app.isRecording = false;
+    btn.textContent = '⏺️ Record';
+    btn.style.background = '';
+    info.style.display = 'block';
+    document.getElementById('recordingStatus').textContent = 
+      `✓ Recorded ${app.recordedNotes.length} notes. Select notes above to play back!`;
+  }
+}
+
+// Record note when it changes (also feeds the loop station while overdubbing)
+function recordNote() {
+  if (!app.currentNote) return;
+  
+  let noteData;
+  if (app.currentNote.drum) {
+    // Pad hits keep the drum and how hard it was struck
+    noteData = {
+      noteIndex: app.currentNoteIndex,
+      noteName: app.currentNote.name,
+      color: app.currentNote.color,
+      octaveShift: 0,
+      frequency: 0,
+      chordType: 'single',
+      chordFrequencies: null,
+      drum: app.currentNote.drum,
+      velocity: app.lastHitVelocity
+    };
+  } else if (app.currentNote.fingerKey !== undefined) {
+    // Finger keys: the pressed key, plus every key still down so playback restrikes the whole shape
+    const held = app.activeChordFrequencies;
+    noteData = {
+      noteIndex: app.currentNoteIndex,
+      noteName: app.currentNote.name,
+      color: app.currentNote.color,
+      octaveShift: app.currentNote.octaveShift,
+      octaveTranspose: app.octaveTranspose,
+      frequency: app.currentNote.frequency,
+      chordType: 'single',
+      chordFrequencies: held.length > 1 ? held.slice() : null,
+      velocity: null
+    };
+  } else {
+    noteData = {
+      noteIndex: app.currentNoteIndex,
+      noteName: app.currentNote.name,                // Kept so a later scale change can't relabel the take
+      color: app.currentNote.color,
+      octaveShift: app.currentOctaveShift + app.octaveTranspose,
+      octaveTranspose: app.octaveTranspose,          // Part of octaveShift, kept apart so playback can restore the depth shift
+      frequency: app.playMode === 'theremin'
+        ? app.thereminFrequency
+        : (app.arpLoop && app.arpFrequency ? app.arpFrequency : getFrequencyWithOctave(app.currentNote.frequency)),
+      chordType: app.chordMode && app.playMode === 'zones' && !app.arpLoop ? app.currentChordType : 'single',
+      chordFrequencies: app.chordMode && app.playMode === 'zones' && !app.arpLoop ? getChordFrequencies() : null,
+      velocity: app.velocityMode !== 'off' && app.playMode === 'zones' ? app.noteVelocity : null  // null = legato, no onset dynamics
+    };
+  }
+  captureLoopEvent(noteData);
+  
+  if (!app.isRecording) return;
+  // Snap to the Transport's grid (the metronome's beats), not to one that starts with the recording
+  const gridSeconds = Tone.Transport.state === 'started' ? utils.gridSeconds(app.quantize, app.tempo) : 0;
+  const offsetMs = utils.quantizeOffset(Tone.Transport.seconds, gridSeconds) * 1000;
+  noteData.timestamp = Math.max(0, performance.now() - app.recordingStartTime + offsetMs);
+  app.recordedNotes.push(noteData);
+  
+  // Update UI with new note
+  const index = app.recordedNotes.length - 1;
+  app.selectedNoteIndices.add(index); // Select new notes by default
+  updateRecordedNotesList();
+}
+
+// ===== TEMPO CLOCK =====
+
+/**
+ * Apply a Time Signature
+ * 
+ * @param {string} text - e.g. '4/4' or '6/8'
+ */
+function setTimeSignature(text) {
+  const signature = utils.parseTimeSignature(text);
+  app.beatsPerBar = signature.beats;
+  app.beatUnit = signature.unit;
+
+  Tone.Transport.timeSignature = [app.beatsPerBar, app.beatUnit];
+  Tone.Transport.loopEnd = app.loopBars + 'm';
+  if (app.metronomeLoop) {
+    app.metronomeLoop.interval = app.beatUnit + 'n';
+  }
+  buildBeatIndicator();
+}
+
+/**
+ * Does Anything Need the Clock Running (metronome, quantize or a count-in)?
+ * 
+ * @returns {boolean}
+ */
+function clockNeeded() {
+  return app.metronomeOn || app.quantize !== 'off' || app.countingIn;
+}
+
+/**
+ * Start or Stop the Transport After a Clock Setting Changes
+ */
+function updateClock() {
+  if (!app.audioInitialized) return;
+
+  if (clockNeeded()) {
+    startTransport();
+  } else {
+    stopTransportIfIdle();
+  }
+}
+
+/**
+ * Create the Metronome Click and Its Beat Loop
+ * 
+ * The loop always runs with the transport; it only clicks when the
+ * metronome is on or a count-in is running, but it always drives the
+ * visual beat indicator.
+ */
+function createMetronome() {
+  app.metronomeSynth = new Tone.Synth({
+    oscillator: { type: 'triangle' },
+    envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.01 }
+  }).toDestination();
+
+  app.metronomeLoop = new Tone.Loop((time) => {
+    const beat = utils.beatInBar(Tone.Transport.getTicksAtTime(time), Tone.Transport.PPQ, app.beatsPerBar, app.beatUnit);
+    if (app.metronomeOn || app.countingIn) {
+      // Accent the downbeat
+      app.metronomeSynth.triggerAttackRelease(beat === 0 ? 1760 : 1320, 0.03, time, beat === 0 ? 1 : 0.6);
+    }
+    Tone.Draw.schedule(() => showBeat(beat), time);
+  }, app.beatUnit + 'n').start(0);
+}
+
+/**
+ * Dispose the Metronome
+ */
+function disposeMetronome() {
+  if (app.metronomeLoop) {
+    app.metronomeLoop.dispose();
+    app.metronomeLoop = null;
+  }
+  if (app.metronomeSynth) {
+    app.metronomeSynth.dispose();
+    app.metronomeSynth = null;
+  }
+  showBeat(-1);
+}
+
+/**
+ * Build One Dot per Beat for the Visual Metronome
+ */
+function buildBeatIndicator() {
+  const indicator = document.getElementById('beatIndicator');
+  while (indicator.firstChild) indicator.removeChild(indicator.firstChild);
+  for (let i = 0; i < app.beatsPerBar; i++) {
+    const dot = document.createElement('span');
+    dot.className = 'beat-dot' + (i === 0 ? ' downbeat' : '');
+    indicator.appendChild(dot);
+  }
+}
+
+/**
+ * Light the Dot for the Current Beat
+ * 
+ * @param {number} beat - Beat index, or -1 to clear
+ */
+function showBeat(beat) {
+  const dots = document.getElementById('beatIndicator').children;
+  for (let i = 0; i < dots.length; i++) {
+    dots[i].classList.toggle('active', i === beat);
+  }
+}
+
+/**
+ * Audio Time of the Next Quantize Grid Line
+ * 
+ * @returns {number} Context time; now when quantize is off or the clock is stopped
+ */
+function quantizedOnset() {
+  if (app.quantize === 'off' || Tone.Transport.state !== 'started') {
+    return Tone.now();
+  }
+  return Tone.Transport.nextSubdivision(app.quantize);
+}
+
+/**
+ * Run Something After the Count-in
+ * 
+ * Clicks for app.countInBars whole bars and calls back on the following
+ * bar line. If the clock is already running (loops, arpeggiator,
+ * metronome), the count-in starts from the next bar line rather than
+ * part-way through the current bar. Without a count-in (or before audio
+ * starts) it calls back at once.
+ * 
+ * @param {function(): void} callback - Starts the recording or overdub
+ */
+function startAfterCountIn(callback) {
+  if (app.countInBars === 0 || !app.audioInitialized) {
+    callback();
+    return;
+  }
+
+  const alreadyRunning = Tone.Transport.state === 'started';
+  app.countingIn = true;
+  startTransport();
+
+  // A fresh clock starts on a bar line, so its first bar counts in full
+  const barSeconds = Tone.Time('1m').toSeconds();
+  const wholeBars = alreadyRunning ? app.countInBars : app.countInBars - 1;
+  const startTime = Tone.Transport.nextSubdivision('1m') + wholeBars * barSeconds;
+  setTimeout(() => {
+    app.countingIn = false;
+    if (app.isRunning) {
+      callback();
+    }
+    updateClock();
+  }, Math.max(0, startTime - Tone.now()) * 1000);
+}
+
+// ===== LOOP STATION =====
+
+/**
+ * Start the Shared Transport
+ * 
+ * The metronome, arpeggiator and loop station all run on Tone.Transport,
+ * which loops over app.loopBars so they stay in time with each other.
+ */
+function startTransport() {
+  Tone.Transport.bpm.value = app.tempo;
+  Tone.Transport.timeSignature = [app.beatsPerBar, app.beatUnit];
+  Tone.Transport.loop = true;
+  Tone.Transport.loopStart = 0;
+  Tone.Transport.loopEnd = app.loopBars + 'm';
+  if (Tone.Transport.state !== 'started') {
+    Tone.Transport.start();
+  }
+}
+
+/**
+ * Stop the Transport Once Nothing Uses It
+ */
+function stopTransportIfIdle() {
+  if (!app.arpLoop && !app.loopPlaying && !clockNeeded()) {
+    Tone.Transport.stop();
+    showBeat(-1);
+  }
+}
+
+/**
+ * Create the Loop Tracks (state only; voices come with the audio)
+ */
+function createLoopTracks() {
+  app.loopTracks = [];
+  for (let i = 0; i < LOOP_TRACK_COUNT; i++) {
+    app.loopTracks.push({
+      name: 'Track ' + (i + 1),
+      waveform: utils.WAVEFORMS[i % utils.WAVEFORMS.length],
+      layers: [],
+      muted: false,
+      soloed: false,
+      synth: null,
+      part: null
+    });
+  }
+  updateLoopTrackList();
+}
+
+/**
+ * Create a Voice and Part for Every Loop Track
+ * 
+ * Recorded layers survive Stop/Start; only the audio nodes are rebuilt.
+ */
+function createLoopVoices() {
+  const output = app.effectsInput || Tone.getDestination();
+  app.loopBus = new Tone.Volume(0).connect(output);
+  app.loopTracks.forEach((track, index) => createLoopTrackVoice(index));
+}
+
+/**
+ * (Re)build One Track's Synth from the Current Sound Settings and Its Waveform
+ * 
+ * @param {number} index - Track index
+ */
+function createLoopTrackVoice(index) {
+  const track = app.loopTracks[index];
+  if (track.synth) {
+    track.synth.dispose();
+  }
+  const options = utils.buildSynthOptions({ ...app.soundSettings, waveform: track.waveform });
+  track.synth = new Tone.PolySynth(Tone.Synth, options).connect(app.loopBus);
+  track.synth.maxPolyphony = MAX_CHORD_VOICES;
+  rebuildLoopPart(index);
+}
+
+/**
+ * Dispose the Loop Voices (keeps the recorded layers)
+ */
+function disposeLoopVoices() {
+  app.loopTracks.forEach((track) => {
+    if (track.part) {
+      track.part.dispose();
+      track.part = null;
+    }
+    if (track.synth) {
+      track.synth.dispose();
+      track.synth = null;
+    }
+  });
+  if (app.loopBus) {
+    app.loopBus.dispose();
+    app.loopBus = null;
+  }
+}
+
+/**
+ * Reschedule a Track's Events on the Transport
+ * 
+ * @param {number} index - Track index
+ */
+function rebuildLoopPart(index) {
+  const track = app.loopTracks[index];
+  if (track.part) {
+    track.part.dispose();
+    track.part = null;
+  }
+  if (!track.synth) return;
+
+  const events = [].concat(...track.layers).map(event => [event.tick + 'i', event]);
+  track.part = new Tone.Part((time, event) => playLoopEvent(index, time, event), events).start(0);
+}
+
+/**
+ * Play One Looped Event
+ * 
+ * Mute/solo is checked at play time so toggling takes effect on the next note.
+ * 
+ * @param {number} index - Track index
+ * @param {number} time - Audio context time to play at
+ * @param {object} event - {tick, drum, velocity} or {tick, frequencies, durationTicks, velocity}
+ */
+function playLoopEvent(index, time, event) {
+  if (!utils.audibleTracks(app.loopTracks)[index]) return;
+
+  if (event.drum) {
+    const pad = DRUM_PADS.find(p => p.id === event.drum);
+    if (pad && app.drumKit) {
+      pad.hit(app.drumKit[event.drum], time, event.velocity);
+    }
+    return;
+  }
+  const track = app.loopTracks[index];
+  const duration = Tone.Ticks(event.durationTicks).toSeconds();
+  track.synth.triggerAttackRelease(event.frequencies, duration, time, event.velocity);
+}
+
+/**
+ * Start or Stop the Loops
+ */
+function toggleLoopPlayback() {
+  if (app.loopPlaying) {
+    stopLoopPlayback();
+  } else {
+    startLoopPlayback();
+  }
+}
+
+/**
+ * Start the Loops from the Top
+ */
+function startLoopPlayback() {
+  if (!app.audioInitialized || app.loopPlaying) return;
+
+  app.loopPlaying = true;
+  if (Tone.Transport.state !== 'started') {
+    Tone.Transport.position = 0;
+  }
+  startTransport();
+  document.getElementById('loopPlayBtn').textContent = '⏹️ Stop Loops';
+}
+
+/**
+ * Stop the Loops (ends any overdub in progress)
+ */
+function stopLoopPlayback() {
+  if (app.loopOverdub) {
+    toggleOverdub();
+  }
+  if (!app.loopPlaying) return;
+
+  app.loopPlaying = false;
+  stopTransportIfIdle();
+  document.getElementById('loopPlayBtn').textContent = '▶️ Play Loops';
+  document.getElementById('loopPosition').textContent = 'Stopped';
+}
+
+/**
+ * Start or Finish an Overdub Pass on the Armed Track
+ * 
+ * Each pass is one layer, so Undo removes exactly what was played in it.
+ * Starting an overdub also starts the loops.
+ */
+function toggleOverdub() {
+  const btn = document.getElementById('loopOverdubBtn');
+
+  if (!app.loopOverdub) {
+    if (!app.audioInitialized || app.countingIn) return;
+    startLoopPlayback();
+    startAfterCountIn(() => {
+      if (!app.loopPlaying) return;  // Loops were stopped during the count-in
+      app.loopLayer = [];
+      app.loopTracks[app.armedTrack].layers.push(app.loopLayer);
+      app.loopUndoStack.push(app.armedTrack);
+      app.loopOverdub = true;
+      btn.textContent = '⏹️ Stop Overdub';
+      btn.style.background = 'linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)';
+      updateLoopTrackList();
+    });
+    return;
+  } else {
+    endLoopEvent();
+    app.loopOverdub = false;
+    const track = app.loopTracks[app.armedTrack];
+    if (app.loopLayer.length === 0) {
+      // Nothing played: don't leave an empty pass on the undo stack
+      track.layers.pop();
+      app.loopUndoStack.pop();
+    }
+    app.loopLayer = null;
+    btn.textContent = '⏺️ Overdub';
+    btn.style.background = '';
+  }
+  updateLoopTrackList();
+}
+
+/**
+ * Remove the Most Recent Overdub Pass
+ */
+function undoOverdub() {
+  if (app.loopOverdub) {
+    toggleOverdub();
+  }
+  if (app.loopUndoStack.length === 0) return;
+
+  const index = app.loopUndoStack.pop();
+  app.loopTracks[index].layers.pop();
+  rebuildLoopPart(index);
+  updateLoopTrackList();
+}
+
+/**
+ * Capture a Live Note into the Armed Track
+ * 
+ * Called from recordNote() for every new note, chord, arpeggio step or
+ * pad hit. Notes stay open until the next note or stopNote().
+ * 
+ * @param {object} noteData - Note description built by recordNote()
+ */
+function captureLoopEvent(noteData) {
+  if (!app.loopOverdub) return;
+
+  endLoopEvent();
+  const loopTicks = Tone.Time(app.loopBars + 'm').toTicks();
+  const gridTicks = app.quantize === 'off' ? 0 : Tone.Time(app.quantize).toTicks();
+  const tick = utils.quantizeTime(Tone.Transport.ticks, gridTicks) % loopTicks;
+  if (noteData.drum) {
+    addLoopEvent({ tick: tick, drum: noteData.drum, velocity: noteData.velocity });
+    return;
+  }
+  app.loopOpenEvent = {
+    tick: tick,
+    frequencies: noteData.chordFrequencies && noteData.chordFrequencies.length > 1
+      ? noteData.chordFrequencies
+      : [noteData.frequency],
+    velocity: utils.clamp((noteData.velocity || 1) * app.dynamicVolumeMultiplier / 1.5, 0.1, 1)
+  };
+}
+
+/**
+ * Close the Open Looped Note at the Current Loop Position
+ */
+function endLoopEvent() {
+  if (!app.loopOpenEvent) return;
+
+  const event = app.loopOpenEvent;
+  app.loopOpenEvent = null;
+  if (!app.loopOverdub) return;
+
+  const loopTicks = Tone.Time(app.loopBars + 'm').toTicks();
+  event.durationTicks = utils.loopEventLength(event.tick, Tone.Transport.ticks, loopTicks);
+  if (event.durationTicks > 0) {
+    addLoopEvent(event);
+  }
+}
+
+/**
+ * Add an Event to the Current Pass and Schedule It for the Next Time Around
+ * 
+ * @param {object} event - Looped event (see playLoopEvent)
+ */
+function addLoopEvent(event) {
+  const track = app.loopTracks[app.armedTrack];
+  app.loopLayer.push(event);
+  if (track.part) {
+    track.part.add(event.tick + 'i', event);
+  }
+  updateLoopTrackList();
+}
+
+/**
+ * Show Where the Loop Is (bar and beat)
+ */
+function updateLoopPosition() {
+  if (!app.loopPlaying) return;
 
-  app.ctx.strokeStyle = hexToRgba(app.currentNote.color, 0.6);
-  app.ctx.lineWidth = 4;
-  app.ctx.beginPath();
-  app.ctx.rect(0, y, app.canvas.width, zoneHeight);
-  app.ctx.stroke();
+  const [bar, beat] = Tone.Transport.position.split(':');
+  document.getElementById('loopPosition').textContent =
+    `Bar ${parseInt(bar) + 1}.${parseInt(beat) + 1} of ${app.loopBars}` + (app.loopOverdub ? ' · overdubbing' : '');
 }
 
-// Draw hand skeleton
-function drawHandSkeleton(landmarks) {
-  const connections = [
-    [0, 1], [1, 2], [2, 3], [3, 4],
-    [0, 5], [5, 6], [6, 7], [7, 8],
-    [0, 9], [9, 10], [10, 11], [11, 12],
-    [0, 13], [13, 14], [14, 15], [15, 16],
-    [0, 17], [17, 18], [18, 19], [19, 20],
-    [5, 9], [9, 13], [13, 17]
-  ];
+/**
+ * Rebuild the Loop Track List (arm, waveform, mute, solo, clear)
+ */
+function updateLoopTrackList() {
+  const list = document.getElementById('loopTrackList');
+  const audible = utils.audibleTracks(app.loopTracks);
+  const fragment = document.createDocumentFragment();
 
-  app.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-  app.ctx.lineWidth = 2;
+  app.loopTracks.forEach((track, index) => {
+    const row = document.createElement('div');
+    row.className = 'loop-track' + (index === app.armedTrack ? ' armed' : '') + (audible[index] ? '' : ' silent');
 
-  connections.forEach(([start, end]) => {
-    const startPoint = landmarks[start];
-    const endPoint = landmarks[end];
-    
-    app.ctx.beginPath();
-    app.ctx.moveTo(
-      (1 - startPoint.x) * app.canvas.width,
-      startPoint.y * app.canvas.height
-    );
-    app.ctx.lineTo(
-      (1 - endPoint.x) * app.canvas.width,
-      endPoint.y * app.canvas.height
-    );
-    app.ctx.stroke();
-  });
-}
+    const arm = document.createElement('input');
+    arm.type = 'radio';
+    arm.name = 'loopArm';
+    arm.checked = index === app.armedTrack;
+    arm.disabled = app.loopOverdub;
+    arm.title = 'Record overdubs into this track';
+    arm.addEventListener('change', () => {
+      app.armedTrack = index;
+      updateLoopTrackList();
+    });
 
-// Draw pointer
-function drawPointer() {
-  if (!app.pointerFinger) return;
+    const name = document.createElement('span');
+    name.className = 'loop-track-name';
+    const eventCount = track.layers.reduce((sum, layer) => sum + layer.length, 0);
+    name.textContent = `${track.name} (${eventCount})`;
 
-  const x = app.pointerFinger.displayX;
-  const y = app.pointerFinger.y;
+    const waveform = document.createElement('select');
+    utils.WAVEFORMS.forEach((type) => {
+      const option = document.createElement('option');
+      option.value = type;
+      option.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+      waveform.appendChild(option);
+    });
+    waveform.value = track.waveform;
+    waveform.addEventListener('change', (e) => {
+      track.waveform = e.target.value;
+      if (track.synth) {
+        createLoopTrackVoice(index);
+      }
+    });
 
-  // Outer glow
-  const gradient = app.ctx.createRadialGradient(x, y, 0, x, y, 40);
-  gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
-  gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
-  app.ctx.fillStyle = gradient;
-  app.ctx.beginPath();
-  app.ctx.arc(x, y, 40, 0, 2 * Math.PI);
-  app.ctx.fill();
+    const mute = document.createElement('button');
+    mute.textContent = 'M';
+    mute.title = 'Mute';
+    mute.className = track.muted ? 'active' : '';
+    mute.addEventListener('click', () => {
+      track.muted = !track.muted;
+      updateLoopTrackList();
+    });
 
-  // Main pointer circle
-  app.ctx.fillStyle = app.currentNote ? app.currentNote.color : '#4ecdc4';
-  app.ctx.beginPath();
-  app.ctx.arc(x, y, 16, 0, 2 * Math.PI);
-  app.ctx.fill();
-  
-  app.ctx.strokeStyle = 'white';
-  app.ctx.lineWidth = 4;
-  app.ctx.stroke();
+    const solo = document.createElement('button');
+    solo.textContent = 'S';
+    solo.title = 'Solo';
+    solo.className = track.soloed ? 'active' : '';
+    solo.addEventListener('click', () => {
+      track.soloed = !track.soloed;
+      updateLoopTrackList();
+    });
 
-  // Crosshair
-  app.ctx.strokeStyle = 'white';
-  app.ctx.lineWidth = 3;
-  app.ctx.beginPath();
-  app.ctx.moveTo(x - 10, y);
-  app.ctx.lineTo(x + 10, y);
-  app.ctx.moveTo(x, y - 10);
-  app.ctx.lineTo(x, y + 10);
-  app.ctx.stroke();
-}
+    const clear = document.createElement('button');
+    clear.textContent = '🗑️';
+    clear.title = 'Clear track';
+    clear.disabled = app.loopOverdub && index === app.armedTrack;
+    clear.addEventListener('click', () => {
+      track.layers = [];
+      app.loopUndoStack = app.loopUndoStack.filter(i => i !== index);
+      rebuildLoopPart(index);
+      updateLoopTrackList();
+    });
 
-// Update volume based on base volume and dynamic multiplier
-function updateVolume() {
-  if (!app.synth) return;
-  
-  // Calculate final volume (base * multiplier)
-  const finalVolume = app.baseVolume * app.dynamicVolumeMultiplier;
-  
-  // Clamp to 0-100 range
-  const clampedVolume = Math.max(0, Math.min(100, finalVolume));
-  
-  // Convert to decibels
-  app.synth.volume.value = ((clampedVolume - 100) / 100) * 40;
-  
-  // Update UI
-  document.getElementById('dynamicVolume').textContent = Math.round(clampedVolume) + '%';
-}
+    row.appendChild(arm);
+    row.appendChild(name);
+    row.appendChild(waveform);
+    row.appendChild(mute);
+    row.appendChild(solo);
+    row.appendChild(clear);
+    fragment.appendChild(row);
+  });
 
-// Calculate dynamic volume multiplier based on X position
-function calculateDynamicVolume() {
-  if (!app.pointerFinger) return;
-  
-  const centerX = app.canvas.width / 2;
-  const x = app.pointerFinger.x; // Use non-mirrored X for natural control
-  
-  // Calculate distance from center as a ratio (-1 to 1)
-  // Left = negative, Right = positive
-  const distanceFromCenter = (centerX - x) / centerX;
-  
-  // Map to multiplier range:
-  // Far left (-1) = 0.5x (50% of base volume)
-  // Center (0) = 1.0x (100% of base volume)
-  // Far right (+1) = 1.5x (150% of base volume)
-  app.dynamicVolumeMultiplier = 1.0 + (distanceFromCenter * 0.5);
-  
-  // Clamp multiplier to reasonable range
-  app.dynamicVolumeMultiplier = Math.max(0.5, Math.min(1.5, app.dynamicVolumeMultiplier));
-  
-  // Update volume
-  updateVolume();
+  while (list.firstChild) list.removeChild(list.firstChild);
+  list.appendChild(fragment);
+  document.getElementById('loopUndoBtn').disabled = app.loopUndoStack.length === 0;
 }
 
-// Stop system
-function stopSystem() {
-  app.isRunning = false;
-  
-  // Stop audio first
-  stopNote();
-  
-  if (app.synth) {
-    app.synth.dispose();
-    app.synth = null;
-  }
-  
-  app.audioInitialized = false;
-  
-  if (app.camera) {
-    app.camera.stop();
-    app.camera = null;
-  }
+// ===== AUDIO EXPORT =====
 
-  if (app.stream) {
-    app.stream.getTracks().forEach(track => track.stop());
-    app.stream = null;
+/**
+ * Render Recorded Notes to a WAV File
+ * 
+ * Uses Tone.Offline, so the take renders faster than real time and
+ * independently of live playback. The current instrument (synth sound
+ * settings or sample set), effects, volume and master stage are used;
+ * drum hits play on the drum kit.
+ * 
+ * @param {number[]} noteIndices - Indices into app.recordedNotes
+ * @returns {Promise<void>}
+ */
+async function exportRecordingAudio(noteIndices) {
+  if (noteIndices.length === 0) {
+    alert('No notes to export! Record some notes or select notes first.');
+    return;
   }
 
-  if (app.hands) {
-    app.hands.close();
-    app.hands = null;
-  }
+  const schedule = utils.buildRenderSchedule(
+    noteIndices.map(i => app.recordedNotes[i]),
+    EXPORT_LAST_NOTE_SECONDS
+  );
+  const loadingMsg = document.getElementById('loadingMsg');
+  const previousText = loadingMsg.textContent;
+  const wasShown = loadingMsg.classList.contains('show');
 
-  app.video.srcObject = null;
-  app.ctx.clearRect(0, 0, app.canvas.width, app.canvas.height);
-  
-  app.handDetected = false;
-  app.pointerFinger = null;
-  app.currentNote = null;
-  app.currentNoteIndex = -1;
-  app.dynamicVolumeMultiplier = 1.0;
-  
-  updateStatus('Stopped', 'inactive');
-  document.getElementById('handStatus').textContent = 'No';
-  document.getElementById('soundStatus').textContent = 'Off';
-  document.getElementById('noteZone').textContent = '--';
-  document.getElementById('currentNote').textContent = '--';
-  document.getElementById('currentFrequency').textContent = '-- Hz';
-  document.getElementById('dynamicVolume').textContent = '100%';
-  document.getElementById('fpsCounter').textContent = '0';
-  
-  document.getElementById('startBtn').disabled = false;
-  document.getElementById('stopBtn').disabled = true;
-}
+  try {
+    // Sample sets must be in memory before rendering starts
+    const sampleSet = app.instrument === 'synth' ? null : await loadSampleSet(app.instrument);
 
-// Update status indicator
-function updateStatus(text, state) {
-  const indicator = document.getElementById('statusIndicator');
-  const statusText = document.getElementById('statusText');
-  
-  statusText.textContent = text;
-  indicator.className = 'status-indicator ' + state;
-}
+    loadingMsg.textContent = '⏳ Rendering audio...';
+    loadingMsg.classList.add('show');
 
-// Handle errors
-function handleError(error) {
-  let errorMessage = error.message || 'An unknown error occurred.';
-  
-  if (errorMessage.includes('Camera access')) {
-    errorMessage += ' Please allow camera access in your browser settings.';
+    const rendered = await Tone.Offline(async () => {
+      const chain = buildEffectsChain();
+      const output = new Tone.Volume(((app.baseVolume - 100) / 100) * 40).toDestination();
+      chain.output.connect(output);
+      connectMasterStage(buildMasterStage());
+      await chain.ready;
+
+      const instrument = sampleSet
+        ? new Tone.Sampler({ urls: sampleSet.urls, release: sampleSet.release })
+        : new Tone.PolySynth(Tone.Synth, utils.buildSynthOptions(app.soundSettings));
+      instrument.connect(chain.input);
+
+      const drums = {};
+      schedule.events.forEach(({ time, duration, note }) => {
+        if (note.drum) {
+          const pad = DRUM_PADS.find(p => p.id === note.drum);
+          if (!pad) return;
+          if (!drums[pad.id]) {
+            drums[pad.id] = pad.createVoice().connect(chain.input);
+          }
+          pad.hit(drums[pad.id], time, note.velocity);
+        } else {
+          const frequencies = note.chordFrequencies && note.chordFrequencies.length > 1
+            ? note.chordFrequencies
+            : [note.frequency];
+          const velocity = typeof note.velocity === 'number' ? note.velocity : 1;
+          instrument.triggerAttackRelease(frequencies, duration, time, velocity);
+        }
+      });
+    }, schedule.duration + EXPORT_TAIL_SECONDS, 2);
+
+    const channels = [];
+    for (let c = 0; c < rendered.numberOfChannels; c++) {
+      channels.push(rendered.getChannelData(c));
+    }
+    const wav = utils.encodeWav(channels, rendered.sampleRate);
+    downloadBlob(new Blob([wav], { type: 'audio/wav' }), utils.captureFilename(new Date(), 'wav', 'hand-instrument-export'));
+  } catch (error) {
+    console.error('Audio export error:', error);
+    showError('Could not export audio: ' + error.message);
+  } finally {
+    loadingMsg.textContent = previousText;
+    if (!wasShown) loadingMsg.classList.remove('show');
   }
-  
-  showError(errorMessage);
-  updateStatus('Error', 'inactive');
-  
-  document.getElementById('startBtn').disabled = false;
-  document.getElementById('stopBtn').disabled = true;
 }
 
-// Show error message
-function showError(message) {
-  const errorBox = document.getElementById('errorBox');
-  const errorText = document.getElementById('errorText');
-  errorText.textContent = message;
-  errorBox.classList.add('show');
-}
+// ===== AUDIO CAPTURE =====
 
-// Hide error message
-function hideError() {
-  document.getElementById('errorBox').classList.remove('show');
+/**
+ * Start or Stop Capturing the Master Output
+ */
+function toggleAudioCapture() {
+  if (app.audioRecorder) {
+    void stopAudioCapture();
+  } else {
+    startAudioCapture();
+  }
 }
 
-// ===== PHASE 8: ENHANCED FEATURES =====
+/**
+ * Start Capturing Everything Sent to the Speakers
+ * 
+ * Taps Tone's destination, so glides, envelope tails, effects, loops
+ * and the metronome click are all in the take.
+ */
+async function startAudioCapture() {
+  if (!app.audioInitialized || app.audioRecorder) return;
 
-// Calculate octave shift based on hand distance (z-axis)
-function updateOctaveShift(landmarks) {
-  if (!landmarks || landmarks.length < 21) return;
-  
-  // Collect all Z values from landmarks for better depth estimation
-  const zValues = landmarks.map(l => l.z);
-  const avgZ = zValues.reduce((a, b) => a + b, 0) / zValues.length;
-  
-  // MediaPipe Z ranges roughly from -0.1 (reasonably close) to 0.05 (reasonably far)
-  // Map this to octave shifts of -2 to +2
-  // Closer hand (more negative Z) → higher octaves
-  // Farther hand (less negative Z) → lower octaves
-  
-  const minZ = -0.1;  // Reasonably close
-  const maxZ = 0.05;  // Reasonably far
-  let normalized = (avgZ - minZ) / (maxZ - minZ); // 0 to 1
-  normalized = Math.max(0, Math.min(1, normalized)); // Clamp to 0-1
-  let octave = Math.round((normalized * 4) - 2); // Map to -2 to +2
-  octave = Math.max(-2, Math.min(2, octave)); // Clamp to -2 to +2
-  
-  if (octave !== app.currentOctaveShift) {
-    app.currentOctaveShift = octave;
-    const octaveText = octave > 0 ? '+' + octave : octave;
-    document.getElementById('octaveValue').textContent = octaveText;
-    console.log(`Octave shift: ${octaveText} (avgZ: ${avgZ.toFixed(3)})`);
+  try {
+    const options = app.captureFormat === 'webm' ? { mimeType: 'audio/webm;codecs=opus' } : {};
+    app.audioRecorder = new Tone.Recorder(options);
+    Tone.getDestination().connect(app.audioRecorder);
+    await app.audioRecorder.start();
+  } catch (error) {
+    console.error('Audio capture error:', error);
+    showError('Could not start audio capture: ' + error.message);
+    if (app.audioRecorder) {
+      app.audioRecorder.dispose();
+      app.audioRecorder = null;
+    }
+    return;
   }
-}
 
-// Get frequency with octave shift applied
-function getFrequencyWithOctave(baseFrequency) {
-  // Each octave up = multiply by 2
-  return baseFrequency * Math.pow(2, app.currentOctaveShift);
+  app.captureStartTime = performance.now();
+  document.getElementById('captureFormatSelect').disabled = true;  // The take is saved in the format it started with
+  const btn = document.getElementById('captureBtn');
+  btn.style.background = 'linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)';
+  const showElapsed = () => {
+    const seconds = Math.floor((performance.now() - app.captureStartTime) / 1000);
+    btn.textContent = `⏹️ Stop Capture (${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')})`;
+  };
+  showElapsed();
+  app.captureTimer = setInterval(showElapsed, 1000);
 }
 
-// Toggle recording
-function toggleRecording() {
-  if (!app.audioInitialized) return;
-  
-  const btn = document.getElementById('recordBtn');
-  const info = document.getElementById('recordingInfo');
-  
-  if (!app.isRecording) {
-    // Start recording
-    app.isRecording = true;
-    app.recordedNotes = [];
-    app.selectedNoteIndices.clear();
-    app.recordingStartTime = performance.now();
-    btn.textContent = '⏹️ Stop Recording';
-    btn.style.background = 'linear-gradient(135deg, #e74c3c 0%, #c0392b 100%)';
-    info.style.display = 'block';
-    document.getElementById('recordingStatus').textContent = '🔴 Recording... Notes will be captured.';
-    document.getElementById('recordedNotesContainer').style.display = 'block';
-    updateRecordedNotesList();
-  } else {
-    // Stop recording
-    app.isRecording = false;
-    btn.textContent = '⏺️ Record';
-    btn.style.background = '';
-    info.style.display = 'block';
-    document.getElementById('recordingStatus').textContent = 
-      `✓ Recorded ${app.recordedNotes.length} notes. Select notes above to play back!`;
+/**
+ * Stop Capturing and Download the Take
+ * 
+ * MediaRecorder always produces a compressed file; for WAV it's decoded
+ * and re-encoded as 16-bit PCM with utils.encodeWav().
+ * 
+ * @returns {Promise<void>}
+ */
+async function stopAudioCapture() {
+  if (!app.audioRecorder) return;
+
+  const recorder = app.audioRecorder;
+  app.audioRecorder = null;
+  clearInterval(app.captureTimer);
+  app.captureTimer = null;
+  document.getElementById('captureFormatSelect').disabled = false;
+  const btn = document.getElementById('captureBtn');
+  btn.textContent = '🎙️ Capture Audio';
+  btn.style.background = '';
+
+  try {
+    const recording = await recorder.stop();
+    const takenAt = new Date();
+    if (app.captureFormat === 'wav') {
+      const decoded = await Tone.getContext().decodeAudioData(await recording.arrayBuffer());
+      const channels = [];
+      for (let c = 0; c < decoded.numberOfChannels; c++) {
+        channels.push(decoded.getChannelData(c));
+      }
+      const wav = utils.encodeWav(channels, decoded.sampleRate);
+      downloadBlob(new Blob([wav], { type: 'audio/wav' }), utils.captureFilename(takenAt, 'wav'));
+    } else {
+      downloadBlob(recording, utils.captureFilename(takenAt, 'webm'));
+    }
+  } catch (error) {
+    console.error('Audio capture error:', error);
+    showError('Could not save the audio capture: ' + error.message);
+  } finally {
+    recorder.dispose();
   }
 }
 
-// Record note when it changes
-function recordNote() {
-  if (!app.isRecording || !app.currentNote) return;
-  
-  const now = performance.now();
-  const relativeTime = now - app.recordingStartTime;
-  
-  const noteData = {
-    timestamp: relativeTime,
-    noteIndex: app.currentNoteIndex,
-    octaveShift: app.currentOctaveShift,
-    frequency: getFrequencyWithOctave(app.currentNote.frequency)
-  };
-  
-  app.recordedNotes.push(noteData);
-  
-  // Update UI with new note
-  const index = app.recordedNotes.length - 1;
-  app.selectedNoteIndices.add(index); // Select new notes by default
-  updateRecordedNotesList();
+/**
+ * Save a Blob as a File Download
+ * 
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 // Play back recorded notes (all notes)
@@ -989,10 +5522,21 @@ function playSequence(noteIndices) {
     
     if (elapsed >= nextNoteTime) {
       // Play this note
-      if (app.synth && app.audioInitialized) {
-        playNote(note.frequency);
-        app.currentNote = NOTES[note.noteIndex];
-        app.currentOctaveShift = note.octaveShift;
+      if (note.drum) {
+        triggerDrum(note.drum, note.velocity);
+        app.currentNote = { name: note.noteName, frequency: 0, color: note.color, drum: note.drum };
+        document.getElementById('currentNote').textContent = note.noteName;
+        document.getElementById('currentFrequency').textContent = 'Hit ' + Math.round(note.velocity * 100) + '%';
+      } else if (app.synth && app.audioInitialized) {
+        // Notes recorded with velocity are re-struck at it (older takes have none)
+        const velocity = typeof note.velocity === 'number' ? note.velocity : undefined;
+        if (note.chordFrequencies && note.chordFrequencies.length > 1) {
+          playChord(note.chordFrequencies, velocity);
+        } else {
+          playNote(note.frequency, 0, velocity);
+        }
+        app.currentNote = { name: note.noteName, frequency: note.frequency, color: note.color };
+        app.currentOctaveShift = note.octaveShift - (note.octaveTranspose || 0);  // The transpose is applied on top
         document.getElementById('currentNote').textContent = app.currentNote.name + (note.octaveShift !== 0 ? (note.octaveShift > 0 ? '+' : '') + note.octaveShift : '');
         document.getElementById('currentFrequency').textContent = note.frequency.toFixed(2) + ' Hz';
         document.getElementById('octaveValue').textContent = note.octaveShift > 0 ? '+' + note.octaveShift : note.octaveShift;
@@ -1050,8 +5594,9 @@ function updateRecordedNotesList() {
   // Build notes list using DOM methods to avoid innerHTML and inline handlers
   const fragment = document.createDocumentFragment();
   app.recordedNotes.forEach((note, index) => {
-    const noteName = NOTES[note.noteIndex].name;
+    const noteName = note.noteName;
     const octaveText = note.octaveShift !== 0 ? ` (${note.octaveShift > 0 ? '+' : ''}${note.octaveShift})` : '';
+    const chordText = note.chordType && note.chordType !== 'single' ? ' ' + note.chordType : '';
     const timeText = (note.timestamp / 1000).toFixed(2) + 's';
 
     const item = document.createElement('div');
@@ -1066,9 +5611,12 @@ function updateRecordedNotesList() {
     const content = document.createElement('div');
     content.className = 'note-item-content';
     const strong = document.createElement('strong');
-    strong.textContent = noteName + octaveText;
+    strong.textContent = noteName + chordText + octaveText;
     content.appendChild(strong);
-    content.appendChild(document.createTextNode(' - ' + note.frequency.toFixed(1) + ' Hz'));
+    content.appendChild(document.createTextNode(note.drum
+      ? ' - hit ' + Math.round(note.velocity * 100) + '%'
+      : ' - ' + note.frequency.toFixed(1) + ' Hz' +
+        (typeof note.velocity === 'number' ? ', vel ' + Math.round(note.velocity * 100) + '%' : '')));
 
     const timeDiv = document.createElement('div');
     timeDiv.className = 'note-item-time';
@@ -0,0 +1,226 @@
+/**
+ * Static Hand-Pose Recognizer for Hand Gesture Instrument
+ *
+ * Classifies a single frame of 21 MediaPipe hand landmarks into a named
+ * pose with a confidence score, and debounces the stream of per-frame
+ * results so a pose fires its bound action once, when it has been held.
+ *
+ * Uses the same UMD pattern as utils.js, which it depends on (load
+ * utils.js first in the browser):
+ * - Node.js (CommonJS): Used by test suite
+ * - Browser (global `gestures`): Used by application code
+ *
+ * Functions:
+ * - fingerExtension / pinchCloseness: Continuous finger measurements (0..1)
+ * - scorePoses / classifyPose: Score every pose and pick the best one
+ * - createPoseTracker / trackPose: Debounce, hold time and cooldown
+ */
+
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    // AMD loader (e.g., RequireJS)
+    define(['./utils'], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    // Node.js / CommonJS
+    module.exports = factory(require('./utils'));
+  } else {
+    // Browser global
+    root.gestures = factory(root.utils);
+  }
+}(typeof self !== 'undefined' ? self : this, function (utils) {
+  'use strict';
+
+  /**
+   * Recognized poses and their display names
+   */
+  var POSES = {
+    fist: 'Fist ✊',
+    openPalm: 'Open palm ✋',
+    pinch: 'Pinch 🤏',
+    point: 'Point ☝️',
+    peace: 'Peace ✌️',
+    thumbsUp: 'Thumbs up 👍',
+    rockHorns: 'Rock horns 🤘'
+  };
+
+  /**
+   * Debounce settings
+   * A pose must be held for holdMs at minConfidence or better before it
+   * fires, and the same tracker fires at most once per cooldownMs
+   */
+  var POSE_DEBOUNCE = {
+    holdMs: 300,
+    cooldownMs: 800,
+    minConfidence: 0.6
+  };
+
+  // Landmark indices, base → tip (thumb: CMC, MCP, IP, TIP; fingers: MCP, PIP, DIP, TIP)
+  var WRIST = 0;
+  var FINGERS = [[1, 2, 3, 4], [5, 6, 7, 8], [9, 10, 11, 12], [13, 14, 15, 16], [17, 18, 19, 20]];
+
+  var clamp = utils.clamp;
+  var distance = utils.distance2D;
+
+  /**
+   * How extended each finger is
+   *
+   * A finger's tip is compared with its PIP joint by distance from the
+   * wrist (the thumb: tip vs IP by distance from the pinky knuckle), the
+   * same test as utils.getExtendedFingers but graded: a ratio of 1 is
+   * halfway, 1.15 and above fully extended, 0.85 and below fully folded.
+   *
+   * @param {Array<{x: number, y: number}>} landmarks - 21 hand landmarks
+   * @returns {number[]} 0 (folded) to 1 (extended) for [thumb, index, middle, ring, pinky]
+   */
+  function fingerExtension(landmarks) {
+    var wrist = landmarks[WRIST];
+    var pinkyMcp = landmarks[FINGERS[4][0]];
+
+    return FINGERS.map(function (joints, finger) {
+      var tip = landmarks[joints[3]];
+      var ratio = finger === 0
+        ? distance(tip, pinkyMcp) / (distance(landmarks[joints[2]], pinkyMcp) || 1e-6)
+        : distance(tip, wrist) / (distance(landmarks[joints[1]], wrist) || 1e-6);
+      return clamp((ratio - 0.85) / 0.3, 0, 1);
+    });
+  }
+
+  /**
+   * How close the thumb and index tips are
+   *
+   * Measured in palm lengths (wrist to middle knuckle), so it doesn't
+   * depend on distance from the camera.
+   *
+   * @param {Array<{x: number, y: number}>} landmarks - 21 hand landmarks
+   * @returns {number} 1 when touching (0.15 palms or less), 0 from 0.35 palms apart
+   */
+  function pinchCloseness(landmarks) {
+    var palm = distance(landmarks[WRIST], landmarks[FINGERS[2][0]]) || 1e-6;
+    var gap = distance(landmarks[FINGERS[0][3]], landmarks[FINGERS[1][3]]) / palm;
+    return clamp((0.35 - gap) / 0.2, 0, 1);
+  }
+
+  /**
+   * Score every pose for one frame
+   *
+   * Each score is the weakest of the pose's conditions, so one finger in
+   * the wrong place is enough to rule a pose out.
+   *
+   * @param {Array<{x: number, y: number}>} landmarks - 21 hand landmarks
+   * @returns {Object<string, number>} Pose name → score (0..1)
+   */
+  function scorePoses(landmarks) {
+    var ext = fingerExtension(landmarks);
+    var fold = ext.map(function (e) { return 1 - e; });
+    var pinch = pinchCloseness(landmarks);
+
+    // Thumb pointing up: tip above its MCP joint by half a palm length
+    var palm = distance(landmarks[WRIST], landmarks[FINGERS[2][0]]) || 1e-6;
+    var rise = (landmarks[FINGERS[0][1]].y - landmarks[FINGERS[0][3]].y) / palm;
+    var thumbUp = Math.min(ext[0], clamp(rise / 0.5, 0, 1));
+    var fingersFolded = Math.min(fold[1], fold[2], fold[3], fold[4]);
+
+    return {
+      fist: Math.min(fingersFolded, 1 - thumbUp),
+      openPalm: Math.min(ext[0], ext[1], ext[2], ext[3], ext[4], 1 - pinch),
+      pinch: Math.min(pinch, ext[2]),
+      point: Math.min(ext[1], fold[2], fold[3], fold[4], 1 - pinch),
+      peace: Math.min(ext[1], ext[2], fold[3], fold[4], 1 - pinch),
+      thumbsUp: Math.min(thumbUp, fingersFolded),
+      rockHorns: Math.min(ext[1], fold[2], fold[3], ext[4], 1 - pinch)
+    };
+  }
+
+  /**
+   * Classify a Hand Pose
+   *
+   * @param {Array<{x: number, y: number}>} landmarks - 21 hand landmarks
+   * @param {number} [minConfidence=POSE_DEBOUNCE.minConfidence] - Below this the pose is 'none'
+   * @returns {{pose: string, confidence: number}} A key of POSES or 'none', with the best score
+   */
+  function classifyPose(landmarks, minConfidence) {
+    if (!landmarks || landmarks.length < 21) {
+      return { pose: 'none', confidence: 0 };
+    }
+    var threshold = typeof minConfidence === 'number' ? minConfidence : POSE_DEBOUNCE.minConfidence;
+    var scores = scorePoses(landmarks);
+    var best = 'none';
+    var confidence = 0;
+    Object.keys(scores).forEach(function (pose) {
+      if (scores[pose] > confidence) {
+        best = pose;
+        confidence = scores[pose];
+      }
+    });
+    return { pose: confidence >= threshold ? best : 'none', confidence: confidence };
+  }
+
+  /**
+   * Start a Pose Tracker
+   *
+   * @returns {{candidate: string, since: number, active: string, armed: boolean, firedAt: number}}
+   */
+  function createPoseTracker() {
+    return { candidate: 'none', since: 0, active: 'none', armed: false, firedAt: -Infinity };
+  }
+
+  /**
+   * Feed One Frame's Classification to a Tracker
+   *
+   * The pose becomes active once it has been seen without a break for
+   * holdMs, and fires on that frame, or when the cooldown runs out if it
+   * is still held then. It can't fire again until a different pose (or
+   * none) has become active in between, so holding a pose fires it once.
+   *
+   * @param {object} tracker - From createPoseTracker() or a previous call (not modified)
+   * @param {{pose: string, confidence: number}} result - classifyPose() output
+   * @param {number} time - Timestamp in milliseconds
+   * @param {object} [options] - Overrides for POSE_DEBOUNCE
+   * @returns {{tracker: object, fired: string|null}} Next tracker state and the pose that fired
+   */
+  function trackPose(tracker, result, time, options) {
+    var o = {};
+    Object.keys(POSE_DEBOUNCE).forEach(function (key) {
+      o[key] = options && typeof options[key] === 'number' ? options[key] : POSE_DEBOUNCE[key];
+    });
+
+    var pose = result && result.confidence >= o.minConfidence ? result.pose : 'none';
+    var next = {
+      candidate: tracker.candidate,
+      since: tracker.since,
+      active: tracker.active,
+      armed: Boolean(tracker.armed),
+      firedAt: tracker.firedAt
+    };
+    if (pose !== next.candidate) {
+      next.candidate = pose;
+      next.since = time;
+    }
+
+    if (next.candidate !== next.active && time - next.since >= o.holdMs) {
+      next.active = next.candidate;
+      next.armed = next.active !== 'none';
+    }
+
+    // An armed pose waits out the cooldown, as long as it is still held
+    var fired = null;
+    if (next.armed && next.candidate === next.active && time - next.firedAt >= o.cooldownMs) {
+      fired = next.active;
+      next.firedAt = time;
+      next.armed = false;
+    }
+    return { tracker: next, fired: fired };
+  }
+
+  // Export all functions
+  return {
+    POSES: POSES,
+    POSE_DEBOUNCE: POSE_DEBOUNCE,
+    fingerExtension: fingerExtension,
+    pinchCloseness: pinchCloseness,
+    scorePoses: scorePoses,
+    classifyPose: classifyPose,
+    createPoseTracker: createPoseTracker,
+    trackPose: trackPose
+  };
+}));
@@ -11,6 +11,31 @@
  * - getFrequencyWithOctave: Apply octave shifts to base frequencies
  * - calculateDynamicVolumeMultiplier: Volume varies by hand position (X-axis)
  * - zToOctaveShift: Convert hand depth (Z-axis) to octave shift
+ * - getExtendedFingers / countRaisedFingers: Read finger state from hand landmarks
+ * - chordTypeForFingerCount / buildChordFrequencies: Chord mode voicing
+ * - midiToFrequency / parseIntervalList / buildScaleNotes: Scale engine
+ * - generateZoneColors: Rainbow colours for any number of note zones
+ * - frequencyToMidi / continuousZonePitch / snapPitch / describePitch: Theremin mode
+ * - normalizeSoundSettings / buildSynthOptions: Sound design presets
+ * - effectMixLevel / sliderToCutoff / formatCutoff: Effects rack parameters
+ * - noteNameToMidi / sampleFiles / buildSampleIndex: Sampled instrument manifests
+ * - equalTemperament / tuningFromRatios / parseScala / parseKeyboardMap: Tuning subsystem
+ * - detectStrike / padIndexAt: Percussion pad mode
+ * - buildArpeggio / arpeggioNoteAt: Arpeggiator patterns
+ * - loopEventLength / audibleTracks: Loop station
+ * - parseTimeSignature / beatInBar / gridSeconds / quantizeTime / quantizeOffset: Tempo clock and quantize
+ * - encodeWav / captureFilename / buildRenderSchedule: Audio capture and export
+ * - measureLevels / gainToDb / meterPercent: Master output meter
+ * - extractHandFeatures / normalizeModRoute / applyModCurve / modulationValue: Modulation matrix
+ * - speedToVelocity / velocityCutoff: Velocity-sensitive note onsets
+ * - isClosedFist / holdsNote: Latch, sustain pedal and release grace period
+ * - performerSide / assignHandRoles / handModifiers: Two-hand play
+ * - smoothingAlpha / emaStep / oneEuroStep / smoothLandmarks: Landmark jitter filters
+ * - averageDepth / mapToArea / deriveCalibration / normalizeCalibration: Per-user calibration
+ * - jointAngle / fingerCurls / fingerKeyPresses / fingerKeyIndex / fingerKeyNote: Finger piano
+ * - pinchGate / pinchGateOpen: Pinch-to-play note on/off
+ * - buildZoneLayout / zoneAt / zoneLayoutAxes: Zone shapes and hit-testing for the 2D layouts
+ * - clientToCanvas: Mouse, touch and pen positions in canvas pixels
  */
 
 (function (root, factory) {
@@ -48,13 +73,18 @@
    * - octaveShift = +1 → freq * 2
    * - octaveShift = +2 → freq * 4
    * 
+   * Tunings whose period is not an octave (e.g. a Scala scale repeating
+   * at 3/1) can pass periodCents to shift by whole periods instead.
+   * 
    * @param {number} baseFrequency - Base frequency in Hz (e.g., 440 for A4)
    * @param {number} [octaveShift=0] - Octave shift (-2..+2)
+   * @param {number} [periodCents=1200] - Size of one "octave" in cents
    * @returns {number} Adjusted frequency
    */
-  function getFrequencyWithOctave(baseFrequency, octaveShift) {
+  function getFrequencyWithOctave(baseFrequency, octaveShift, periodCents) {
     octaveShift = octaveShift || 0;
-    return baseFrequency * Math.pow(2, octaveShift);
+    periodCents = periodCents || 1200;
+    return baseFrequency * Math.pow(2, (octaveShift * periodCents) / 1200);
   }
 
   /**
@@ -105,22 +135,25 @@
   /**
    * Convert average hand depth (Z-axis) to octave shift
    * 
-   * MediaPipe provides Z coordinates in 3D space:
-   * - Z ≈ -0.1: Hand far from camera → octave shift = -2 (lowest)
+   * MediaPipe Z gets smaller (more negative) as the hand comes closer
+   * to the camera:
+   * - Z ≈ 0.05: Hand far from camera → octave shift = -2 (lowest)
    * - Z ≈ -0.02: Hand at middle depth → octave shift = 0 (normal)
-   * - Z ≈ 0.05: Hand very close to camera → octave shift = +2 (highest)
+   * - Z ≈ -0.1: Hand very close to camera → octave shift = +2 (highest)
    * 
    * Moving hand toward/away from camera changes the pitch up/down.
+   * The readings vary from person to person, so a calibration passes
+   * its own far/near values (CALIBRATION_DEFAULTS until then).
    * 
    * @param {number} avgZ - Average Z coordinate from MediaPipe (typically -0.1..0.05)
-   * @param {number} [minZ=-0.1] - Z value for octave shift = -2 (hand farthest)
-   * @param {number} [maxZ=0.05] - Z value for octave shift = +2 (hand closest)
+   * @param {number} [minZ=0.05] - Z value for octave shift = -2 (hand farthest)
+   * @param {number} [maxZ=-0.1] - Z value for octave shift = +2 (hand closest)
    * @returns {number} Octave shift (-2..+2)
    */
   function zToOctaveShift(avgZ, minZ, maxZ) {
     // Set defaults if not provided
-    if (typeof minZ === 'undefined') minZ = -0.1;
-    if (typeof maxZ === 'undefined') maxZ = 0.05;
+    if (typeof minZ === 'undefined') minZ = 0.05;
+    if (typeof maxZ === 'undefined') maxZ = -0.1;
 
     // Normalize Z to 0..1 range
     var normalized = (avgZ - minZ) / (maxZ - minZ);
@@ -132,11 +165,2134 @@
     return octave;
   }
 
+  /**
+   * MediaPipe landmark indices for each finger, ordered base → tip
+   * (thumb: CMC, MCP, IP, TIP; other fingers: MCP, PIP, DIP, TIP)
+   */
+  var FINGER_LANDMARKS = {
+    thumb: [1, 2, 3, 4],
+    index: [5, 6, 7, 8],
+    middle: [9, 10, 11, 12],
+    ring: [13, 14, 15, 16],
+    pinky: [17, 18, 19, 20]
+  };
+
+  var FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+  /**
+   * 2D distance between two landmarks (Z is ignored, it is too noisy)
+   * 
+   * @param {{x: number, y: number}} a - First point
+   * @param {{x: number, y: number}} b - Second point
+   * @returns {number} Euclidean distance in the same units as the input
+   */
+  function distance2D(a, b) {
+    var dx = a.x - b.x;
+    var dy = a.y - b.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Work out which fingers are extended from the 21 MediaPipe hand landmarks
+   * 
+   * A finger counts as extended when its tip is farther from the wrist than
+   * its PIP joint, which holds regardless of how the hand is rotated.
+   * The thumb folds across the palm instead of toward the wrist, so its tip
+   * is compared with its IP joint relative to the pinky knuckle.
+   * 
+   * @param {Array<{x: number, y: number}>} landmarks - 21 hand landmarks
+   * @returns {boolean[]} Extended state for [thumb, index, middle, ring, pinky]
+   */
+  function getExtendedFingers(landmarks) {
+    if (!landmarks || landmarks.length < 21) {
+      return [false, false, false, false, false];
+    }
+
+    var wrist = landmarks[0];
+    var pinkyMcp = landmarks[FINGER_LANDMARKS.pinky[0]];
+
+    return FINGER_NAMES.map(function (name) {
+      var joints = FINGER_LANDMARKS[name];
+      var tip = landmarks[joints[3]];
+      if (name === 'thumb') {
+        return distance2D(tip, pinkyMcp) > distance2D(landmarks[joints[2]], pinkyMcp);
+      }
+      return distance2D(tip, wrist) > distance2D(landmarks[joints[1]], wrist);
+    });
+  }
+
+  /**
+   * Count how many fingers are raised (0-5)
+   * 
+   * @param {Array<{x: number, y: number}>} landmarks - 21 hand landmarks
+   * @returns {number} Number of extended fingers
+   */
+  function countRaisedFingers(landmarks) {
+    return getExtendedFingers(landmarks).filter(Boolean).length;
+  }
+
+  /**
+   * Chord shapes as scale-degree offsets from the root
+   * Stacking every other scale degree keeps chords inside the current scale
+   */
+  var CHORD_DEGREES = {
+    single: [0],            // Root only
+    power: [0, 4],          // Root + fifth
+    triad: [0, 2, 4],       // Root + third + fifth
+    seventh: [0, 2, 4, 6]   // Root + third + fifth + seventh
+  };
+
+  /**
+   * Pick a chord type from the number of raised fingers
+   * 
+   * - 0-1 fingers → single note
+   * - 2 fingers → power chord
+   * - 3 fingers → triad
+   * - 4-5 fingers → seventh chord
+   * 
+   * @param {number} fingerCount - Number of raised fingers (0-5)
+   * @returns {string} One of 'single', 'power', 'triad', 'seventh'
+   */
+  function chordTypeForFingerCount(fingerCount) {
+    if (fingerCount >= 4) return 'seventh';
+    if (fingerCount === 3) return 'triad';
+    if (fingerCount === 2) return 'power';
+    return 'single';
+  }
+
+  /**
+   * Build the frequencies of a chord rooted on a scale degree
+   * 
+   * Degrees past the top of the scale wrap around one octave higher,
+   * e.g. a triad on B in C major gives B4, D5, F5.
+   * 
+   * @param {number[]} scaleFrequencies - One octave of the scale, ascending (Hz)
+   * @param {number} rootIndex - Index of the root within scaleFrequencies
+   * @param {string} chordType - Key of CHORD_DEGREES ('single', 'power', 'triad', 'seventh')
+   * @returns {number[]} Chord frequencies in Hz, lowest first
+   */
+  function buildChordFrequencies(scaleFrequencies, rootIndex, chordType) {
+    var degrees = CHORD_DEGREES[chordType] || CHORD_DEGREES.single;
+    var length = scaleFrequencies.length;
+
+    return degrees.map(function (degree) {
+      var step = rootIndex + degree;
+      var octave = Math.floor(step / length);
+      return scaleFrequencies[step % length] * Math.pow(2, octave);
+    });
+  }
+
+  /**
+   * Pitch class names, C = 0
+   */
+  var NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+  /**
+   * Scale modes as semitone offsets from the root
+   */
+  var SCALE_INTERVALS = {
+    major: [0, 2, 4, 5, 7, 9, 11],
+    naturalMinor: [0, 2, 3, 5, 7, 8, 10],
+    pentatonic: [0, 2, 4, 7, 9],
+    blues: [0, 3, 5, 6, 7, 10],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+  };
+
+  /**
+   * Convert a MIDI note number to a frequency (12-TET)
+   * 
+   * @param {number} midi - MIDI note number (60 = C4, 69 = A4)
+   * @param {number} [referencePitch=440] - Frequency of A4 in Hz
+   * @returns {number} Frequency in Hz
+   */
+  function midiToFrequency(midi, referencePitch) {
+    referencePitch = referencePitch || 440;
+    return referencePitch * Math.pow(2, (midi - 69) / 12);
+  }
+
+  /**
+   * Parse a user-defined scale such as "0 2 3 7 8" or "0, 3, 5, 7, 10"
+   * 
+   * Values are semitone offsets from the root (0 ≤ n < 12). The result is
+   * sorted, de-duplicated and always starts on the root (0).
+   * 
+   * @param {string} text - Space or comma separated semitone offsets
+   * @returns {number[]} Sorted semitone offsets starting with 0
+   * @throws {Error} If the list is empty or contains an invalid value
+   */
+  function parseIntervalList(text) {
+    var parts = String(text || '').split(/[\s,]+/).filter(Boolean);
+    if (parts.length === 0) {
+      throw new Error('Custom scale is empty: enter semitone offsets such as "0 2 4 7 9"');
+    }
+
+    var intervals = parts.map(function (part) {
+      var value = Number(part);
+      if (!isFinite(value) || value < 0 || value >= 12) {
+        throw new Error('Invalid interval "' + part + '": use semitones from 0 to 11');
+      }
+      return value;
+    });
+
+    intervals.sort(function (a, b) { return a - b; });
+    intervals = intervals.filter(function (value, i) {
+      return i === 0 || value !== intervals[i - 1];
+    });
+    if (intervals[0] !== 0) intervals.unshift(0);
+    return intervals;
+  }
+
+  /**
+   * Build the playable notes of a scale, lowest first
+   * 
+   * Notes continue into the next octave when zoneCount is larger than the
+   * scale; names then carry an octave number (e.g. "C5") to tell them apart.
+   * 
+   * With options.tuning, intervals are step numbers of that tuning rather
+   * than 12-TET semitones. Tunings with 12 steps keep the usual note names;
+   * others are labelled with the nearest note and cents (e.g. "D4+14").
+   * 
+   * @param {number} rootPitchClass - Root key, 0 (C) to 11 (B)
+   * @param {number[]} intervals - Semitone offsets from the root (see SCALE_INTERVALS)
+   * @param {number} [zoneCount=intervals.length] - Number of notes to generate
+   * @param {number} [baseOctave=4] - Octave of the root note
+   * @param {object} [options]
+   * @param {number} [options.referencePitch=440] - Frequency of A4 in Hz
+   * @param {{cents: number[], period: number}} [options.tuning] - Tuning to use instead of 12-TET
+   * @returns {Array<{name: string, midi: number, frequency: number, degree: number, octave: number}>}
+   *   midi = pitch as a fractional MIDI number (A4 = 440 Hz), degree = index
+   *   into intervals, octave = periods above the root
+   */
+  function buildScaleNotes(rootPitchClass, intervals, zoneCount, baseOctave, options) {
+    zoneCount = zoneCount || intervals.length;
+    if (typeof baseOctave === 'undefined') baseOctave = 4;
+    options = options || {};
+
+    var tuning = options.tuning || null;
+    var stepsPerPeriod = tuning ? tuning.cents.length : 12;
+    var rootMidi = 12 * (baseOctave + 1) + rootPitchClass;  // C4 = 60
+    var rootFrequency = midiToFrequency(rootMidi, options.referencePitch);
+    var showOctave = zoneCount > intervals.length;
+    var notes = [];
+
+    for (var i = 0; i < zoneCount; i++) {
+      var degree = i % intervals.length;
+      var octave = Math.floor(i / intervals.length);
+      var frequency = tuning
+        ? rootFrequency * Math.pow(2, degreeToCents(tuning, intervals[degree] + stepsPerPeriod * octave) / 1200)
+        : midiToFrequency(rootMidi + intervals[degree] + 12 * octave, options.referencePitch);
+
+      var name;
+      if (stepsPerPeriod === 12) {
+        var nearest = Math.round(rootMidi + intervals[degree] + 12 * octave);
+        name = NOTE_NAMES[((nearest % 12) + 12) % 12];
+        if (showOctave) name += (Math.floor(nearest / 12) - 1);
+      } else {
+        name = pitchLabel(frequency);
+      }
+
+      notes.push({
+        name: name,
+        midi: frequencyToMidi(frequency),
+        frequency: frequency,
+        degree: degree,
+        octave: octave
+      });
+    }
+    return notes;
+  }
+
+  /**
+   * Convert an HSL colour to a hex string
+   * 
+   * @param {number} h - Hue in degrees (0-360)
+   * @param {number} s - Saturation in percent (0-100)
+   * @param {number} l - Lightness in percent (0-100)
+   * @returns {string} Colour as '#rrggbb'
+   */
+  function hslToHex(h, s, l) {
+    s /= 100;
+    l /= 100;
+    var a = s * Math.min(l, 1 - l);
+    function channel(n) {
+      var k = (n + h / 30) % 12;
+      var value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+      return ('0' + Math.round(value * 255).toString(16)).slice(-2);
+    }
+    return '#' + channel(0) + channel(8) + channel(4);
+  }
+
+  /**
+   * Generate one colour per note zone, red (lowest) through to purple (highest)
+   * 
+   * @param {number} count - Number of zones
+   * @returns {string[]} Hex colours, lowest zone first
+   */
+  function generateZoneColors(count) {
+    var colors = [];
+    for (var i = 0; i < count; i++) {
+      var hue = count > 1 ? (280 * i) / (count - 1) : 0;
+      colors.push(hslToHex(hue, 70, 55));
+    }
+    return colors;
+  }
+
+  /**
+   * Convert a frequency to a (fractional) MIDI note number
+   * 
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} [referencePitch=440] - Frequency of A4 in Hz
+   * @returns {number} MIDI note number, e.g. 69.5 is a quarter tone above A4
+   */
+  function frequencyToMidi(frequency, referencePitch) {
+    referencePitch = referencePitch || 440;
+    return 69 + 12 * Math.log2(frequency / referencePitch);
+  }
+
+  /**
+   * Map a vertical position to a continuous pitch across the note zones
+   * 
+   * The centre of each zone sounds exactly that zone's note; between
+   * centres the pitch slides linearly (in semitones) to the neighbour,
+   * so uneven scales still line up with the drawn zones.
+   * Above the top centre / below the bottom centre the pitch holds.
+   * 
+   * @param {number} y - Vertical position in pixels (0 = top)
+   * @param {number} height - Canvas height in pixels
+   * @param {number[]} zonePitches - MIDI note per zone, top zone first
+   * @returns {number} Fractional MIDI note number
+   */
+  function continuousZonePitch(y, height, zonePitches) {
+    var count = zonePitches.length;
+    if (count === 1 || height <= 0) return zonePitches[0];
+
+    // 0 = centre of the top zone, count - 1 = centre of the bottom zone
+    var position = clamp((y / height) * count - 0.5, 0, count - 1);
+    var index = Math.min(Math.floor(position), count - 2);
+    var t = position - index;
+    return zonePitches[index] + (zonePitches[index + 1] - zonePitches[index]) * t;
+  }
+
+  /**
+   * Pull a pitch toward the nearest target pitch
+   * 
+   * @param {number} midi - Fractional MIDI note number
+   * @param {number[]} targets - Candidate MIDI notes (e.g. the scale tones)
+   * @param {number} strength - 0 = no pull (free theremin), 1 = fully quantized
+   * @returns {number} Adjusted MIDI note number
+   */
+  function snapPitch(midi, targets, strength) {
+    if (!targets || targets.length === 0 || !strength) return midi;
+
+    var nearest = targets[0];
+    for (var i = 1; i < targets.length; i++) {
+      if (Math.abs(targets[i] - midi) < Math.abs(nearest - midi)) nearest = targets[i];
+    }
+    return midi + (nearest - midi) * clamp(strength, 0, 1);
+  }
+
+  /**
+   * Name the nearest equal-tempered note and the deviation from it
+   * 
+   * @param {number} frequency - Frequency in Hz
+   * @param {number} [referencePitch=440] - Frequency of A4 in Hz
+   * @returns {{name: string, midi: number, cents: number}} e.g. {name: 'A4', midi: 69, cents: -12}
+   */
+  function describePitch(frequency, referencePitch) {
+    var midi = frequencyToMidi(frequency, referencePitch);
+    var nearest = Math.round(midi);
+    return {
+      name: NOTE_NAMES[((nearest % 12) + 12) % 12] + (Math.floor(nearest / 12) - 1),
+      midi: nearest,
+      cents: Math.round((midi - nearest) * 100)
+    };
+  }
+
+  /**
+   * Label a frequency with the nearest note and its deviation, e.g. "D4+14"
+   * 
+   * @param {number} frequency - Frequency in Hz
+   * @returns {string} Note name with octave, plus signed cents when not 0
+   */
+  function pitchLabel(frequency) {
+    var pitch = describePitch(frequency);
+    if (pitch.cents === 0) return pitch.name;
+    return pitch.name + (pitch.cents > 0 ? '+' : '') + pitch.cents;
+  }
+
+  /**
+   * Convert a frequency ratio to cents (1200 cents = one octave)
+   * 
+   * @param {number} ratio - Frequency ratio, e.g. 1.5 for a just fifth
+   * @returns {number} Size in cents
+   */
+  function ratioToCents(ratio) {
+    return 1200 * Math.log2(ratio);
+  }
+
+  /**
+   * 5-limit just intonation and Pythagorean (3-limit) ratios for 12 steps
+   */
+  var JUST_INTONATION_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8];
+  var PYTHAGOREAN_RATIOS = [1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128];
+
+  /**
+   * A tuning is one period of pitches in cents above the tonic:
+   * {name, cents: [0, ...], period} where cents[0] is always 0 and
+   * period (usually 1200) is where the pattern repeats.
+   */
+
+  /**
+   * Build an equal temperament (12 = standard tuning, 19, 24, 31, ...)
+   * 
+   * @param {number} divisions - Equal steps per octave
+   * @returns {{name: string, cents: number[], period: number}}
+   */
+  function equalTemperament(divisions) {
+    var cents = [];
+    for (var i = 0; i < divisions; i++) cents.push((1200 * i) / divisions);
+    return { name: divisions + '-TET', cents: cents, period: 1200 };
+  }
+
+  /**
+   * Build a tuning from frequency ratios above the tonic
+   * 
+   * @param {string} name - Display name
+   * @param {number[]} ratios - Ratios for one period, starting with 1
+   * @param {number} [periodRatio=2] - Ratio at which the pattern repeats
+   * @returns {{name: string, cents: number[], period: number}}
+   */
+  function tuningFromRatios(name, ratios, periodRatio) {
+    return {
+      name: name,
+      cents: ratios.map(ratioToCents),
+      period: ratioToCents(periodRatio || 2)
+    };
+  }
+
+  /**
+   * Cents above the tonic of any scale degree, including negative degrees
+   * and degrees beyond the first period
+   * 
+   * @param {{cents: number[], period: number}} tuning
+   * @param {number} degree - Scale step (0 = tonic)
+   * @returns {number} Cents above the tonic
+   */
+  function degreeToCents(tuning, degree) {
+    var size = tuning.cents.length;
+    var periods = Math.floor(degree / size);
+    return tuning.cents[degree - periods * size] + periods * tuning.period;
+  }
+
+  /**
+   * Parse a Scala pitch value: cents if it contains a '.', otherwise a ratio
+   * ("3/2" or a whole number such as "2")
+   * 
+   * @param {string} token - Pitch value from a .scl file
+   * @returns {number} Cents
+   * @throws {Error} If the value can't be read
+   */
+  function parseScalaPitch(token) {
+    if (token.indexOf('.') !== -1) {
+      var cents = Number(token);
+      if (!isFinite(cents)) throw new Error('Invalid cents value "' + token + '"');
+      return cents;
+    }
+
+    var parts = token.split('/');
+    var numerator = Number(parts[0]);
+    var denominator = parts.length > 1 ? Number(parts[1]) : 1;
+    if (parts.length > 2 || !isFinite(numerator) || !isFinite(denominator) || numerator <= 0 || denominator <= 0) {
+      throw new Error('Invalid ratio "' + token + '"');
+    }
+    return ratioToCents(numerator / denominator);
+  }
+
+  /**
+   * Parse a Scala scale file (.scl)
+   * 
+   * Format: '!' lines are comments; the first other line is a description,
+   * the next is the number of pitches, then one pitch per line (cents or
+   * ratio). The tonic (1/1) is implied and the last pitch is the period.
+   * 
+   * @param {string} text - Contents of a .scl file
+   * @returns {{name: string, cents: number[], period: number}} Tuning
+   * @throws {Error} If the file is malformed
+   */
+  function parseScala(text) {
+    var lines = String(text || '').split(/\r?\n/).filter(function (line) {
+      return line.trim().charAt(0) !== '!';
+    });
+    if (lines.length < 2) throw new Error('Scala file is missing its description or note count');
+
+    var description = lines[0].trim();
+    var count = parseInt(lines[1], 10);
+    if (!(count > 0)) throw new Error('Scala file has an invalid note count "' + lines[1].trim() + '"');
+
+    var pitches = lines.slice(2)
+      .map(function (line) { return line.trim().split(/\s+/)[0]; })
+      .filter(Boolean);
+    if (pitches.length < count) {
+      throw new Error('Scala file lists ' + pitches.length + ' pitches but declares ' + count);
+    }
+
+    var cents = pitches.slice(0, count).map(parseScalaPitch);
+    var period = cents.pop();
+    if (!(period > 0)) throw new Error('Scala file period must be above the tonic');
+
+    return { name: description || 'Scala scale', cents: [0].concat(cents), period: period };
+  }
+
+  /**
+   * Parse a Scala keyboard mapping file (.kbm)
+   * 
+   * Values, in order: map size, first and last MIDI note, middle note
+   * (where mapping entry 0 sits), reference note, reference frequency,
+   * formal octave degree, then one mapping entry per key ('x' = unmapped).
+   * A map size of 0 means a linear mapping (key - middle note = degree).
+   * 
+   * @param {string} text - Contents of a .kbm file
+   * @returns {{size: number, firstNote: number, lastNote: number, middleNote: number,
+   *   referenceNote: number, referenceFrequency: number, octaveDegree: number,
+   *   mapping: Array<number|null>}}
+   * @throws {Error} If the file is malformed
+   */
+  function parseKeyboardMap(text) {
+    var values = String(text || '').split(/\r?\n/)
+      .map(function (line) { return line.trim(); })
+      .filter(function (line) { return line && line.charAt(0) !== '!'; })
+      .map(function (line) { return line.split(/\s+/)[0]; });
+    if (values.length < 7) throw new Error('Keyboard mapping file needs at least 7 header values');
+
+    var header = values.slice(0, 7).map(Number);
+    if (header.some(function (v) { return !isFinite(v); })) {
+      throw new Error('Keyboard mapping file has a non-numeric header value');
+    }
+
+    var size = header[0];
+    var mapping = values.slice(7, 7 + size).map(function (entry) {
+      if (entry.toLowerCase() === 'x') return null;
+      var degree = parseInt(entry, 10);
+      if (isNaN(degree)) throw new Error('Invalid keyboard mapping entry "' + entry + '"');
+      return degree;
+    });
+    while (mapping.length < size) mapping.push(null);  // Missing trailing entries are unmapped
+
+    var keyboardMap = {
+      size: size,
+      firstNote: header[1],
+      lastNote: header[2],
+      middleNote: header[3],
+      referenceNote: header[4],
+      referenceFrequency: header[5],
+      octaveDegree: header[6],
+      mapping: mapping
+    };
+    if (!(keyboardMap.referenceFrequency > 0)) {
+      throw new Error('Keyboard mapping reference frequency must be above 0 Hz');
+    }
+    if (patternDegree(keyboardMap, keyboardMap.referenceNote) === null) {
+      throw new Error('Keyboard mapping leaves its reference note (' + keyboardMap.referenceNote + ') unmapped');
+    }
+    return keyboardMap;
+  }
+
+  /**
+   * Scale degree a key gets from the mapping pattern, ignoring the key range
+   * 
+   * @param {object} keyboardMap - Result of parseKeyboardMap
+   * @param {number} key - MIDI note number
+   * @returns {number|null} Scale degree, or null if the pattern leaves it unmapped
+   */
+  function patternDegree(keyboardMap, key) {
+    var offset = key - keyboardMap.middleNote;
+    if (keyboardMap.size === 0) return offset;
+
+    var repeats = Math.floor(offset / keyboardMap.size);
+    var entry = keyboardMap.mapping[offset - repeats * keyboardMap.size];
+    if (entry === null) return null;
+    return entry + repeats * keyboardMap.octaveDegree;
+  }
+
+  /**
+   * Scale degree played by a MIDI key under a keyboard mapping
+   * 
+   * @param {object} keyboardMap - Result of parseKeyboardMap
+   * @param {number} key - MIDI note number
+   * @returns {number|null} Scale degree, or null if the key is unmapped
+   */
+  function mapKeyToDegree(keyboardMap, key) {
+    if (key < keyboardMap.firstNote || key > keyboardMap.lastNote) return null;
+    return patternDegree(keyboardMap, key);
+  }
+
+  /**
+   * Frequency of a MIDI key under a tuning and keyboard mapping
+   * 
+   * The mapping's reference note sounds at its reference frequency and
+   * every other key is placed relative to it through the tuning.
+   * 
+   * @param {{cents: number[], period: number}} tuning
+   * @param {object} keyboardMap - Result of parseKeyboardMap
+   * @param {number} key - MIDI note number
+   * @returns {number|null} Frequency in Hz, or null if the key is unmapped
+   */
+  function keyboardMapFrequency(tuning, keyboardMap, key) {
+    var degree = mapKeyToDegree(keyboardMap, key);
+    if (degree === null) return null;
+
+    // The reference note may sit outside the playable key range
+    var referenceDegree = patternDegree(keyboardMap, keyboardMap.referenceNote);
+    var cents = degreeToCents(tuning, degree) - degreeToCents(tuning, referenceDegree);
+    return keyboardMap.referenceFrequency * Math.pow(2, cents / 1200);
+  }
+
+  /**
+   * Build note zones from a keyboard mapping, lowest first
+   * 
+   * Zones take consecutive mapped keys upward from the mapping's middle note
+   * (unmapped keys are skipped), so the .kbm decides both which pitches
+   * are playable and where they sit.
+   * 
+   * @param {{cents: number[], period: number}} tuning
+   * @param {object} keyboardMap - Result of parseKeyboardMap
+   * @param {number} zoneCount - Number of zones to generate
+   * @returns {Array<{name: string, midi: number, frequency: number, degree: number, octave: number}>}
+   */
+  function buildKeyboardMapNotes(tuning, keyboardMap, zoneCount) {
+    var steps = tuning.cents.length;
+    var notes = [];
+
+    for (var key = keyboardMap.middleNote; notes.length < zoneCount && key <= keyboardMap.lastNote; key++) {
+      var frequency = keyboardMapFrequency(tuning, keyboardMap, key);
+      if (frequency === null) continue;
+
+      var i = notes.length;
+      notes.push({
+        name: pitchLabel(frequency),
+        midi: frequencyToMidi(frequency),
+        frequency: frequency,
+        degree: i % steps,
+        octave: Math.floor(i / steps)
+      });
+    }
+    return notes;
+  }
+
+  /**
+   * Sound design parameters: default value and allowed range
+   * Times are in seconds, sustain is 0-1, detune is in cents
+   */
+  var SOUND_PARAMS = {
+    attack: { value: 0.05, min: 0.001, max: 2 },
+    decay: { value: 0.1, min: 0.01, max: 2 },
+    sustain: { value: 0.7, min: 0, max: 1 },
+    release: { value: 0.3, min: 0.01, max: 5 },
+    partials: { value: 0, min: 0, max: 32 },      // 0 = full waveform, N = first N harmonics
+    detune: { value: 0, min: -100, max: 100 },
+    portamento: { value: 0, min: 0, max: 0.5 }
+  };
+
+  var WAVEFORMS = ['sine', 'triangle', 'square', 'sawtooth'];
+
+  /**
+   * Fill in and clamp a set of sound settings (e.g. a saved preset)
+   * 
+   * Missing or non-numeric values fall back to the defaults, so presets
+   * saved by older versions still load.
+   * 
+   * @param {object} [settings] - {waveform, attack, decay, sustain, release, partials, detune, portamento}
+   * @returns {object} A complete, in-range copy of the settings
+   */
+  function normalizeSoundSettings(settings) {
+    settings = settings || {};
+    var result = {
+      waveform: WAVEFORMS.indexOf(settings.waveform) !== -1 ? settings.waveform : 'sine'
+    };
+
+    Object.keys(SOUND_PARAMS).forEach(function (key) {
+      var param = SOUND_PARAMS[key];
+      var value = typeof settings[key] === 'number' && isFinite(settings[key]) ? settings[key] : param.value;
+      result[key] = clamp(value, param.min, param.max);
+    });
+    result.partials = Math.round(result.partials);
+    return result;
+  }
+
+  /**
+   * Build Tone.Synth constructor options from sound settings
+   * 
+   * Partials use Tone's "<type><count>" oscillator syntax (e.g. 'sawtooth8').
+   * Portamento is not included: the app applies it as a frequency ramp.
+   * 
+   * @param {object} settings - Sound settings (normalized first)
+   * @returns {{oscillator: {type: string}, envelope: object, detune: number}}
+   */
+  function buildSynthOptions(settings) {
+    var s = normalizeSoundSettings(settings);
+    return {
+      oscillator: { type: s.partials > 0 ? s.waveform + s.partials : s.waveform },
+      envelope: {
+        attack: s.attack,
+        decay: s.decay,
+        sustain: s.sustain,
+        release: s.release
+      },
+      detune: s.detune
+    };
+  }
+
+  /**
+   * Crossfade level for an effect slot
+   * 
+   * @param {{enabled: boolean, wet: number}} settings - Effect on/off and wet/dry mix (0-1)
+   * @returns {number} 0 (fully dry) to 1 (fully wet); a bypassed effect is fully dry
+   */
+  function effectMixLevel(settings) {
+    if (!settings || !settings.enabled) return 0;
+    var wet = Number(settings.wet);
+    return isFinite(wet) ? clamp(wet, 0, 1) : 0;
+  }
+
+  /**
+   * Map the filter cutoff slider to a frequency
+   * 
+   * The slider runs 0-100 on a log scale, so each step is the same
+   * musical interval: 0 = 100 Hz, 50 = 1 kHz, 100 = 10 kHz.
+   * 
+   * @param {number} value - Slider position (0-100)
+   * @returns {number} Cutoff frequency in Hz
+   */
+  function sliderToCutoff(value) {
+    return 100 * Math.pow(100, clamp(value, 0, 100) / 100);
+  }
+
+  /**
+   * Format a cutoff frequency for the readout (e.g. '450', '2.5k')
+   * 
+   * @param {number} frequency - Cutoff in Hz
+   * @returns {string}
+   */
+  function formatCutoff(frequency) {
+    return frequency >= 1000 ? (frequency / 1000).toFixed(1) + 'k' : Math.round(frequency) + '';
+  }
+
+  /**
+   * Convert a scientific pitch name to a MIDI note number
+   * 
+   * Accepts sharps and flats ('C4', 'D#1', 'Bb3'); A4 = 69.
+   * 
+   * @param {string} name - Note name with octave
+   * @returns {number|null} MIDI note number, or null if the name can't be read
+   */
+  function noteNameToMidi(name) {
+    var match = /^([A-Ga-g])([#b]?)(-?\d+)$/.exec(String(name).trim());
+    if (!match) return null;
+    var pitchClass = NOTE_NAMES.indexOf(match[1].toUpperCase());
+    if (match[2] === '#') pitchClass++;
+    if (match[2] === 'b') pitchClass--;
+    return (parseInt(match[3], 10) + 1) * 12 + pitchClass;
+  }
+
+  /**
+   * List the note → file entries of a sample set manifest
+   * 
+   * Entries with a note name Tone.Sampler can't read, or a file name that
+   * isn't a plain file in the set's folder, are dropped.
+   * 
+   * @param {object} manifest - Parsed manifest.json ({notes: {noteName: file}})
+   * @returns {Array<{note: string, midi: number, file: string}>} Sorted low to high
+   */
+  function sampleFiles(manifest) {
+    var notes = (manifest && manifest.notes) || {};
+    var files = [];
+
+    Object.keys(notes).forEach(function (note) {
+      var midi = noteNameToMidi(note);
+      var file = notes[note];
+      if (midi === null || typeof file !== 'string' || !file) return;
+      if (/[\\/]/.test(file) || file === '.' || file === '..') return;
+      files.push({ note: note, midi: midi, file: file });
+    });
+    return files.sort(function (a, b) { return a.midi - b.midi; });
+  }
+
+  /**
+   * Build the sample set list served at /samples/index.json
+   * 
+   * @param {Array<{id: string, manifest: object|null}>} folders - Each samples/<id>/ folder
+   *   with its parsed manifest.json (null when missing or unreadable)
+   * @returns {Array<{id: string, name: string}>} Sets with at least one playable note, by name
+   */
+  function buildSampleIndex(folders) {
+    return (folders || [])
+      .filter(function (folder) { return folder.manifest && sampleFiles(folder.manifest).length > 0; })
+      .map(function (folder) {
+        var name = folder.manifest.name;
+        return { id: folder.id, name: typeof name === 'string' && name ? name : folder.id };
+      })
+      .sort(function (a, b) { return a.name.localeCompare(b.name); });
+  }
+
+  /**
+   * Strike detection thresholds
+   * Speeds are in canvas heights per second, positive = moving down
+   */
+  var STRIKE_DEFAULTS = {
+    strikeSpeed: 1.5,   // Downward speed that fires a hit
+    rearmSpeed: 0.2,    // Fingertip must slow below this (or rise) before the next hit
+    maxSpeed: 6         // Speed that counts as a full-strength hit
+  };
+
+  /**
+   * Detect a downward "strike" of the fingertip between two frames
+   * 
+   * A hit fires once when the downward speed crosses strikeSpeed, then the
+   * detector disarms until the finger slows down or moves back up, so one
+   * swing gives one hit however many frames it spans.
+   * 
+   * @param {object|null} previous - Result of the previous call (null on the first frame)
+   * @param {number} y - Fingertip height as a fraction of the canvas (0 = top, 1 = bottom)
+   * @param {number} time - Frame timestamp in milliseconds
+   * @param {object} [options] - Overrides for STRIKE_DEFAULTS
+   * @returns {{y: number, time: number, velocity: number, armed: boolean, struck: boolean, strength: number}}
+   *   strength is 0-1 (0 when not struck); pass the whole object back in as previous
+   */
+  function detectStrike(previous, y, time, options) {
+    var o = {};
+    Object.keys(STRIKE_DEFAULTS).forEach(function (key) {
+      o[key] = options && typeof options[key] === 'number' ? options[key] : STRIKE_DEFAULTS[key];
+    });
+
+    if (!previous || time <= previous.time) {
+      return { y: y, time: time, velocity: 0, armed: previous ? previous.armed : true, struck: false, strength: 0 };
+    }
+
+    var velocity = (y - previous.y) / ((time - previous.time) / 1000);
+    var struck = previous.armed && velocity >= o.strikeSpeed;
+    return {
+      y: y,
+      time: time,
+      velocity: velocity,
+      armed: struck ? false : (previous.armed || velocity <= o.rearmSpeed),
+      struck: struck,
+      strength: struck ? clamp(velocity / o.maxSpeed, 0.1, 1) : 0
+    };
+  }
+
+  /**
+   * Find the pad under a point in a grid of pads
+   * 
+   * Pads are numbered left to right, then top to bottom.
+   * 
+   * @param {number} x - X position (display coordinates, not mirrored)
+   * @param {number} y - Y position
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} columns - Pads per row
+   * @param {number} rows - Number of rows
+   * @returns {number} Pad index (0 to columns * rows - 1)
+   */
+  function padIndexAt(x, y, width, height, columns, rows) {
+    var column = clamp(Math.floor(x / width * columns), 0, columns - 1);
+    var row = clamp(Math.floor(y / height * rows), 0, rows - 1);
+    return row * columns + column;
+  }
+
+  var ARP_PATTERNS = ['up', 'down', 'upDown', 'random', 'asPlayed'];
+
+  /**
+   * Build one cycle of an arpeggio
+   * 
+   * The tones are repeated over the requested number of octaves (or tuning
+   * periods), then ordered by the pattern:
+   * - up / down: ascending / descending
+   * - upDown: up then back down, without repeating the top and bottom notes
+   * - random: ascending (arpeggioNoteAt picks from it at random)
+   * - asPlayed: the order the tones were given, octave by octave
+   * 
+   * @param {number[]} frequencies - Chord or scale tones in Hz
+   * @param {string} pattern - One of ARP_PATTERNS
+   * @param {number} [octaves=1] - Octave span (1 = the tones as given)
+   * @param {number} [periodCents=1200] - Size of one "octave" in cents
+   * @returns {number[]} Frequencies in playing order
+   */
+  function buildArpeggio(frequencies, pattern, octaves, periodCents) {
+    var span = Math.max(1, Math.round(octaves || 1));
+    var periodRatio = Math.pow(2, (periodCents || 1200) / 1200);
+    var tones = [];
+    for (var o = 0; o < span; o++) {
+      frequencies.forEach(function (f) {
+        tones.push(f * Math.pow(periodRatio, o));
+      });
+    }
+    if (pattern === 'asPlayed') return tones;
+
+    var up = tones.slice().sort(function (a, b) { return a - b; });
+    if (pattern === 'down') return up.reverse();
+    if (pattern === 'upDown') return up.concat(up.slice(1, -1).reverse());
+    return up;
+  }
+
+  /**
+   * Pick the arpeggio note for a step
+   * 
+   * @param {number[]} sequence - Result of buildArpeggio
+   * @param {string} pattern - Pattern the sequence was built with
+   * @param {number} step - Step counter (0, 1, 2, ...)
+   * @param {function(): number} [random=Math.random] - Random source for the 'random' pattern
+   * @returns {number|null} Frequency in Hz, or null for an empty sequence
+   */
+  function arpeggioNoteAt(sequence, pattern, step, random) {
+    if (sequence.length === 0) return null;
+    if (pattern === 'random') {
+      return sequence[Math.floor((random || Math.random)() * sequence.length) % sequence.length];
+    }
+    return sequence[step % sequence.length];
+  }
+
+  /**
+   * Length of a looped note, allowing for notes held across the loop point
+   * 
+   * @param {number} startTick - Loop position where the note started
+   * @param {number} endTick - Loop position where it was released
+   * @param {number} loopTicks - Length of the loop in ticks
+   * @returns {number} Note length in ticks (0 to loopTicks)
+   */
+  function loopEventLength(startTick, endTick, loopTicks) {
+    var length = endTick - startTick;
+    if (length < 0) {
+      length += loopTicks;
+    }
+    return clamp(length, 0, loopTicks);
+  }
+
+  /**
+   * Which loop tracks can be heard
+   * 
+   * If any track is soloed only soloed tracks play; otherwise every
+   * track that isn't muted plays.
+   * 
+   * @param {Array<{muted: boolean, soloed: boolean}>} tracks - Loop tracks
+   * @returns {boolean[]} Audible flag per track
+   */
+  function audibleTracks(tracks) {
+    var anySolo = tracks.some(function (t) { return t.soloed; });
+    return tracks.map(function (t) {
+      return anySolo ? !!t.soloed : !t.muted;
+    });
+  }
+
+  /**
+   * Quantize grids, in quarter-note beats
+   * Keys are Tone.js note values ('8t' = eighth-note triplet)
+   */
+  var GRID_BEATS = {
+    '4n': 1,
+    '8n': 1 / 2,
+    '16n': 1 / 4,
+    '4t': 2 / 3,
+    '8t': 1 / 3,
+    '16t': 1 / 6
+  };
+
+  /**
+   * Parse a time signature such as '4/4' or '6/8'
+   * 
+   * @param {string} text - "<beats>/<unit>"
+   * @returns {{beats: number, unit: number}} Beats per bar and the note value of one beat
+   * @throws {Error} If the signature is malformed or the unit isn't 2, 4, 8 or 16
+   */
+  function parseTimeSignature(text) {
+    var match = /^\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(String(text));
+    if (!match) {
+      throw new Error('Invalid time signature "' + text + '" (expected e.g. 4/4)');
+    }
+    var beats = parseInt(match[1], 10);
+    var unit = parseInt(match[2], 10);
+    if (beats < 1 || [2, 4, 8, 16].indexOf(unit) === -1) {
+      throw new Error('Unsupported time signature "' + text + '"');
+    }
+    return { beats: beats, unit: unit };
+  }
+
+  /**
+   * Which beat of the bar a transport position falls on
+   * 
+   * @param {number} ticks - Transport position in ticks
+   * @param {number} ppq - Ticks per quarter note
+   * @param {number} beatsPerBar - Beats in one bar
+   * @param {number} beatUnit - Note value of one beat (4 = quarter, 8 = eighth)
+   * @returns {number} Beat index (0 = downbeat)
+   */
+  function beatInBar(ticks, ppq, beatsPerBar, beatUnit) {
+    var beatTicks = ppq * 4 / beatUnit;
+    return Math.floor(Math.round(ticks) / beatTicks + 1e-9) % beatsPerBar;
+  }
+
+  /**
+   * Length of one quantize step in seconds
+   * 
+   * @param {string} grid - Key of GRID_BEATS
+   * @param {number} bpm - Tempo in quarter notes per minute
+   * @returns {number} Seconds per step (0 for an unknown grid)
+   */
+  function gridSeconds(grid, bpm) {
+    return GRID_BEATS[grid] ? GRID_BEATS[grid] * 60 / bpm : 0;
+  }
+
+  /**
+   * Snap a time to the nearest multiple of a step
+   * 
+   * Works in any unit (milliseconds, seconds, ticks).
+   * 
+   * @param {number} time - Time to snap
+   * @param {number} step - Grid step in the same unit (0 = no snapping)
+   * @returns {number} Snapped time
+   */
+  function quantizeTime(time, step) {
+    return step > 0 ? Math.round(time / step) * step : time;
+  }
+
+  /**
+   * How far a time moves when snapped to the grid
+   * 
+   * Lets a time measured from elsewhere (e.g. from when recording
+   * started) be snapped to a grid that runs on another clock.
+   * 
+   * @param {number} position - Time on the grid's clock
+   * @param {number} step - Grid step in the same unit (0 = no snapping)
+   * @returns {number} quantizeTime(position, step) - position
+   */
+  function quantizeOffset(position, step) {
+    return quantizeTime(position, step) - position;
+  }
+
+  /**
+   * Encode audio samples as a 16-bit PCM WAV file
+   * 
+   * @param {Float32Array[]} channels - One array of samples (-1 to 1) per channel, equal lengths
+   * @param {number} sampleRate - Samples per second
+   * @returns {ArrayBuffer} Complete WAV file (RIFF header + interleaved samples)
+   */
+  function encodeWav(channels, sampleRate) {
+    var channelCount = channels.length;
+    var frameCount = channelCount > 0 ? channels[0].length : 0;
+    var blockAlign = channelCount * 2;
+    var dataSize = frameCount * blockAlign;
+    var buffer = new ArrayBuffer(44 + dataSize);
+    var view = new DataView(buffer);
+
+    function writeString(offset, text) {
+      for (var i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+      }
+    }
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);                       // fmt chunk size
+    view.setUint16(20, 1, true);                        // PCM
+    view.setUint16(22, channelCount, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);  // Byte rate
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 16, true);                       // Bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    var offset = 44;
+    for (var frame = 0; frame < frameCount; frame++) {
+      for (var c = 0; c < channelCount; c++) {
+        var sample = clamp(channels[c][frame], -1, 1);
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+        offset += 2;
+      }
+    }
+    return buffer;
+  }
+
+  /**
+   * Timestamped filename for a saved take
+   * 
+   * @param {Date} date - When the take was made
+   * @param {string} extension - File extension without the dot (e.g. 'wav')
+   * @param {string} [prefix='hand-instrument'] - Start of the name
+   * @returns {string} e.g. 'hand-instrument-2024-05-01_14-03-09.wav'
+   */
+  function captureFilename(date, extension, prefix) {
+    function pad(n) {
+      return (n < 10 ? '0' : '') + n;
+    }
+    return (prefix || 'hand-instrument') + '-' +
+      date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + '_' +
+      pad(date.getHours()) + '-' + pad(date.getMinutes()) + '-' + pad(date.getSeconds()) +
+      '.' + extension;
+  }
+
+  /**
+   * Turn recorded notes into timed events for an offline render
+   * 
+   * Like live playback, each note sounds until the next one starts; the
+   * last note gets lastNoteSeconds. Time starts at the first note, so
+   * silence before it is dropped.
+   * 
+   * @param {Array<{timestamp: number}>} notes - Recorded notes (timestamps in ms, any order)
+   * @param {number} lastNoteSeconds - Length of the final note
+   * @returns {{events: Array<{time: number, duration: number, note: object}>, duration: number}}
+   *   Times in seconds; duration is when the last note ends
+   */
+  function buildRenderSchedule(notes, lastNoteSeconds) {
+    var sorted = notes.slice().sort(function (a, b) { return a.timestamp - b.timestamp; });
+    if (sorted.length === 0) {
+      return { events: [], duration: 0 };
+    }
+
+    var start = sorted[0].timestamp;
+    var events = sorted.map(function (note, i) {
+      var next = sorted[i + 1];
+      var length = next ? (next.timestamp - note.timestamp) / 1000 : lastNoteSeconds;
+      return {
+        time: (note.timestamp - start) / 1000,
+        duration: Math.max(length, 0.05),  // Quantized notes can share a timestamp
+        note: note
+      };
+    });
+    var last = events[events.length - 1];
+    return { events: events, duration: last.time + last.duration };
+  }
+
+  /**
+   * Peak and RMS level of a block of samples
+   * 
+   * @param {ArrayLike<number>} samples - Audio samples (-1 to 1 is full scale)
+   * @returns {{peak: number, rms: number}} Linear levels (1 = full scale)
+   */
+  function measureLevels(samples) {
+    var peak = 0;
+    var sumOfSquares = 0;
+    for (var i = 0; i < samples.length; i++) {
+      var value = Math.abs(samples[i]);
+      if (value > peak) peak = value;
+      sumOfSquares += value * value;
+    }
+    return {
+      peak: peak,
+      rms: samples.length > 0 ? Math.sqrt(sumOfSquares / samples.length) : 0
+    };
+  }
+
+  /**
+   * Convert a linear gain to decibels
+   * 
+   * @param {number} gain - Linear level (1 = 0 dB)
+   * @returns {number} Level in dB (-Infinity for silence)
+   */
+  function gainToDb(gain) {
+    return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+  }
+
+  /**
+   * Position on a level meter
+   * 
+   * @param {number} db - Level in dB
+   * @param {number} [floorDb=-60] - Level shown as an empty meter
+   * @returns {number} 0-100 (100 = 0 dB or louder)
+   */
+  function meterPercent(db, floorDb) {
+    var floor = typeof floorDb === 'number' ? floorDb : -60;
+    if (!isFinite(db)) return db > 0 ? 100 : 0;
+    return clamp((db - floor) / -floor * 100, 0, 100);
+  }
+
+  /**
+   * Hand features the modulation matrix can read, each as 0..1
+   */
+  var MOD_FEATURES = {
+    x: 'X (left → right)',
+    y: 'Y (bottom → top)',
+    z: 'Z (far → near)',
+    pinch: 'Pinch distance',
+    openness: 'Hand openness',
+    roll: 'Wrist roll',
+    speed: 'Fingertip speed'
+  };
+
+  /**
+   * Sound parameters the modulation matrix can drive
+   * min/max bound a route's range and range is its default; log targets
+   * sweep in equal ratios (so a cutoff sweep sounds even)
+   */
+  var MOD_TARGETS = {
+    volume: { label: 'Volume', min: 0, max: 2, range: [0.5, 1.5] },          // Multiplier of the slider volume
+    pan: { label: 'Pan', min: -1, max: 1, range: [-1, 1] },
+    filterCutoff: { label: 'Filter cutoff', min: 50, max: 15000, range: [200, 8000], log: true },
+    vibratoDepth: { label: 'Vibrato depth', min: 0, max: 1, range: [0, 0.5] },
+    vibratoRate: { label: 'Vibrato rate', min: 0.5, max: 15, range: [2, 8] },  // Hz
+    detune: { label: 'Detune', min: -1200, max: 1200, range: [-50, 50] },     // Cents
+    chorusWet: { label: 'Chorus wet', min: 0, max: 1, range: [0, 1] },
+    delayWet: { label: 'Delay wet', min: 0, max: 1, range: [0, 1] },
+    reverbWet: { label: 'Reverb wet', min: 0, max: 1, range: [0, 1] }
+  };
+
+  var MOD_CURVES = ['linear', 'exponential', 'logarithmic', 'sCurve'];
+
+  var MOD_SPEED_MAX = 3;  // Fingertip speed read as 1, in frame heights per second
+
+  /**
+   * Read the modulation features from the 21 MediaPipe hand landmarks
+   * 
+   * - x, y: index fingertip as seen on the (mirrored) screen, y = 1 at the top
+   * - z: average landmark depth, 0 at the far depth and 1 at the near
+   *   depth (the same range as the octave shift)
+   * - pinch: thumb tip to index tip (0 = touching)
+   * - openness: average fingertip distance from the wrist (0 = fist)
+   * - roll: slope of the knuckle line (0.5 = level)
+   * - speed: fingertip speed since the previous reading
+   * Distances are divided by the palm length, so they don't change with
+   * how far the hand is from the camera.
+   * 
+   * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 hand landmarks
+   * @param {object} [previous] - Previous result, for the speed
+   * @param {number} time - Timestamp in milliseconds
+   * @param {{farZ: number, nearZ: number}} [depth] - Depth range, e.g. the active
+   *   calibration (default CALIBRATION_DEFAULTS)
+   * @returns {object|null} {x, y, z, pinch, openness, roll, speed, tipSpeed, tip, time}
+   *   (tipSpeed is the unscaled speed in frame sizes per second)
+   */
+  function extractHandFeatures(landmarks, previous, time, depth) {
+    if (!landmarks || landmarks.length < 21) return null;
+    depth = depth || CALIBRATION_DEFAULTS;
+
+    var wrist = landmarks[0];
+    var tip = landmarks[FINGER_LANDMARKS.index[3]];
+    var palm = distance2D(wrist, landmarks[FINGER_LANDMARKS.middle[0]]) || 1e-6;
+
+    var avgZ = averageDepth(landmarks);
+
+    var reach = FINGER_NAMES.reduce(function (sum, name) {
+      return sum + distance2D(landmarks[FINGER_LANDMARKS[name][3]], wrist);
+    }, 0) / FINGER_NAMES.length / palm;
+
+    var knuckles = {
+      x: landmarks[FINGER_LANDMARKS.pinky[0]].x - landmarks[FINGER_LANDMARKS.index[0]].x,
+      y: landmarks[FINGER_LANDMARKS.pinky[0]].y - landmarks[FINGER_LANDMARKS.index[0]].y
+    };
+    var roll = Math.atan2(knuckles.y, Math.abs(knuckles.x));  // -π/2..π/2 whichever hand it is
+
+    var speed = 0;
+    if (previous && time > previous.time) {
+      speed = distance2D(tip, previous.tip) / ((time - previous.time) / 1000);
+    }
+
+    return {
+      x: clamp(1 - tip.x, 0, 1),
+      y: clamp(1 - tip.y, 0, 1),
+      z: clamp((avgZ - depth.farZ) / (depth.nearZ - depth.farZ), 0, 1),
+      pinch: clamp(distance2D(landmarks[FINGER_LANDMARKS.thumb[3]], tip) / palm - 0.1, 0, 1),  // Pinched ≈ 0.1 palms apart
+      openness: clamp((reach - 1) / 0.6, 0, 1),  // Fist ≈ 1 palm length, open hand ≈ 1.6
+      roll: clamp(roll / Math.PI + 0.5, 0, 1),
+      speed: clamp(speed / MOD_SPEED_MAX, 0, 1),
+      tipSpeed: speed,
+      tip: { x: tip.x, y: tip.y },
+      time: time
+    };
+  }
+
+  /**
+   * Fill in and clamp a modulation route (e.g. one read from storage)
+   * 
+   * @param {object} [route] - {feature, target, min, max, curve, invert}
+   * @returns {object} A complete route with min/max inside the target's bounds
+   */
+  function normalizeModRoute(route) {
+    route = route || {};
+    var feature = MOD_FEATURES.hasOwnProperty(route.feature) ? route.feature : 'x';
+    var target = MOD_TARGETS.hasOwnProperty(route.target) ? route.target : 'volume';
+    var bounds = MOD_TARGETS[target];
+
+    function bounded(value, fallback) {
+      return typeof value === 'number' && isFinite(value) ? clamp(value, bounds.min, bounds.max) : fallback;
+    }
+
+    return {
+      feature: feature,
+      target: target,
+      min: bounded(route.min, bounds.range[0]),
+      max: bounded(route.max, bounds.range[1]),
+      curve: MOD_CURVES.indexOf(route.curve) !== -1 ? route.curve : 'linear',
+      invert: route.invert === true
+    };
+  }
+
+  /**
+   * Shape a 0..1 value with a response curve
+   * 
+   * exponential = slow start, logarithmic = fast start, sCurve = slow at both ends
+   * 
+   * @param {number} value - 0..1
+   * @param {string} curve - One of MOD_CURVES
+   * @returns {number} 0..1
+   */
+  function applyModCurve(value, curve) {
+    var v = clamp(value, 0, 1);
+    switch (curve) {
+      case 'exponential': return v * v;
+      case 'logarithmic': return Math.sqrt(v);
+      case 'sCurve': return v * v * (3 - 2 * v);
+      default: return v;
+    }
+  }
+
+  /**
+   * Parameter value a route produces for a feature reading
+   * 
+   * The feature is inverted first if asked, then shaped by the curve and
+   * scaled to min..max (max below min reverses the sweep too).
+   * 
+   * @param {object} route - Normalized route
+   * @param {number} featureValue - 0..1
+   * @returns {number} Value for the route's target
+   */
+  function modulationValue(route, featureValue) {
+    var v = clamp(featureValue, 0, 1);
+    if (route.invert) v = 1 - v;
+    v = applyModCurve(v, route.curve);
+
+    if (MOD_TARGETS[route.target].log && route.min > 0 && route.max > 0) {
+      return route.min * Math.pow(route.max / route.min, v);
+    }
+    return route.min + (route.max - route.min) * v;
+  }
+
+  /**
+   * Onset velocity settings
+   * Speeds are in frame sizes per second; floor is the softest velocity
+   */
+  var VELOCITY_DEFAULTS = {
+    minSpeed: 0.3,   // Drifting into a zone plays at the floor
+    maxSpeed: 3,     // A quick sweep plays at full velocity
+    floor: 0.2
+  };
+
+  /**
+   * Turn fingertip speed into a note-on velocity
+   * 
+   * @param {number} speed - Fingertip speed as the note starts
+   * @param {object} [options] - Overrides for VELOCITY_DEFAULTS
+   * @returns {number} Velocity from options.floor to 1
+   */
+  function speedToVelocity(speed, options) {
+    var o = {};
+    Object.keys(VELOCITY_DEFAULTS).forEach(function (key) {
+      o[key] = options && typeof options[key] === 'number' ? options[key] : VELOCITY_DEFAULTS[key];
+    });
+    var amount = clamp((speed - o.minSpeed) / (o.maxSpeed - o.minSpeed), 0, 1);
+    return o.floor + (1 - o.floor) * amount;
+  }
+
+  /**
+   * Low-pass cutoff for a velocity, so soft notes sound darker
+   * 
+   * Interpolates on a log scale, which is how brightness is heard.
+   * 
+   * @param {number} velocity - 0..1
+   * @param {number} [minHz=800] - Cutoff at velocity 0
+   * @param {number} [maxHz=16000] - Cutoff at velocity 1
+   * @returns {number} Cutoff in Hz
+   */
+  function velocityCutoff(velocity, minHz, maxHz) {
+    var low = typeof minHz === 'number' ? minHz : 800;
+    var high = typeof maxHz === 'number' ? maxHz : 16000;
+    return low * Math.pow(high / low, clamp(velocity, 0, 1));
+  }
+
+  /**
+   * Is the hand a closed fist?
+   * 
+   * The thumb is ignored: tucked beside the fist it often reads as extended.
+   * 
+   * @param {Array<{x: number, y: number}>} landmarks - 21 hand landmarks
+   * @returns {boolean} true when index, middle, ring and pinky are all folded
+   */
+  function isClosedFist(landmarks) {
+    if (!landmarks || landmarks.length < 21) return false;
+    return getExtendedFingers(landmarks).slice(1).every(function (extended) {
+      return !extended;
+    });
+  }
+
+  /**
+   * Should the sounding note keep going while no hand is in view?
+   * 
+   * @param {object} hold
+   * @param {boolean} hold.latched - A closed fist froze the note
+   * @param {boolean} hold.sustain - The sustain pedal is down
+   * @param {number} hold.lostForMs - Time since the hand was last seen
+   * @param {number} hold.graceMs - Release grace period
+   * @returns {boolean} true to hold, false to release
+   */
+  function holdsNote(hold) {
+    return Boolean(hold.latched || hold.sustain || hold.lostForMs < hold.graceMs);
+  }
+
+  /**
+   * Which of the performer's hands a MediaPipe handedness label means
+   * 
+   * MediaPipe labels hands as if the image were mirrored (selfie view).
+   * The camera frames are processed unmirrored, so the labels are swapped.
+   * 
+   * @param {string} label - 'Left' or 'Right' from multiHandedness
+   * @returns {string} 'left' or 'right'
+   */
+  function performerSide(label) {
+    return label === 'Left' ? 'right' : 'left';
+  }
+
+  /**
+   * Split the detected hands into the melody hand and the other hand
+   * 
+   * When both hands get the same label (it happens when they cross or
+   * overlap), their position decides instead: the performer's right hand
+   * is the one further left in the unmirrored camera image.
+   * 
+   * @param {Array<{label: string, x: number}>} hands - Handedness label and wrist X (camera image, 0..1) per hand
+   * @param {string} melodySide - 'right' or 'left'
+   * @returns {{melody: number, other: number}} Indices into hands (-1 = not in view)
+   */
+  function assignHandRoles(hands, melodySide) {
+    var result = { melody: -1, other: -1 };
+    var sides = hands.slice(0, 2).map(function (hand) {
+      return performerSide(hand.label);
+    });
+    if (sides.length === 2 && sides[0] === sides[1]) {
+      sides = hands[0].x < hands[1].x ? ['right', 'left'] : ['left', 'right'];
+    }
+
+    sides.forEach(function (side, index) {
+      if (side === melodySide) {
+        result.melody = index;
+      } else {
+        result.other = index;
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Settings a modifier hand controls, from its features
+   * 
+   * - height → octave shift (top = +2, bottom = -2)
+   * - pinch → volume multiplier (closed = 0.5, wide = 1.5)
+   * - openness → filter cutoff (fist = 200 Hz, open = 8 kHz, log scale)
+   * 
+   * @param {object} features - Result of extractHandFeatures()
+   * @returns {{octaveShift: number, volume: number, filterCutoff: number}}
+   */
+  function handModifiers(features) {
+    return {
+      octaveShift: clamp(Math.round(features.y * 4 - 2), -2, 2),
+      volume: 0.5 + clamp(features.pinch, 0, 1),
+      filterCutoff: 200 * Math.pow(8000 / 200, clamp(features.openness, 0, 1))
+    };
+  }
+
+  /**
+   * Landmark smoothing defaults
+   * 
+   * Coordinates are normalized (0..1), so a quick hand move is a few
+   * units per second: beta 5 lifts the cutoff by ~10 Hz at 2 units/s.
+   */
+  var SMOOTHING_DEFAULTS = {
+    minCutoff: 1,   // Hz, cutoff while the hand is still (lower = smoother, laggier)
+    beta: 5,        // Cutoff added per unit/s of speed (One Euro only; higher = less lag on fast moves)
+    dCutoff: 1      // Hz, cutoff for the speed estimate itself
+  };
+
+  /**
+   * Smoothing factor of a first-order low-pass
+   * 
+   * @param {number} cutoff - Cutoff frequency in Hz
+   * @param {number} dt - Time since the last sample in seconds
+   * @returns {number} 0..1, the share of the new sample to take
+   */
+  function smoothingAlpha(cutoff, dt) {
+    var tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  /**
+   * One step of an exponential moving average
+   * 
+   * The factor comes from the cutoff and the frame time, so the
+   * smoothing doesn't change with the frame rate.
+   * 
+   * @param {{value: number, time: number}|null} state - Previous step (null = first sample)
+   * @param {number} value - New sample
+   * @param {number} time - Timestamp in milliseconds
+   * @param {number} cutoff - Cutoff frequency in Hz
+   * @returns {{value: number, time: number}} Filtered value and the state for the next step
+   */
+  function emaStep(state, value, time, cutoff) {
+    if (!state) return { value: value, time: time };
+    var dt = (time - state.time) / 1000;
+    if (dt <= 0) return state;
+    return {
+      value: state.value + smoothingAlpha(cutoff, dt) * (value - state.value),
+      time: time
+    };
+  }
+
+  /**
+   * One step of a One Euro filter (Casiez et al., CHI 2012)
+   * 
+   * A low-pass whose cutoff rises with the signal's speed: heavy
+   * smoothing while the hand is still, little lag while it moves.
+   * 
+   * @param {{value: number, derivative: number, time: number}|null} state - Previous step (null = first sample)
+   * @param {number} value - New sample
+   * @param {number} time - Timestamp in milliseconds
+   * @param {object} [options] - minCutoff, beta, dCutoff (see SMOOTHING_DEFAULTS)
+   * @returns {{value: number, derivative: number, time: number}} Filtered value and the state for the next step
+   */
+  function oneEuroStep(state, value, time, options) {
+    if (!state) return { value: value, derivative: 0, time: time };
+    var dt = (time - state.time) / 1000;
+    if (dt <= 0) return state;
+
+    var o = options || {};
+    var minCutoff = typeof o.minCutoff === 'number' ? o.minCutoff : SMOOTHING_DEFAULTS.minCutoff;
+    var beta = typeof o.beta === 'number' ? o.beta : SMOOTHING_DEFAULTS.beta;
+    var dCutoff = typeof o.dCutoff === 'number' ? o.dCutoff : SMOOTHING_DEFAULTS.dCutoff;
+
+    var rawDerivative = (value - state.value) / dt;
+    var derivative = state.derivative + smoothingAlpha(dCutoff, dt) * (rawDerivative - state.derivative);
+    var cutoff = minCutoff + beta * Math.abs(derivative);
+    return {
+      value: state.value + smoothingAlpha(cutoff, dt) * (value - state.value),
+      derivative: derivative,
+      time: time
+    };
+  }
+
+  /**
+   * Smooth every coordinate of a hand's landmarks
+   * 
+   * @param {Array<{x: number, y: number, z: number}>} landmarks - Raw landmarks of one hand
+   * @param {Array|null} state - Previous result's state (null = start fresh)
+   * @param {number} time - Timestamp in milliseconds
+   * @param {object} options - method ('off', 'ema' or 'oneEuro') plus minCutoff, beta, dCutoff
+   * @returns {{landmarks: Array<{x: number, y: number, z: number}>, state: Array|null}} New landmarks (input untouched)
+   */
+  function smoothLandmarks(landmarks, state, time, options) {
+    var method = options && options.method;
+    if (method !== 'ema' && method !== 'oneEuro') {
+      return { landmarks: landmarks, state: null };
+    }
+    var cutoff = typeof options.minCutoff === 'number' ? options.minCutoff : SMOOTHING_DEFAULTS.minCutoff;
+
+    var nextState = landmarks.map(function (point, i) {
+      var previous = state && state[i];
+      var filtered = {};
+      ['x', 'y', 'z'].forEach(function (axis) {
+        var last = previous ? previous[axis] : null;
+        filtered[axis] = method === 'ema'
+          ? emaStep(last, point[axis] || 0, time, cutoff)
+          : oneEuroStep(last, point[axis] || 0, time, options);
+      });
+      return filtered;
+    });
+    return {
+      landmarks: nextState.map(function (filtered) {
+        return { x: filtered.x.value, y: filtered.y.value, z: filtered.z.value };
+      }),
+      state: nextState
+    };
+  }
+
+  /**
+   * Calibration used until a profile is recorded
+   * 
+   * The values the instrument always used: the whole camera frame, the
+   * zToOctaveShift() default depths, 20 px of hysteresis and at most
+   * 10 note changes per second.
+   */
+  var CALIBRATION_DEFAULTS = {
+    area: { minX: 0, maxX: 1, minY: 0, maxY: 1 },  // Reachable part of the camera frame (normalized)
+    nearZ: -0.1,                                   // Average hand Z for octave +2 (closer = more negative)
+    farZ: 0.05,                                    // Average hand Z for octave -2
+    hysteresisPx: 20,                              // Fingertip travel needed to leave a zone
+    minNoteIntervalMs: 100                         // Minimum time between note changes
+  };
+
+  /**
+   * Value below which a share p of the values fall (nearest rank)
+   */
+  function percentile(values, p) {
+    var sorted = values.slice().sort(function (a, b) { return a - b; });
+    return sorted[clamp(Math.round(p * (sorted.length - 1)), 0, sorted.length - 1)];
+  }
+
+  /**
+   * Average Z of a hand's landmarks (the depth reading used for octaves)
+   * 
+   * @param {Array<{z: number}>} landmarks - Hand landmarks
+   * @returns {number} Mean Z
+   */
+  function averageDepth(landmarks) {
+    var sum = 0;
+    for (var i = 0; i < landmarks.length; i++) {
+      sum += landmarks[i].z || 0;
+    }
+    return landmarks.length ? sum / landmarks.length : 0;
+  }
+
+  /**
+   * Stretch a point in the reachable area to the whole frame
+   * 
+   * @param {number} x - Normalized camera X
+   * @param {number} y - Normalized camera Y
+   * @param {{minX: number, maxX: number, minY: number, maxY: number}} area - Reachable area
+   * @returns {{x: number, y: number}} 0..1 across the area (clamped at its edges)
+   */
+  function mapToArea(x, y, area) {
+    return {
+      x: clamp((x - area.minX) / ((area.maxX - area.minX) || 1), 0, 1),
+      y: clamp((y - area.minY) / ((area.maxY - area.minY) || 1), 0, 1)
+    };
+  }
+
+  /**
+   * Work out a calibration from the wizard's samples
+   * 
+   * - area: 5th to 95th percentile of the fingertip sweep (stray frames
+   *   don't stretch it), at least 0.2 of the frame each way
+   * - depth: median average Z of the near and far holds
+   * - hysteresis and note interval: from how much the fingertip wanders
+   *   while held still (95th percentile distance from its median), measured
+   *   after stretching the area to the canvas like mapToArea() does, so a
+   *   small reach area (whose jitter is magnified) gets a wider dead band;
+   *   a steadier hand gets a smaller dead band and faster note changes
+   * 
+   * @param {object} samples
+   * @param {Array<{x: number, y: number}>} samples.area - Fingertip positions during the sweep
+   * @param {number[]} samples.near - averageDepth() readings with the hand near
+   * @param {number[]} samples.far - averageDepth() readings with the hand far
+   * @param {Array<{x: number, y: number}>} samples.still - Fingertip positions held still
+   * @param {number} canvasHeight - Canvas height in pixels (hysteresis is in pixels)
+   * @returns {object} Calibration (same fields as CALIBRATION_DEFAULTS)
+   * @throws {Error} If a step has no samples or near and far are too close to tell apart
+   */
+  function deriveCalibration(samples, canvasHeight) {
+    ['area', 'near', 'far', 'still'].forEach(function (step) {
+      if (!samples[step] || samples[step].length === 0) {
+        throw new Error('Calibration step "' + step + '" has no samples; keep your hand in view');
+      }
+    });
+
+    var xs = samples.area.map(function (p) { return p.x; });
+    var ys = samples.area.map(function (p) { return p.y; });
+    var span = function (values) {
+      var low = percentile(values, 0.05);
+      var high = percentile(values, 0.95);
+      var centre = (low + high) / 2;
+      if (high - low < 0.2) {
+        low = clamp(centre - 0.1, 0, 0.8);
+        high = low + 0.2;
+      }
+      return [low, high];
+    };
+    var xSpan = span(xs);
+    var ySpan = span(ys);
+
+    var nearZ = percentile(samples.near, 0.5);
+    var farZ = percentile(samples.far, 0.5);
+    if (Math.abs(nearZ - farZ) < 0.01) {
+      throw new Error('Near and far depth are too close together; move your hand further between them');
+    }
+
+    var midX = percentile(samples.still.map(function (p) { return p.x; }), 0.5);
+    var midY = percentile(samples.still.map(function (p) { return p.y; }), 0.5);
+    var wander = percentile(samples.still.map(function (p) {
+      var dx = (p.x - midX) / (xSpan[1] - xSpan[0]);
+      var dy = (p.y - midY) / (ySpan[1] - ySpan[0]);
+      return Math.sqrt(dx * dx + dy * dy);
+    }), 0.95);
+
+    return {
+      area: { minX: xSpan[0], maxX: xSpan[1], minY: ySpan[0], maxY: ySpan[1] },
+      nearZ: nearZ,
+      farZ: farZ,
+      hysteresisPx: Math.round(clamp(3 * wander * canvasHeight, 8, 60)),
+      minNoteIntervalMs: Math.round(clamp(40 + 2000 * wander, 40, 150))
+    };
+  }
+
+  /**
+   * Fill in and sanity-check a (possibly saved) calibration
+   * 
+   * @param {object} [calibration] - Partial calibration
+   * @returns {object} Complete calibration; bad or missing fields use CALIBRATION_DEFAULTS
+   */
+  function normalizeCalibration(calibration) {
+    var c = calibration || {};
+    var d = CALIBRATION_DEFAULTS;
+    var num = function (value, fallback) {
+      return typeof value === 'number' && isFinite(value) ? value : fallback;
+    };
+    var a = c.area || {};
+    var area = {
+      minX: clamp(num(a.minX, d.area.minX), 0, 1),
+      maxX: clamp(num(a.maxX, d.area.maxX), 0, 1),
+      minY: clamp(num(a.minY, d.area.minY), 0, 1),
+      maxY: clamp(num(a.maxY, d.area.maxY), 0, 1)
+    };
+    if (area.maxX <= area.minX || area.maxY <= area.minY) {
+      area = { minX: d.area.minX, maxX: d.area.maxX, minY: d.area.minY, maxY: d.area.maxY };
+    }
+    var nearZ = num(c.nearZ, d.nearZ);
+    var farZ = num(c.farZ, d.farZ);
+    if (nearZ === farZ) {
+      nearZ = d.nearZ;
+      farZ = d.farZ;
+    }
+    return {
+      area: area,
+      nearZ: nearZ,
+      farZ: farZ,
+      hysteresisPx: clamp(num(c.hysteresisPx, d.hysteresisPx), 0, 200),
+      minNoteIntervalMs: clamp(num(c.minNoteIntervalMs, d.minNoteIntervalMs), 0, 1000)
+    };
+  }
+
+  /**
+   * Finger piano thresholds (curl, 0 = straight, 1 = fully bent)
+   * A key goes down at pressCurl and comes back up below releaseCurl,
+   * so a finger resting near the threshold doesn't chatter.
+   */
+  var FINGER_KEY_DEFAULTS = {
+    pressCurl: 0.5,
+    releaseCurl: 0.35
+  };
+
+  // [base, middle, tip] joints of each finger, for the bend at the middle joint
+  var CURL_JOINTS = [[2, 3, 4], [5, 6, 8], [9, 10, 12], [13, 14, 16], [17, 18, 20]];
+
+  /**
+   * Angle at joint b between the segments to a and c
+   * 
+   * Uses Z as well when the landmarks have it, so a finger bending
+   * toward the camera still reads as bent.
+   * 
+   * @param {{x: number, y: number, z: number}} a - First point
+   * @param {{x: number, y: number, z: number}} b - Joint
+   * @param {{x: number, y: number, z: number}} c - Second point
+   * @returns {number} Degrees (180 = straight)
+   */
+  function jointAngle(a, b, c) {
+    var u = [a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0)];
+    var v = [c.x - b.x, c.y - b.y, (c.z || 0) - (b.z || 0)];
+    var dot = u[0] * v[0] + u[1] * v[1] + u[2] * v[2];
+    var lengths = Math.sqrt(u[0] * u[0] + u[1] * u[1] + u[2] * u[2]) *
+      Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+    if (lengths === 0) return 180;
+    return Math.acos(clamp(dot / lengths, -1, 1)) * 180 / Math.PI;
+  }
+
+  /**
+   * How far each finger is curled
+   * 
+   * Measured from the bend at the PIP joint (MCP → PIP → tip); the thumb
+   * uses its IP joint (MCP → IP → tip) and bends less, so 60° of bend
+   * counts as fully curled for it against 100° for the fingers.
+   * 
+   * @param {Array<{x: number, y: number, z: number}>} landmarks - 21 hand landmarks
+   * @returns {number[]} 0 (straight) to 1 (curled) for [thumb, index, middle, ring, pinky]
+   */
+  function fingerCurls(landmarks) {
+    return CURL_JOINTS.map(function (joints, finger) {
+      var bend = 180 - jointAngle(landmarks[joints[0]], landmarks[joints[1]], landmarks[joints[2]]);
+      return clamp(bend / (finger === 0 ? 60 : 100), 0, 1);
+    });
+  }
+
+  /**
+   * Which finger keys are down, with press/release hysteresis
+   * 
+   * @param {number[]} curls - fingerCurls() result
+   * @param {boolean[]} [previous] - Last frame's result (none = all up)
+   * @param {object} [options] - pressCurl / releaseCurl overrides (see FINGER_KEY_DEFAULTS)
+   * @returns {boolean[]} Pressed state per finger
+   */
+  function fingerKeyPresses(curls, previous, options) {
+    var o = options || {};
+    var press = typeof o.pressCurl === 'number' ? o.pressCurl : FINGER_KEY_DEFAULTS.pressCurl;
+    var release = typeof o.releaseCurl === 'number' ? o.releaseCurl : FINGER_KEY_DEFAULTS.releaseCurl;
+    return curls.map(function (curl, finger) {
+      return previous && previous[finger] ? curl > release : curl >= press;
+    });
+  }
+
+  /**
+   * Key number of a finger, lowest key first
+   * 
+   * Laid out like hands on a piano: with two hands the left pinky is the
+   * lowest key and the right pinky the highest; one hand plays thumb
+   * (lowest) to pinky.
+   * 
+   * @param {string} side - Performer's 'left' or 'right' hand (ignored with one hand)
+   * @param {number} finger - 0 (thumb) to 4 (pinky)
+   * @param {number} handCount - Hands playing keys (1 or 2)
+   * @returns {number} 0..4 with one hand, 0..9 with two
+   */
+  function fingerKeyIndex(side, finger, handCount) {
+    if (handCount < 2) return finger;
+    return side === 'left' ? 4 - finger : 5 + finger;
+  }
+
+  /**
+   * Which scale step a key plays
+   * 
+   * Keys run up the scale; past the last zone they carry on an octave
+   * (tuning period) higher.
+   * 
+   * @param {number} key - Key number (fingerKeyIndex)
+   * @param {number} stepCount - Notes in the scale (zones)
+   * @returns {{step: number, octave: number}} Step from the lowest zone and octaves above it
+   */
+  function fingerKeyNote(key, stepCount) {
+    var count = Math.max(1, stepCount);
+    return { step: key % count, octave: Math.floor(key / count) };
+  }
+
+  /**
+   * Pinch-to-play thresholds, in extractHandFeatures() pinch units
+   * (0 = thumb and index touching, 1 = wide open)
+   */
+  var PINCH_GATE_DEFAULTS = {
+    closeAt: 0.1,     // Note on at or below this
+    openAt: 0.2,      // Note off at or above this (the gap between them stops chatter)
+    fullSwing: 0.8,   // Opening this wide before a pinch plays at full velocity
+    floor: 0.2        // Velocity of the smallest pinch
+  };
+
+  /**
+   * Advance the pinch gate by one frame
+   * 
+   * The velocity of an onset comes from how wide the fingers opened
+   * since the last release, so a big pinching stroke plays louder than
+   * a small one.
+   * 
+   * @param {object|null} state - Previous result (null = start open, no note)
+   * @param {number} pinch - Pinch distance this frame (extractHandFeatures().pinch)
+   * @param {object} [options] - Overrides for PINCH_GATE_DEFAULTS
+   * @returns {{pinched: boolean, widest: number, onset: boolean, release: boolean, velocity: number}}
+   *   Gate state (pass back next frame); onset/release mark this frame's changes, velocity is the last onset's
+   */
+  function pinchGate(state, pinch, options) {
+    var o = {};
+    Object.keys(PINCH_GATE_DEFAULTS).forEach(function (key) {
+      o[key] = options && typeof options[key] === 'number' ? options[key] : PINCH_GATE_DEFAULTS[key];
+    });
+    var previous = state || { pinched: false, widest: 0, velocity: 1 };
+    var next = { pinched: previous.pinched, widest: previous.widest, onset: false, release: false, velocity: previous.velocity };
+
+    if (!previous.pinched) {
+      next.widest = Math.max(previous.widest, pinch);
+      if (pinch <= o.closeAt) {
+        next.pinched = true;
+        next.onset = true;
+        next.velocity = o.floor + (1 - o.floor) * clamp(next.widest / o.fullSwing, 0, 1);
+        next.widest = 0;
+      }
+    } else if (pinch >= o.openAt) {
+      next.pinched = false;
+      next.release = true;
+      next.widest = pinch;
+    }
+    return next;
+  }
+
+  /**
+   * Is a note allowed to sound under this articulation?
+   * 
+   * @param {string} articulation - 'continuous' or 'pinch'
+   * @param {object|null} gate - Latest pinchGate() state (null = no hand yet)
+   * @returns {boolean} Always true in continuous articulation; while pinched otherwise
+   */
+  function pinchGateOpen(articulation, gate) {
+    return articulation !== 'pinch' || Boolean(gate && gate.pinched);
+  }
+
+  /**
+   * Zone layouts and their display names
+   */
+  var ZONE_LAYOUTS = {
+    bands: 'Horizontal bands (up and down)',
+    keys: 'Vertical keys (left to right)',
+    grid: 'Isomorphic grid',
+    radial: 'Radial'
+  };
+
+  var GRID_ROWS = 4;
+  var RADIAL_RING = { inner: 0.14, outer: 0.48 };  // In canvas heights
+  var RADIAL_ARC_POINTS = 48;                      // Points around the full outer edge
+
+  function rectZone(step, x0, y0, x1, y1, label) {
+    return {
+      step: step,
+      points: [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }],
+      label: label || { x: (x0 + x1) / 2, y: (y0 + y1) / 2, align: 'center' }
+    };
+  }
+
+  /**
+   * Build the zone shapes for a layout
+   * 
+   * Every zone is a polygon in display coordinates (0..1 across the
+   * mirrored canvas, Y down) with a label anchor, so drawing, highlighting
+   * and hit-testing all read the same shapes. `step` counts scale steps up
+   * from the lowest zone and can run past the last one, meaning the same
+   * note an octave (tuning period) higher (see fingerKeyNote).
+   * 
+   * - bands: stacked top (highest) to bottom, the original layout
+   * - keys: side by side, lowest on the left, like a piano
+   * - grid: isomorphic rows from the bottom; a step right is one scale
+   *   step, a row up is about a fourth, so every shape plays the same
+   *   interval anywhere on the grid
+   * - radial: a ring of sectors clockwise from 12 o'clock around an
+   *   empty hub
+   * 
+   * @param {string} type - A key of ZONE_LAYOUTS (anything else gives bands)
+   * @param {number} count - Notes in the scale (zones)
+   * @param {number} [aspect=1] - Canvas width / height, so radial zones stay circular
+   * @returns {Array<{step: number, points: Array<{x: number, y: number}>, label: {x: number, y: number, align: string}}>}
+   */
+  function buildZoneLayout(type, count, aspect) {
+    var zones = [];
+    var ratio = aspect > 0 ? aspect : 1;
+    var i;
+    if (count < 1) return zones;
+
+    if (type === 'keys') {
+      for (i = 0; i < count; i++) {
+        zones.push(rectZone(i, i / count, 0, (i + 1) / count, 1,
+          { x: (i + 0.5) / count, y: 0.85, align: 'center' }));
+      }
+    } else if (type === 'grid') {
+      // Rows overlap by one note (the last of a row is the first of the next)
+      var rowStep = Math.max(1, Math.round(count * 3 / 7));
+      var columns = rowStep + 1;
+      for (var row = 0; row < GRID_ROWS; row++) {
+        for (var column = 0; column < columns; column++) {
+          var top = (GRID_ROWS - 1 - row) / GRID_ROWS;
+          zones.push(rectZone(column + row * rowStep,
+            column / columns, top, (column + 1) / columns, top + 1 / GRID_ROWS));
+        }
+      }
+    } else if (type === 'radial') {
+      var arcPoints = Math.max(2, Math.ceil(RADIAL_ARC_POINTS / count));
+      var point = function (angle, radius) {
+        return { x: 0.5 + radius * Math.sin(angle) / ratio, y: 0.5 - radius * Math.cos(angle) };
+      };
+      for (i = 0; i < count; i++) {
+        var start = i / count * 2 * Math.PI;
+        var end = (i + 1) / count * 2 * Math.PI;
+        var outer = [];
+        var inner = [];
+        for (var k = 0; k <= arcPoints; k++) {
+          var angle = start + (end - start) * k / arcPoints;
+          outer.push(point(angle, RADIAL_RING.outer));
+          inner.unshift(point(angle, RADIAL_RING.inner));
+        }
+        var labelAt = point((start + end) / 2, (RADIAL_RING.inner + RADIAL_RING.outer) / 2);
+        zones.push({ step: i, points: outer.concat(inner), label: { x: labelAt.x, y: labelAt.y, align: 'center' } });
+      }
+    } else {
+      for (i = 0; i < count; i++) {
+        zones.push(rectZone(count - 1 - i, 0, i / count, 1, (i + 1) / count,
+          { x: 1, y: (i + 0.5) / count, align: 'right' }));
+      }
+    }
+    return zones;
+  }
+
+  /**
+   * Hand axes a layout uses to pick the note
+   * 
+   * Modulation routes on these axes would tie the sound to the note, so
+   * they're skipped while the layout is in use.
+   * 
+   * @param {string} type - A key of ZONE_LAYOUTS (anything else: bands)
+   * @returns {string[]} Some of 'x' and 'y'
+   */
+  function zoneLayoutAxes(type) {
+    if (type === 'keys') return ['x'];
+    if (type === 'grid' || type === 'radial') return ['x', 'y'];
+    return ['y'];
+  }
+
+  // Even-odd ray casting
+  function pointInPolygon(points, x, y) {
+    var inside = false;
+    for (var i = 0, j = points.length - 1; i < points.length; j = i++) {
+      var a = points[i];
+      var b = points[j];
+      if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * Find the zone under a point
+   * 
+   * Points on the outer edge of the canvas count as inside the zones
+   * that touch it.
+   * 
+   * @param {Array} zones - From buildZoneLayout()
+   * @param {number} x - Display X (0..1, left to right as drawn)
+   * @param {number} y - Y (0..1, top to bottom)
+   * @returns {number} Index in zones, or -1 when the point is in none (the radial hub)
+   */
+  function zoneAt(zones, x, y) {
+    var px = clamp(x, 0, 1 - 1e-9);
+    var py = clamp(y, 0, 1 - 1e-9);
+    for (var i = 0; i < zones.length; i++) {
+      if (pointInPolygon(zones[i].points, px, py)) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Convert a pointer event position to canvas pixels
+   * 
+   * The canvas is scaled by CSS, so client coordinates are measured
+   * against its on-screen box. Positions are clamped to the canvas, as a
+   * captured pointer keeps reporting after it leaves.
+   * 
+   * @param {number} clientX - Event clientX
+   * @param {number} clientY - Event clientY
+   * @param {{left: number, top: number, width: number, height: number}} rect - canvas.getBoundingClientRect()
+   * @param {number} width - Canvas width in pixels
+   * @param {number} height - Canvas height in pixels
+   * @returns {{displayX: number, y: number}} Position as drawn (not mirrored)
+   */
+  function clientToCanvas(clientX, clientY, rect, width, height) {
+    var u = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+    var v = rect.height > 0 ? (clientY - rect.top) / rect.height : 0;
+    return { displayX: clamp(u, 0, 1) * width, y: clamp(v, 0, 1) * height };
+  }
+
   // Export all functions
   return {
     clamp: clamp,
     getFrequencyWithOctave: getFrequencyWithOctave,
     calculateDynamicVolumeMultiplier: calculateDynamicVolumeMultiplier,
-    zToOctaveShift: zToOctaveShift
+    zToOctaveShift: zToOctaveShift,
+    FINGER_LANDMARKS: FINGER_LANDMARKS,
+    FINGER_NAMES: FINGER_NAMES,
+    distance2D: distance2D,
+    getExtendedFingers: getExtendedFingers,
+    countRaisedFingers: countRaisedFingers,
+    CHORD_DEGREES: CHORD_DEGREES,
+    chordTypeForFingerCount: chordTypeForFingerCount,
+    buildChordFrequencies: buildChordFrequencies,
+    NOTE_NAMES: NOTE_NAMES,
+    SCALE_INTERVALS: SCALE_INTERVALS,
+    midiToFrequency: midiToFrequency,
+    parseIntervalList: parseIntervalList,
+    buildScaleNotes: buildScaleNotes,
+    hslToHex: hslToHex,
+    generateZoneColors: generateZoneColors,
+    frequencyToMidi: frequencyToMidi,
+    continuousZonePitch: continuousZonePitch,
+    snapPitch: snapPitch,
+    describePitch: describePitch,
+    SOUND_PARAMS: SOUND_PARAMS,
+    WAVEFORMS: WAVEFORMS,
+    normalizeSoundSettings: normalizeSoundSettings,
+    buildSynthOptions: buildSynthOptions,
+    effectMixLevel: effectMixLevel,
+    sliderToCutoff: sliderToCutoff,
+    formatCutoff: formatCutoff,
+    noteNameToMidi: noteNameToMidi,
+    sampleFiles: sampleFiles,
+    buildSampleIndex: buildSampleIndex,
+    pitchLabel: pitchLabel,
+    ratioToCents: ratioToCents,
+    JUST_INTONATION_RATIOS: JUST_INTONATION_RATIOS,
+    PYTHAGOREAN_RATIOS: PYTHAGOREAN_RATIOS,
+    equalTemperament: equalTemperament,
+    tuningFromRatios: tuningFromRatios,
+    degreeToCents: degreeToCents,
+    parseScala: parseScala,
+    parseKeyboardMap: parseKeyboardMap,
+    mapKeyToDegree: mapKeyToDegree,
+    keyboardMapFrequency: keyboardMapFrequency,
+    buildKeyboardMapNotes: buildKeyboardMapNotes,
+    STRIKE_DEFAULTS: STRIKE_DEFAULTS,
+    detectStrike: detectStrike,
+    padIndexAt: padIndexAt,
+    ARP_PATTERNS: ARP_PATTERNS,
+    buildArpeggio: buildArpeggio,
+    arpeggioNoteAt: arpeggioNoteAt,
+    loopEventLength: loopEventLength,
+    audibleTracks: audibleTracks,
+    GRID_BEATS: GRID_BEATS,
+    parseTimeSignature: parseTimeSignature,
+    beatInBar: beatInBar,
+    gridSeconds: gridSeconds,
+    quantizeTime: quantizeTime,
+    quantizeOffset: quantizeOffset,
+    encodeWav: encodeWav,
+    captureFilename: captureFilename,
+    buildRenderSchedule: buildRenderSchedule,
+    measureLevels: measureLevels,
+    gainToDb: gainToDb,
+    meterPercent: meterPercent,
+    MOD_FEATURES: MOD_FEATURES,
+    MOD_TARGETS: MOD_TARGETS,
+    MOD_CURVES: MOD_CURVES,
+    extractHandFeatures: extractHandFeatures,
+    normalizeModRoute: normalizeModRoute,
+    applyModCurve: applyModCurve,
+    modulationValue: modulationValue,
+    VELOCITY_DEFAULTS: VELOCITY_DEFAULTS,
+    speedToVelocity: speedToVelocity,
+    velocityCutoff: velocityCutoff,
+    isClosedFist: isClosedFist,
+    holdsNote: holdsNote,
+    performerSide: performerSide,
+    assignHandRoles: assignHandRoles,
+    handModifiers: handModifiers,
+    SMOOTHING_DEFAULTS: SMOOTHING_DEFAULTS,
+    smoothingAlpha: smoothingAlpha,
+    emaStep: emaStep,
+    oneEuroStep: oneEuroStep,
+    smoothLandmarks: smoothLandmarks,
+    CALIBRATION_DEFAULTS: CALIBRATION_DEFAULTS,
+    averageDepth: averageDepth,
+    mapToArea: mapToArea,
+    deriveCalibration: deriveCalibration,
+    normalizeCalibration: normalizeCalibration,
+    FINGER_KEY_DEFAULTS: FINGER_KEY_DEFAULTS,
+    jointAngle: jointAngle,
+    fingerCurls: fingerCurls,
+    fingerKeyPresses: fingerKeyPresses,
+    fingerKeyIndex: fingerKeyIndex,
+    fingerKeyNote: fingerKeyNote,
+    PINCH_GATE_DEFAULTS: PINCH_GATE_DEFAULTS,
+    pinchGate: pinchGate,
+    pinchGateOpen: pinchGateOpen,
+    ZONE_LAYOUTS: ZONE_LAYOUTS,
+    buildZoneLayout: buildZoneLayout,
+    zoneAt: zoneAt,
+    zoneLayoutAxes: zoneLayoutAxes,
+    clientToCanvas: clientToCanvas
   };
 }));
@@ -2,6 +2,38 @@ const assert = require('assert');
 const fs = require('fs');
 const path = require('path');
 
+/**
+ * Build a 21-point hand landmark fixture (normalized coordinates, palm facing camera)
+ * @param {boolean[]} extended - Extended state for [thumb, index, middle, ring, pinky]
+ * @returns {Array<{x: number, y: number, z: number}>}
+ */
+function makeHand(extended) {
+  const lm = new Array(21);
+  lm[0] = { x: 0.5, y: 0.9, z: 0 };
+
+  // Thumb: CMC, MCP, IP, then tip either pointing out or folded across the palm
+  lm[1] = { x: 0.42, y: 0.85, z: 0 };
+  lm[2] = { x: 0.36, y: 0.8, z: 0 };
+  lm[3] = { x: 0.32, y: 0.75, z: 0 };
+  lm[4] = extended[0] ? { x: 0.26, y: 0.68, z: 0 } : { x: 0.47, y: 0.72, z: 0 };
+
+  // Index..pinky: MCP, PIP, DIP, TIP
+  [0.45, 0.5, 0.55, 0.6].forEach((x, i) => {
+    const base = 5 + i * 4;
+    lm[base] = { x, y: 0.7, z: 0 };
+    if (extended[i + 1]) {
+      lm[base + 1] = { x, y: 0.6, z: 0 };
+      lm[base + 2] = { x, y: 0.55, z: 0 };
+      lm[base + 3] = { x, y: 0.5, z: 0 };
+    } else {
+      lm[base + 1] = { x, y: 0.62, z: 0 };
+      lm[base + 2] = { x, y: 0.68, z: 0 };
+      lm[base + 3] = { x, y: 0.74, z: 0 };
+    }
+  });
+  return lm;
+}
+
 function run() {
   console.log('Running test suite...');
   let failures = 0;
@@ -83,9 +115,904 @@ function run() {
     // out of bounds
     assert.strictEqual(utils.zToOctaveShift(minZ - 1, minZ, maxZ), -2);
     assert.strictEqual(utils.zToOctaveShift(maxZ + 1, minZ, maxZ), 2);
+    // Defaults follow MediaPipe: closer to the camera is more negative
+    assert.strictEqual(utils.zToOctaveShift(0.05), -2, 'far plays low');
+    assert.strictEqual(utils.zToOctaveShift(-0.1), 2, 'near plays high');
+    assert.strictEqual(utils.zToOctaveShift(-0.2), 2);
+    const d = utils.CALIBRATION_DEFAULTS;
+    assert.ok(d.nearZ < d.farZ, 'near is the more negative depth');
+    assert.strictEqual(utils.zToOctaveShift(d.farZ, d.farZ, d.nearZ), utils.zToOctaveShift(d.farZ));
+    assert.strictEqual(utils.zToOctaveShift(d.nearZ, d.farZ, d.nearZ), 2);
+    assert.strictEqual(utils.zToOctaveShift(0.05, 0.05, -0.1), -2);
+    assert.strictEqual(utils.zToOctaveShift(-0.1, 0.05, -0.1), 2);
     console.log('zToOctaveShift tests passed');
   } catch (e) { console.error('zToOctaveShift tests failed:', e.message); failures++; }
 
+  // Finger extension / counting
+  try {
+    assert.deepStrictEqual(utils.getExtendedFingers(makeHand([true, true, true, true, true])), [true, true, true, true, true]);
+    assert.deepStrictEqual(utils.getExtendedFingers(makeHand([false, true, false, false, false])), [false, true, false, false, false]);
+    assert.strictEqual(utils.countRaisedFingers(makeHand([false, false, false, false, false])), 0);
+    assert.strictEqual(utils.countRaisedFingers(makeHand([false, true, true, false, false])), 2);
+    assert.strictEqual(utils.countRaisedFingers(makeHand([true, true, true, true, false])), 4);
+    // too few landmarks → nothing extended
+    assert.strictEqual(utils.countRaisedFingers([]), 0);
+    console.log('finger extension tests passed');
+  } catch (e) { console.error('finger extension tests failed:', e.message); failures++; }
+
+  // Chord mode helpers
+  try {
+    assert.strictEqual(utils.chordTypeForFingerCount(0), 'single');
+    assert.strictEqual(utils.chordTypeForFingerCount(1), 'single');
+    assert.strictEqual(utils.chordTypeForFingerCount(2), 'power');
+    assert.strictEqual(utils.chordTypeForFingerCount(3), 'triad');
+    assert.strictEqual(utils.chordTypeForFingerCount(4), 'seventh');
+    assert.strictEqual(utils.chordTypeForFingerCount(5), 'seventh');
+
+    const cMajor = [261.63, 293.66, 329.63, 349.23, 392.0, 440.0, 493.88];
+    assert.deepStrictEqual(utils.buildChordFrequencies(cMajor, 0, 'single'), [261.63]);
+    assert.deepStrictEqual(utils.buildChordFrequencies(cMajor, 0, 'triad'), [261.63, 329.63, 392.0]);
+    assert.deepStrictEqual(utils.buildChordFrequencies(cMajor, 0, 'power'), [261.63, 392.0]);
+    // Degrees past the top of the scale wrap up an octave
+    assert.deepStrictEqual(utils.buildChordFrequencies(cMajor, 6, 'triad'), [493.88, 293.66 * 2, 349.23 * 2]);
+    assert.strictEqual(utils.buildChordFrequencies(cMajor, 4, 'seventh').length, 4);
+    // Unknown chord type falls back to a single note
+    assert.deepStrictEqual(utils.buildChordFrequencies(cMajor, 1, 'cluster'), [293.66]);
+    console.log('chord tests passed');
+  } catch (e) { console.error('chord tests failed:', e.message); failures++; }
+
+  // Scale engine
+  try {
+    assert.ok(Math.abs(utils.midiToFrequency(69) - 440) < 1e-9);
+    assert.ok(Math.abs(utils.midiToFrequency(60) - 261.63) < 0.01);
+    assert.ok(Math.abs(utils.midiToFrequency(69, 432) - 432) < 1e-9);
+
+    // C major, one octave: same pitches as the original hard-coded NOTES
+    const cMajor = utils.buildScaleNotes(0, utils.SCALE_INTERVALS.major);
+    assert.deepStrictEqual(cMajor.map(n => n.name), ['C', 'D', 'E', 'F', 'G', 'A', 'B']);
+    [261.63, 293.66, 329.63, 349.23, 392.0, 440.0, 493.88].forEach((f, i) => {
+      assert.ok(Math.abs(cMajor[i].frequency - f) < 0.01, `C major degree ${i} should be ${f} Hz`);
+    });
+
+    // A pentatonic over 7 zones wraps into the next octave with labelled octaves
+    const aPenta = utils.buildScaleNotes(9, utils.SCALE_INTERVALS.pentatonic, 7);
+    assert.deepStrictEqual(aPenta.map(n => n.name), ['A4', 'B4', 'C#5', 'E5', 'F#5', 'A5', 'B5']);
+    assert.strictEqual(aPenta[5].degree, 0);
+    assert.strictEqual(aPenta[5].octave, 1);
+    assert.ok(Math.abs(aPenta[5].frequency - 880) < 1e-9);
+
+    assert.strictEqual(utils.buildScaleNotes(0, utils.SCALE_INTERVALS.chromatic).length, 12);
+    assert.strictEqual(utils.buildScaleNotes(2, utils.SCALE_INTERVALS.blues)[3].name, 'G#');
+
+    assert.deepStrictEqual(utils.parseIntervalList('0 2 3 7 8'), [0, 2, 3, 7, 8]);
+    assert.deepStrictEqual(utils.parseIntervalList('7, 3, 3'), [0, 3, 7]);
+    assert.throws(() => utils.parseIntervalList(''), /empty/);
+    assert.throws(() => utils.parseIntervalList('0 2 12'), /Invalid interval/);
+    assert.throws(() => utils.parseIntervalList('0 x'), /Invalid interval/);
+
+    assert.strictEqual(utils.hslToHex(0, 100, 50), '#ff0000');
+    assert.strictEqual(utils.hslToHex(120, 100, 50), '#00ff00');
+    const colors = utils.generateZoneColors(9);
+    assert.strictEqual(colors.length, 9);
+    colors.forEach(c => assert.ok(/^#[0-9a-f]{6}$/.test(c), `${c} should be a hex colour`));
+    assert.strictEqual(utils.generateZoneColors(1).length, 1);
+    console.log('scale engine tests passed');
+  } catch (e) { console.error('scale engine tests failed:', e.message); failures++; }
+
+  // Theremin pitch helpers
+  try {
+    assert.ok(Math.abs(utils.frequencyToMidi(440) - 69) < 1e-9);
+    assert.ok(Math.abs(utils.frequencyToMidi(261.6256) - 60) < 1e-4);
+
+    // Zones top first: 72 (top), 67, 60 (bottom) on a 300px canvas → centres at 50, 150, 250
+    const zones = [72, 67, 60];
+    assert.strictEqual(utils.continuousZonePitch(50, 300, zones), 72);
+    assert.strictEqual(utils.continuousZonePitch(150, 300, zones), 67);
+    assert.strictEqual(utils.continuousZonePitch(250, 300, zones), 60);
+    assert.ok(Math.abs(utils.continuousZonePitch(100, 300, zones) - 69.5) < 1e-9, 'halfway between centres');
+    assert.strictEqual(utils.continuousZonePitch(0, 300, zones), 72, 'holds above top centre');
+    assert.strictEqual(utils.continuousZonePitch(300, 300, zones), 60, 'holds below bottom centre');
+    assert.strictEqual(utils.continuousZonePitch(123, 300, [64]), 64);
+
+    assert.strictEqual(utils.snapPitch(61.4, [60, 62, 64], 0), 61.4);
+    assert.strictEqual(utils.snapPitch(61.4, [60, 62, 64], 1), 62);
+    assert.ok(Math.abs(utils.snapPitch(61.4, [60, 62, 64], 0.5) - 61.7) < 1e-9);
+    assert.strictEqual(utils.snapPitch(61.4, [], 1), 61.4);
+
+    assert.deepStrictEqual(utils.describePitch(440), { name: 'A4', midi: 69, cents: 0 });
+    const sharp = utils.describePitch(440 * Math.pow(2, 0.25 / 12));
+    assert.strictEqual(sharp.name, 'A4');
+    assert.strictEqual(sharp.cents, 25);
+    assert.strictEqual(utils.describePitch(440 * Math.pow(2, -0.75 / 12)).name, 'G#4');
+    assert.strictEqual(utils.describePitch(440 * Math.pow(2, -0.75 / 12)).cents, 25);
+    console.log('theremin pitch tests passed');
+  } catch (e) { console.error('theremin pitch tests failed:', e.message); failures++; }
+
+  // Sound design settings
+  try {
+    const defaults = utils.normalizeSoundSettings();
+    assert.deepStrictEqual(defaults, {
+      waveform: 'sine', attack: 0.05, decay: 0.1, sustain: 0.7, release: 0.3,
+      partials: 0, detune: 0, portamento: 0
+    });
+
+    const clamped = utils.normalizeSoundSettings({
+      waveform: 'noise', attack: -1, sustain: 2, release: 'slow', partials: 7.6, detune: 500
+    });
+    assert.strictEqual(clamped.waveform, 'sine');
+    assert.strictEqual(clamped.attack, 0.001);
+    assert.strictEqual(clamped.sustain, 1);
+    assert.strictEqual(clamped.release, 0.3);
+    assert.strictEqual(clamped.partials, 8);
+    assert.strictEqual(clamped.detune, 100);
+
+    const options = utils.buildSynthOptions({ waveform: 'sawtooth', partials: 8, attack: 0.2, detune: -12 });
+    assert.strictEqual(options.oscillator.type, 'sawtooth8');
+    assert.strictEqual(options.envelope.attack, 0.2);
+    assert.strictEqual(options.envelope.sustain, 0.7);
+    assert.strictEqual(options.detune, -12);
+    assert.strictEqual(utils.buildSynthOptions({ waveform: 'square' }).oscillator.type, 'square');
+    console.log('sound settings tests passed');
+  } catch (e) { console.error('sound settings tests failed:', e.message); failures++; }
+
+  // Effects rack parameters
+  try {
+    assert.strictEqual(utils.effectMixLevel({ enabled: true, wet: 0.4 }), 0.4);
+    assert.strictEqual(utils.effectMixLevel({ enabled: false, wet: 0.4 }), 0, 'bypassed effect is fully dry');
+    assert.strictEqual(utils.effectMixLevel({ enabled: true, wet: 1.5 }), 1);
+    assert.strictEqual(utils.effectMixLevel({ enabled: true, wet: 'x' }), 0);
+    assert.strictEqual(utils.effectMixLevel(null), 0);
+
+    const near = (a, b) => Math.abs(a - b) < 1e-6;
+    assert.ok(near(utils.sliderToCutoff(0), 100), 'slider 0 = 100 Hz');
+    assert.ok(near(utils.sliderToCutoff(50), 1000), 'slider 50 = 1 kHz');
+    assert.ok(near(utils.sliderToCutoff(100), 10000), 'slider 100 = 10 kHz');
+    assert.ok(near(utils.sliderToCutoff(150), 10000), 'slider is clamped');
+    assert.ok(utils.sliderToCutoff(65) > utils.sliderToCutoff(64), 'cutoff rises with the slider');
+
+    assert.strictEqual(utils.formatCutoff(450.4), '450');
+    assert.strictEqual(utils.formatCutoff(2512), '2.5k');
+    assert.strictEqual(utils.formatCutoff(1000), '1.0k');
+    console.log('effects rack tests passed');
+  } catch (e) { console.error('effects rack tests failed:', e.message); failures++; }
+
+  // Sampled instrument manifests
+  try {
+    assert.strictEqual(utils.noteNameToMidi('A4'), 69);
+    assert.strictEqual(utils.noteNameToMidi('C4'), 60);
+    assert.strictEqual(utils.noteNameToMidi('D#1'), 27);
+    assert.strictEqual(utils.noteNameToMidi('Bb3'), 58);
+    assert.strictEqual(utils.noteNameToMidi('A0'), 21);
+    assert.strictEqual(utils.noteNameToMidi('H2'), null);
+    assert.strictEqual(utils.noteNameToMidi('C'), null);
+
+    const files = utils.sampleFiles({
+      notes: { C4: 'C4.mp3', A0: 'A0.mp3', 'D#1': 'Ds1.mp3', X9: 'bad.mp3', E2: '../E2.mp3', F2: 3 }
+    });
+    assert.deepStrictEqual(files.map(f => f.note), ['A0', 'D#1', 'C4'], 'sorted by pitch, bad entries dropped');
+    assert.strictEqual(files[1].file, 'Ds1.mp3');
+    assert.strictEqual(files[2].midi, 60);
+    assert.deepStrictEqual(utils.sampleFiles({}), []);
+    assert.deepStrictEqual(utils.sampleFiles(null), []);
+
+    const index = utils.buildSampleIndex([
+      { id: 'piano', manifest: { name: 'Piano', notes: { A4: 'A4.mp3' } } },
+      { id: 'bells', manifest: { notes: { C5: 'C5.wav' } } },
+      { id: 'empty', manifest: { name: 'Empty', notes: {} } },
+      { id: 'broken', manifest: null }
+    ]);
+    assert.deepStrictEqual(index, [{ id: 'bells', name: 'bells' }, { id: 'piano', name: 'Piano' }]);
+    assert.deepStrictEqual(utils.buildSampleIndex([]), []);
+
+    const piano = JSON.parse(fs.readFileSync(path.join(__dirname, 'samples', 'piano', 'manifest.json'), 'utf8'));
+    const pianoFiles = utils.sampleFiles(piano);
+    assert.strictEqual(pianoFiles.length, Object.keys(piano.notes).length, 'every bundled piano note is playable');
+    console.log('sample set tests passed');
+  } catch (e) { console.error('sample set tests failed:', e.message); failures++; }
+
+  // Tuning subsystem
+  try {
+    const near = (a, b, eps) => Math.abs(a - b) < (eps || 1e-6);
+
+    // Reference pitch and octave shift by period
+    assert.ok(near(utils.getFrequencyWithOctave(440, 1, 1902), 440 * Math.pow(2, 1902 / 1200)));
+    const a432 = utils.buildScaleNotes(9, [0], 1, 4, { referencePitch: 432 });
+    assert.ok(near(a432[0].frequency, 432));
+    const c442 = utils.buildScaleNotes(0, utils.SCALE_INTERVALS.major, 7, 4, { referencePitch: 442 });
+    assert.ok(near(c442[5].frequency, 442), 'A in C major follows the reference pitch');
+    assert.strictEqual(c442[5].name, 'A');
+
+    // Equal temperaments
+    const tet19 = utils.equalTemperament(19);
+    assert.strictEqual(tet19.cents.length, 19);
+    assert.ok(near(tet19.cents[1], 1200 / 19));
+    assert.ok(near(utils.degreeToCents(tet19, 19), 1200));
+    assert.ok(near(utils.degreeToCents(tet19, -1), -1200 / 19));
+    assert.strictEqual(utils.equalTemperament(12).name, '12-TET');
+
+    // Just intonation: the fifth above C4 is exactly 3/2
+    const just = utils.tuningFromRatios('Just', utils.JUST_INTONATION_RATIOS);
+    const cJust = utils.buildScaleNotes(0, utils.SCALE_INTERVALS.major, 7, 4, { tuning: just });
+    assert.ok(near(cJust[4].frequency / cJust[0].frequency, 1.5));
+    assert.ok(near(cJust[2].frequency / cJust[0].frequency, 1.25));
+    assert.strictEqual(cJust[4].name, 'G', '12-step tunings keep note names');
+    // 12-TET as a tuning object matches the default path
+    const tet12 = utils.buildScaleNotes(0, utils.SCALE_INTERVALS.major, 7, 4, { tuning: utils.equalTemperament(12) });
+    assert.ok(near(tet12[6].frequency, utils.buildScaleNotes(0, utils.SCALE_INTERVALS.major)[6].frequency));
+    // Non-12 tunings label zones with nearest note and cents
+    const tet19zones = utils.buildScaleNotes(9, [0, 1], 2, 4, { tuning: tet19 });
+    assert.deepStrictEqual(tet19zones.map(n => n.name), ['A4', 'A#4-37']);
+    assert.ok(near(tet19zones[1].midi, 69 + 12 / 19));
+
+    // Scala .scl
+    const scl = [
+      '! meantone.scl',
+      '!',
+      'Quarter-comma meantone (partial)',
+      ' 4',
+      '!',
+      ' 193.157',
+      ' 5/4',
+      ' 3/2 fifth',
+      ' 2'
+    ].join('\n');
+    const meantone = utils.parseScala(scl);
+    assert.strictEqual(meantone.name, 'Quarter-comma meantone (partial)');
+    assert.strictEqual(meantone.cents.length, 4);
+    assert.strictEqual(meantone.cents[0], 0);
+    assert.ok(near(meantone.cents[1], 193.157));
+    assert.ok(near(meantone.cents[2], 1200 * Math.log2(1.25)));
+    assert.ok(near(meantone.period, 1200));
+    assert.throws(() => utils.parseScala('Only a title'), /missing/);
+    assert.throws(() => utils.parseScala('Bad\n3\n100.0\n'), /declares 3/);
+    assert.throws(() => utils.parseScala('Bad\n2\n3/0\n2/1'), /Invalid ratio/);
+    // Non-octave period (Bohlen-Pierce style tritave)
+    assert.ok(near(utils.parseScala('Tritave\n2\n13/9\n3/1').period, 1200 * Math.log2(3)));
+
+    // Scala .kbm: 12-key pattern with only white keys mapped to a 7-note scale
+    const kbm = utils.parseKeyboardMap([
+      '! white keys',
+      '12', '0', '127', '60', '69', '440.0', '7',
+      '0', 'x', '1', 'x', '2', '3', 'x', '4', 'x', '5', 'x', '6'
+    ].join('\n'));
+    assert.strictEqual(kbm.size, 12);
+    assert.strictEqual(kbm.mapping[1], null);
+    assert.strictEqual(utils.mapKeyToDegree(kbm, 60), 0);
+    assert.strictEqual(utils.mapKeyToDegree(kbm, 61), null);
+    assert.strictEqual(utils.mapKeyToDegree(kbm, 72), 7);
+    assert.strictEqual(utils.mapKeyToDegree(kbm, 59), -1);
+
+    const justMajor = utils.tuningFromRatios('Just major', [1, 9 / 8, 5 / 4, 4 / 3, 3 / 2, 5 / 3, 15 / 8]);
+    assert.ok(near(utils.keyboardMapFrequency(justMajor, kbm, 69), 440), 'reference key sounds at reference frequency');
+    assert.ok(near(utils.keyboardMapFrequency(justMajor, kbm, 60), 440 * 3 / 5), 'C is a just major sixth below A');
+    assert.strictEqual(utils.keyboardMapFrequency(justMajor, kbm, 61), null);
+
+    const zones = utils.buildKeyboardMapNotes(justMajor, kbm, 8);
+    assert.strictEqual(zones.length, 8);
+    assert.ok(near(zones[7].frequency, 440 * 6 / 5), 'zones skip unmapped keys and reach the next C');
+
+    // Linear mapping (size 0)
+    const linear = utils.parseKeyboardMap('0\n0\n127\n60\n60\n261.0\n0\n');
+    assert.strictEqual(utils.mapKeyToDegree(linear, 64), 4);
+    assert.ok(near(utils.keyboardMapFrequency(utils.equalTemperament(19), linear, 79), 522));
+
+    assert.throws(() => utils.parseKeyboardMap('12\n0\n127'), /7 header values/);
+    assert.throws(() => utils.parseKeyboardMap('2\n0\n127\n60\n61\n440\n2\n0\nx'), /reference note/);
+    console.log('tuning tests passed');
+  } catch (e) { console.error('tuning tests failed:', e.message); failures++; }
+
+  // Percussion pad tests
+  try {
+    // Slow drift down never fires
+    let state = utils.detectStrike(null, 0.2, 0);
+    state = utils.detectStrike(state, 0.21, 100);
+    assert.strictEqual(state.struck, false);
+    assert.ok(Math.abs(state.velocity - 0.1) < 1e-9, 'velocity is in canvas heights per second');
+
+    // A fast downward swing fires exactly once, even across several frames
+    state = utils.detectStrike(state, 0.31, 133);
+    assert.strictEqual(state.struck, true);
+    assert.ok(state.strength > 0 && state.strength <= 1);
+    state = utils.detectStrike(state, 0.41, 166);
+    assert.strictEqual(state.struck, false, 'still moving down: no second hit');
+    assert.strictEqual(state.armed, false);
+
+    // Stopping (or lifting) re-arms, and the next swing hits again
+    state = utils.detectStrike(state, 0.41, 200);
+    assert.strictEqual(state.armed, true);
+    state = utils.detectStrike(state, 0.6, 233);
+    assert.strictEqual(state.struck, true);
+
+    // Upward swings never fire; faster hits are stronger
+    assert.strictEqual(utils.detectStrike({ y: 0.8, time: 0, armed: true }, 0.5, 33).struck, false);
+    const soft = utils.detectStrike({ y: 0.2, time: 0, armed: true }, 0.27, 33);
+    const hard = utils.detectStrike({ y: 0.2, time: 0, armed: true }, 0.4, 33);
+    assert.ok(hard.strength > soft.strength);
+    assert.strictEqual(utils.detectStrike({ y: 0.2, time: 0, armed: true }, 0.27, 33, { strikeSpeed: 5 }).struck, false);
+
+    // 4x2 pad grid
+    assert.strictEqual(utils.padIndexAt(10, 10, 800, 400, 4, 2), 0);
+    assert.strictEqual(utils.padIndexAt(790, 10, 800, 400, 4, 2), 3);
+    assert.strictEqual(utils.padIndexAt(250, 300, 800, 400, 4, 2), 5);
+    assert.strictEqual(utils.padIndexAt(800, 400, 800, 400, 4, 2), 7, 'edges clamp to the last pad');
+    console.log('percussion pad tests passed');
+  } catch (e) { console.error('percussion pad tests failed:', e.message); failures++; }
+
+  // Arpeggiator tests
+  try {
+    const triad = [200, 250, 300];
+    assert.deepStrictEqual(utils.buildArpeggio(triad, 'up', 1), [200, 250, 300]);
+    assert.deepStrictEqual(utils.buildArpeggio(triad, 'down', 1), [300, 250, 200]);
+    assert.deepStrictEqual(utils.buildArpeggio(triad, 'upDown', 1), [200, 250, 300, 250]);
+    assert.deepStrictEqual(utils.buildArpeggio([300, 200, 250], 'asPlayed', 2), [300, 200, 250, 600, 400, 500]);
+    assert.deepStrictEqual(utils.buildArpeggio(triad, 'up', 2), [200, 250, 300, 400, 500, 600]);
+    assert.deepStrictEqual(utils.buildArpeggio([200], 'upDown', 1), [200]);
+    // Octave span follows the tuning period (tritave)
+    assert.ok(Math.abs(utils.buildArpeggio([100], 'up', 2, 1200 * Math.log2(3))[1] - 300) < 1e-9);
+
+    const up = utils.buildArpeggio(triad, 'up', 1);
+    assert.strictEqual(utils.arpeggioNoteAt(up, 'up', 0), 200);
+    assert.strictEqual(utils.arpeggioNoteAt(up, 'up', 4), 250, 'steps wrap around the cycle');
+    assert.strictEqual(utils.arpeggioNoteAt(up, 'random', 0, () => 0.99), 300);
+    assert.strictEqual(utils.arpeggioNoteAt([], 'up', 0), null);
+    console.log('arpeggiator tests passed');
+  } catch (e) { console.error('arpeggiator tests failed:', e.message); failures++; }
+
+  // Loop station tests
+  try {
+    assert.strictEqual(utils.loopEventLength(100, 400, 1920), 300);
+    assert.strictEqual(utils.loopEventLength(1800, 60, 1920), 180, 'held across the loop point');
+    assert.strictEqual(utils.loopEventLength(0, 5000, 1920), 1920, 'never longer than the loop');
+
+    const tracks = [
+      { muted: false, soloed: false },
+      { muted: true, soloed: false },
+      { muted: false, soloed: false }
+    ];
+    assert.deepStrictEqual(utils.audibleTracks(tracks), [true, false, true]);
+    tracks[2].soloed = true;
+    assert.deepStrictEqual(utils.audibleTracks(tracks), [false, false, true], 'solo silences the rest');
+    tracks[1].soloed = true;
+    assert.deepStrictEqual(utils.audibleTracks(tracks), [false, true, true], 'solo overrides mute');
+    console.log('loop station tests passed');
+  } catch (e) { console.error('loop station tests failed:', e.message); failures++; }
+
+  // Tempo clock and quantize tests
+  try {
+    assert.deepStrictEqual(utils.parseTimeSignature('4/4'), { beats: 4, unit: 4 });
+    assert.deepStrictEqual(utils.parseTimeSignature(' 6 / 8 '), { beats: 6, unit: 8 });
+    assert.throws(() => utils.parseTimeSignature('4'), /Invalid time signature/);
+    assert.throws(() => utils.parseTimeSignature('4/5'), /Unsupported/);
+
+    // 192 ticks per quarter note
+    assert.strictEqual(utils.beatInBar(0, 192, 4, 4), 0);
+    assert.strictEqual(utils.beatInBar(192 * 3, 192, 4, 4), 3);
+    assert.strictEqual(utils.beatInBar(192 * 4, 192, 4, 4), 0, 'next bar starts on the downbeat');
+    assert.strictEqual(utils.beatInBar(96 * 5, 192, 6, 8), 5, 'eighth-note beats in 6/8');
+    assert.strictEqual(utils.beatInBar(191.9999, 192, 4, 4), 1, 'float drift lands on the beat');
+
+    assert.strictEqual(utils.gridSeconds('4n', 120), 0.5);
+    assert.strictEqual(utils.gridSeconds('16n', 120), 0.125);
+    assert.ok(Math.abs(utils.gridSeconds('8t', 120) - 1 / 6) < 1e-12);
+    assert.strictEqual(utils.gridSeconds('off', 120), 0);
+
+    assert.strictEqual(utils.quantizeTime(1100, 250), 1000);
+    assert.strictEqual(utils.quantizeTime(1130, 250), 1250);
+    assert.strictEqual(utils.quantizeTime(1130, 125), 1125);
+    assert.strictEqual(utils.quantizeTime(1130, 0), 1130, 'no grid leaves the time alone');
+
+    // Recording started 0.3 s after a beat: a note 0.45 s in (Transport 0.75 s) snaps to the 1 s beat
+    assert.ok(Math.abs(0.45 + utils.quantizeOffset(0.75, 0.5) - 0.7) < 1e-9);
+    assert.ok(Math.abs(utils.quantizeOffset(1.1, 0.5) + 0.1) < 1e-9);
+    assert.strictEqual(utils.quantizeOffset(1.1, 0), 0);
+    console.log('tempo clock tests passed');
+  } catch (e) { console.error('tempo clock tests failed:', e.message); failures++; }
+
+  // Audio capture tests
+  try {
+    const left = new Float32Array([0, 0.5, -1, 2]);
+    const right = new Float32Array([0, -0.5, 1, -2]);
+    const wav = utils.encodeWav([left, right], 44100);
+    const view = new DataView(wav);
+    const text = (offset, length) => String.fromCharCode(...new Uint8Array(wav, offset, length));
+
+    assert.strictEqual(wav.byteLength, 44 + 4 * 2 * 2);
+    assert.strictEqual(text(0, 4), 'RIFF');
+    assert.strictEqual(text(8, 4), 'WAVE');
+    assert.strictEqual(text(36, 4), 'data');
+    assert.strictEqual(view.getUint32(4, true), wav.byteLength - 8);
+    assert.strictEqual(view.getUint16(22, true), 2, 'channel count');
+    assert.strictEqual(view.getUint32(24, true), 44100);
+    assert.strictEqual(view.getUint32(28, true), 44100 * 4, 'byte rate');
+    // Samples are interleaved L, R and clipped to 16-bit range
+    assert.strictEqual(view.getInt16(44 + 4, true), 16383);
+    assert.strictEqual(view.getInt16(44 + 6, true), -16384);
+    assert.strictEqual(view.getInt16(44 + 8, true), -32768);
+    assert.strictEqual(view.getInt16(44 + 12, true), 32767);
+    assert.strictEqual(view.getInt16(44 + 14, true), -32768);
+
+    const date = new Date(2024, 4, 1, 14, 3, 9);
+    assert.strictEqual(utils.captureFilename(date, 'wav'), 'hand-instrument-2024-05-01_14-03-09.wav');
+    assert.strictEqual(utils.captureFilename(date, 'webm', 'take'), 'take-2024-05-01_14-03-09.webm');
+
+    // Offline render schedule: notes sorted, shifted to start at 0, held until the next note
+    const schedule = utils.buildRenderSchedule([
+      { timestamp: 2500, name: 'E' },
+      { timestamp: 1000, name: 'C' },
+      { timestamp: 1500, name: 'D' },
+      { timestamp: 2500, name: 'F' }
+    ], 0.5);
+    assert.deepStrictEqual(schedule.events.map(e => e.time), [0, 0.5, 1.5, 1.5]);
+    assert.deepStrictEqual(schedule.events.map(e => e.note.name), ['C', 'D', 'E', 'F']);
+    assert.deepStrictEqual(schedule.events.map(e => e.duration), [0.5, 1, 0.05, 0.5]);
+    assert.strictEqual(schedule.duration, 2);
+    assert.deepStrictEqual(utils.buildRenderSchedule([], 0.5), { events: [], duration: 0 });
+    console.log('audio capture tests passed');
+  } catch (e) { console.error('audio capture tests failed:', e.message); failures++; }
+
+  // Output meter tests
+  try {
+    const levels = utils.measureLevels([0.5, -1, 0.5, -0.5]);
+    assert.strictEqual(levels.peak, 1);
+    assert.ok(Math.abs(levels.rms - Math.sqrt(1.75 / 4)) < 1e-12);
+    assert.deepStrictEqual(utils.measureLevels([]), { peak: 0, rms: 0 });
+
+    assert.strictEqual(utils.gainToDb(1), 0);
+    assert.ok(Math.abs(utils.gainToDb(0.5) + 6.0206) < 1e-3);
+    assert.strictEqual(utils.gainToDb(0), -Infinity);
+
+    assert.strictEqual(utils.meterPercent(0), 100);
+    assert.strictEqual(utils.meterPercent(-30), 50);
+    assert.strictEqual(utils.meterPercent(-90), 0);
+    assert.strictEqual(utils.meterPercent(6), 100, 'over full scale pins the meter');
+    assert.strictEqual(utils.meterPercent(-Infinity), 0);
+    assert.strictEqual(utils.meterPercent(-24, -48), 50);
+    console.log('output meter tests passed');
+  } catch (e) { console.error('output meter tests failed:', e.message); failures++; }
+
+  // Modulation matrix tests
+  try {
+    // Palm 0.2 long, knuckles level, all fingertips 1.6 palms from the wrist
+    const hand = (tips, extra) => {
+      const points = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+      points[0] = { x: 0.5, y: 0.8, z: 0 };
+      points[5] = { x: 0.45, y: 0.6, z: 0 };
+      points[9] = { x: 0.5, y: 0.6, z: 0 };
+      points[17] = { x: 0.6, y: 0.6, z: 0 };
+      [4, 8, 12, 16, 20].forEach((i) => { points[i] = { x: tips.x, y: tips.y, z: 0 }; });
+      Object.keys(extra || {}).forEach((i) => { points[i] = extra[i]; });
+      return points;
+    };
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+
+    const open = utils.extractHandFeatures(hand({ x: 0.5, y: 0.48 }), null, 1000);
+    assert.ok(close(open.x, 0.5) && close(open.y, 0.52));
+    assert.ok(close(open.openness, 1));
+    assert.strictEqual(open.pinch, 0, 'thumb on the index tip is a full pinch');
+    assert.ok(close(open.roll, 0.5), 'level knuckles read as the middle');
+    assert.strictEqual(open.speed, 0, 'no previous reading, no speed');
+
+    const fist = utils.extractHandFeatures(hand({ x: 0.5, y: 0.6 }), null, 1000);
+    assert.ok(close(fist.openness, 0));
+
+    const spread = utils.extractHandFeatures(hand({ x: 0.5, y: 0.48 }, { 4: { x: 0.72, y: 0.48, z: 0 } }), null, 0);
+    assert.ok(close(spread.pinch, 1));
+
+    assert.ok(close(utils.extractHandFeatures(hand({ x: 0.2, y: 0.48 }), null, 0).x, 0.8), 'x is mirrored like the screen');
+    const tilted = utils.extractHandFeatures(hand({ x: 0.5, y: 0.48 }, { 17: { x: 0.55, y: 0.7, z: 0 } }), null, 0);
+    assert.ok(close(tilted.roll, 0.75));
+    const otherHand = utils.extractHandFeatures(hand({ x: 0.5, y: 0.48 }, { 17: { x: 0.35, y: 0.7, z: 0 } }), null, 0);
+    assert.ok(close(otherHand.roll, 0.75), 'roll reads the same for either hand');
+
+    const atDepth = z => hand({ x: 0.5, y: 0.48 }).map(p => ({ x: p.x, y: p.y, z: z }));
+    assert.ok(close(utils.extractHandFeatures(atDepth(-0.1), null, 0).z, 1), 'near reads 1, like octave +2');
+    assert.ok(close(utils.extractHandFeatures(atDepth(0.05), null, 0).z, 0), 'far reads 0');
+    const depth = { farZ: -0.05, nearZ: -0.2 };
+    assert.ok(close(utils.extractHandFeatures(atDepth(-0.125), null, 0, depth).z, 0.5), 'calibrated depth range');
+    assert.ok(close(utils.extractHandFeatures(atDepth(-0.3), null, 0, depth).z, 1));
+
+    const slow = utils.extractHandFeatures(hand({ x: 0.5, y: 0.51 }), open, 1100);
+    assert.ok(Math.abs(slow.speed - 0.1) < 1e-6, '0.03 frames in 0.1 s is a tenth of full speed');
+    const fast = utils.extractHandFeatures(hand({ x: 0.5, y: 0.9 }), open, 1100);
+    assert.strictEqual(fast.speed, 1);
+    assert.strictEqual(utils.extractHandFeatures([], null, 0), null);
+
+    assert.strictEqual(utils.applyModCurve(0.5, 'linear'), 0.5);
+    assert.strictEqual(utils.applyModCurve(0.5, 'exponential'), 0.25);
+    assert.ok(close(utils.applyModCurve(0.25, 'logarithmic'), 0.5));
+    assert.strictEqual(utils.applyModCurve(0.5, 'sCurve'), 0.5);
+    assert.strictEqual(utils.applyModCurve(1.5, 'exponential'), 1);
+
+    const route = utils.normalizeModRoute({ feature: 'pinch', target: 'pan', min: -5, curve: 'bogus' });
+    assert.deepStrictEqual(route, { feature: 'pinch', target: 'pan', min: -1, max: 1, curve: 'linear', invert: false });
+    assert.deepStrictEqual(utils.normalizeModRoute(), { feature: 'x', target: 'volume', min: 0.5, max: 1.5, curve: 'linear', invert: false });
+
+    assert.strictEqual(utils.modulationValue(route, 0.75), 0.5);
+    assert.strictEqual(utils.modulationValue({ ...route, invert: true }, 0.75), -0.5);
+    assert.strictEqual(utils.modulationValue({ ...route, curve: 'exponential' }, 0.5), -0.5);
+    const cutoff = utils.normalizeModRoute({ feature: 'y', target: 'filterCutoff', min: 100, max: 10000 });
+    assert.ok(close(utils.modulationValue(cutoff, 0.5), 1000), 'log targets sweep in equal ratios');
+    console.log('modulation matrix tests passed');
+  } catch (e) { console.error('modulation matrix tests failed:', e.message); failures++; }
+
+  // Onset velocity tests
+  try {
+    assert.strictEqual(utils.speedToVelocity(0), 0.2, 'slow entries play at the floor');
+    assert.strictEqual(utils.speedToVelocity(3), 1);
+    assert.strictEqual(utils.speedToVelocity(10), 1);
+    assert.ok(Math.abs(utils.speedToVelocity(1.65) - 0.6) < 1e-9, 'halfway between min and max speed');
+    assert.strictEqual(utils.speedToVelocity(1, { minSpeed: 0, maxSpeed: 2, floor: 0 }), 0.5);
+
+    assert.strictEqual(utils.velocityCutoff(0), 800);
+    assert.ok(Math.abs(utils.velocityCutoff(1) - 16000) < 1e-6);
+    assert.ok(Math.abs(utils.velocityCutoff(0.5, 100, 10000) - 1000) < 1e-9);
+    assert.strictEqual(utils.velocityCutoff(-1, 100, 10000), 100);
+
+    const still = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+    const moved = still.map((p, i) => (i === 8 ? { x: 0.5, y: 0.8, z: 0 } : p));
+    const first = utils.extractHandFeatures(still, null, 0);
+    assert.ok(Math.abs(utils.extractHandFeatures(moved, first, 100).tipSpeed - 3) < 1e-9, 'raw speed in frames per second');
+    console.log('onset velocity tests passed');
+  } catch (e) { console.error('onset velocity tests failed:', e.message); failures++; }
+
+  // Latch / sustain / grace tests
+  try {
+    assert.strictEqual(utils.isClosedFist(makeHand([false, false, false, false, false])), true);
+    assert.strictEqual(utils.isClosedFist(makeHand([true, false, false, false, false])), true, 'thumb is ignored');
+    assert.strictEqual(utils.isClosedFist(makeHand([false, true, false, false, false])), false);
+    assert.strictEqual(utils.isClosedFist([]), false);
+
+    const hold = { latched: false, sustain: false, lostForMs: 100, graceMs: 0 };
+    assert.strictEqual(utils.holdsNote(hold), false, 'no grace: release at once');
+    assert.strictEqual(utils.holdsNote({ ...hold, graceMs: 300 }), true);
+    assert.strictEqual(utils.holdsNote({ ...hold, lostForMs: 300, graceMs: 300 }), false);
+    assert.strictEqual(utils.holdsNote({ ...hold, latched: true }), true);
+    assert.strictEqual(utils.holdsNote({ ...hold, sustain: true, lostForMs: 60000 }), true);
+    console.log('hold tests passed');
+  } catch (e) { console.error('hold tests failed:', e.message); failures++; }
+
+  // Two-hand tests
+  try {
+    assert.strictEqual(utils.performerSide('Left'), 'right', 'labels assume a mirrored image');
+    assert.strictEqual(utils.performerSide('Right'), 'left');
+
+    const left = { label: 'Right', x: 0.8 };
+    const right = { label: 'Left', x: 0.2 };
+    assert.deepStrictEqual(utils.assignHandRoles([left, right], 'right'), { melody: 1, other: 0 });
+    assert.deepStrictEqual(utils.assignHandRoles([left, right], 'left'), { melody: 0, other: 1 });
+    assert.deepStrictEqual(utils.assignHandRoles([left], 'right'), { melody: -1, other: 0 }, 'a lone other hand keeps its role');
+    assert.deepStrictEqual(utils.assignHandRoles([], 'right'), { melody: -1, other: -1 });
+    // Same label twice: camera X decides (right hand is on the left of the raw image)
+    assert.deepStrictEqual(utils.assignHandRoles([{ label: 'Left', x: 0.7 }, { label: 'Left', x: 0.3 }], 'right'), { melody: 1, other: 0 });
+
+    const low = utils.handModifiers({ y: 0, pinch: 0, openness: 0 });
+    assert.deepStrictEqual(low, { octaveShift: -2, volume: 0.5, filterCutoff: 200 });
+    const high = utils.handModifiers({ y: 1, pinch: 1, openness: 1 });
+    assert.strictEqual(high.octaveShift, 2);
+    assert.strictEqual(high.volume, 1.5);
+    assert.ok(Math.abs(high.filterCutoff - 8000) < 1e-6);
+    assert.strictEqual(utils.handModifiers({ y: 0.5, pinch: 0.5, openness: 0.5 }).octaveShift, 0);
+    console.log('two-hand tests passed');
+  } catch (e) { console.error('two-hand tests failed:', e.message); failures++; }
+
+  // Landmark smoothing tests
+  try {
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    // tau = 1 / 2π: at 1 Hz and dt = 1/2π s the factor is one half
+    assert.ok(close(utils.smoothingAlpha(1, 1 / (2 * Math.PI)), 0.5));
+    assert.ok(utils.smoothingAlpha(10, 1 / 30) > utils.smoothingAlpha(1, 1 / 30), 'higher cutoff follows faster');
+
+    let ema = utils.emaStep(null, 0, 0, 1);
+    assert.deepStrictEqual(ema, { value: 0, time: 0 }, 'first sample passes through');
+    ema = utils.emaStep(ema, 1, 1000 / (2 * Math.PI), 1);
+    assert.ok(close(ema.value, 0.5));
+    assert.strictEqual(utils.emaStep(ema, 5, ema.time, 1), ema, 'no time passed: unchanged');
+
+    // Same input at two frame rates ends up in the same place
+    let fast = null;
+    let slow = null;
+    for (let t = 0; t <= 300; t += 10) fast = utils.emaStep(fast, t === 0 ? 0 : 1, t, 2);
+    for (let t = 0; t <= 300; t += 30) slow = utils.emaStep(slow, t === 0 ? 0 : 1, t, 2);
+    assert.ok(Math.abs(fast.value - slow.value) < 0.1, 'frame-rate independent');
+
+    // One Euro: a still signal stays put; jitter is damped
+    let still = null;
+    for (let t = 0; t <= 1000; t += 33) still = utils.oneEuroStep(still, 0.5, t);
+    assert.ok(close(still.value, 0.5));
+    let jitter = null;
+    let maxDev = 0;
+    for (let i = 0; i < 60; i++) {
+      jitter = utils.oneEuroStep(jitter, 0.5 + (i % 2 ? 0.01 : -0.01), i * 33);
+      if (i > 10) maxDev = Math.max(maxDev, Math.abs(jitter.value - 0.5));
+    }
+    assert.ok(maxDev < 0.005, 'jitter reduced by more than half');
+
+    // Beta cuts lag on a fast sweep
+    const sweep = (beta) => {
+      let state = null;
+      for (let t = 0; t <= 500; t += 33) state = utils.oneEuroStep(state, t / 250, t, { minCutoff: 1, beta });
+      return 500 / 250 - state.value;
+    };
+    assert.ok(sweep(5) < sweep(0) / 2, 'speed raises the cutoff');
+
+    // Whole hands
+    const hand = makeHand([true, true, true, true, true]);
+    assert.strictEqual(utils.smoothLandmarks(hand, null, 0, { method: 'off' }).landmarks, hand);
+    let step = utils.smoothLandmarks(hand, null, 0, { method: 'oneEuro' });
+    assert.deepStrictEqual(step.landmarks, hand, 'first frame passes through');
+    const moved = hand.map(p => ({ x: p.x + 0.1, y: p.y, z: p.z }));
+    const next = utils.smoothLandmarks(moved, step.state, 33, { method: 'oneEuro', minCutoff: 1 });
+    assert.strictEqual(next.landmarks.length, 21);
+    assert.ok(next.landmarks[8].x > hand[8].x && next.landmarks[8].x < moved[8].x, 'lags behind the move');
+    assert.ok(close(next.landmarks[8].y, hand[8].y));
+    assert.strictEqual(moved[8].x, hand[8].x + 0.1, 'input untouched');
+    console.log('landmark smoothing tests passed');
+  } catch (e) { console.error('landmark smoothing tests failed:', e.message); failures++; }
+
+  // Calibration tests
+  try {
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    assert.ok(close(utils.averageDepth([{ z: -0.1 }, { z: 0.1 }, { z: 0.03 }]), 0.01));
+    assert.strictEqual(utils.averageDepth([]), 0);
+
+    const area = { minX: 0.2, maxX: 0.6, minY: 0.1, maxY: 0.9 };
+    const mid = utils.mapToArea(0.4, 0.5, area);
+    assert.ok(close(mid.x, 0.5) && close(mid.y, 0.5));
+    assert.deepStrictEqual(utils.mapToArea(0.1, 1, area), { x: 0, y: 1 }, 'clamped to the edges');
+
+    // Sweep over 0.2..0.6 × 0.1..0.9, with one stray frame
+    const sweep = [];
+    for (let i = 0; i <= 40; i++) sweep.push({ x: 0.2 + i * 0.01, y: 0.1 + i * 0.02 });
+    sweep.push({ x: 0.99, y: 0.01 });
+    const steady = Array.from({ length: 20 }, (_, i) => ({ x: 0.5 + (i % 2 ? 0.0005 : -0.0005), y: 0.5 }));
+    const cal = utils.deriveCalibration({ area: sweep, near: [-0.2, -0.21, -0.19], far: [-0.05, -0.04, -0.06], still: steady }, 480);
+    assert.ok(cal.area.minX >= 0.2 && cal.area.minX < 0.23 && cal.area.maxX > 0.57 && cal.area.maxX <= 0.6, 'stray frame ignored');
+    assert.ok(close(cal.nearZ, -0.2));
+    assert.ok(close(cal.farZ, -0.05));
+    assert.strictEqual(cal.hysteresisPx, 8, 'steady hand: smallest dead band');
+    assert.strictEqual(cal.minNoteIntervalMs, 45);
+    assert.strictEqual(utils.zToOctaveShift(-0.2, cal.farZ, cal.nearZ), 2, 'measured near plays +2');
+
+    const shaky = Array.from({ length: 20 }, (_, i) => ({ x: 0.5 + (i % 2 ? 0.02 : -0.02), y: 0.5 }));
+    const shakyCal = utils.deriveCalibration({ area: sweep, near: [0], far: [-0.1], still: shaky }, 480);
+    assert.ok(shakyCal.hysteresisPx > cal.hysteresisPx && shakyCal.minNoteIntervalMs > cal.minNoteIntervalMs);
+
+    // The same jitter is magnified when a small reach area is stretched to the canvas
+    const wideSweep = [];
+    const narrowSweep = [];
+    for (let i = 0; i <= 40; i++) {
+      wideSweep.push({ x: i / 40, y: i / 40 });
+      narrowSweep.push({ x: 0.35 + i * 0.0075, y: 0.35 + i * 0.0075 });
+    }
+    const jitter = Array.from({ length: 20 }, (_, i) => ({ x: 0.5, y: 0.5 + (i % 2 ? 0.005 : -0.005) }));
+    const wideCal = utils.deriveCalibration({ area: wideSweep, near: [0], far: [-0.1], still: jitter }, 480);
+    const narrowCal = utils.deriveCalibration({ area: narrowSweep, near: [0], far: [-0.1], still: jitter }, 480);
+    assert.ok(narrowCal.hysteresisPx > 2 * wideCal.hysteresisPx, 'narrow area: wider dead band');
+    assert.ok(narrowCal.minNoteIntervalMs > wideCal.minNoteIntervalMs, 'narrow area: slower note changes');
+
+    // A tiny reach still spans at least 0.2
+    const dot = utils.deriveCalibration({ area: [{ x: 0.5, y: 0.5 }], near: [0], far: [-0.1], still: steady }, 480);
+    assert.ok(close(dot.area.maxX - dot.area.minX, 0.2));
+
+    assert.throws(() => utils.deriveCalibration({ area: sweep, near: [-0.05], far: [-0.052], still: steady }, 480), /too close/);
+    assert.throws(() => utils.deriveCalibration({ area: sweep, near: [], far: [-0.1], still: steady }, 480), /near/);
+
+    assert.deepStrictEqual(utils.normalizeCalibration(null), utils.CALIBRATION_DEFAULTS);
+    const fixed = utils.normalizeCalibration({ area: { minX: 0.8, maxX: 0.2 }, nearZ: 'x', hysteresisPx: 30 });
+    assert.deepStrictEqual(fixed.area, utils.CALIBRATION_DEFAULTS.area, 'inverted area falls back');
+    assert.strictEqual(fixed.nearZ, -0.1);
+    assert.strictEqual(fixed.hysteresisPx, 30);
+    console.log('calibration tests passed');
+  } catch (e) { console.error('calibration tests failed:', e.message); failures++; }
+
+  // Finger piano tests
+  try {
+    const close = (a, b) => Math.abs(a - b) < 1e-6;
+    assert.ok(close(utils.jointAngle({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }), 180));
+    assert.ok(close(utils.jointAngle({ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }), 90));
+    assert.ok(close(utils.jointAngle({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 }, { x: 1, y: 0, z: 1 }), 90), 'bend toward the camera counts');
+    assert.strictEqual(utils.jointAngle({ x: 1, y: 1 }, { x: 1, y: 1 }, { x: 2, y: 2 }), 180, 'degenerate joint reads straight');
+
+    assert.deepStrictEqual(utils.fingerCurls(makeHand([true, true, true, true, true])).map(Math.round), [0, 0, 0, 0, 0]);
+    assert.deepStrictEqual(utils.fingerCurls(makeHand([false, false, false, false, false])), [1, 1, 1, 1, 1]);
+    assert.deepStrictEqual(utils.fingerCurls(makeHand([true, false, true, true, false])).map(Math.round), [0, 1, 0, 0, 1]);
+
+    // Hysteresis: 0.4 doesn't press, but holds a pressed key
+    assert.deepStrictEqual(utils.fingerKeyPresses([0.4, 0.6, 0.3, 0, 1]), [false, true, false, false, true]);
+    assert.deepStrictEqual(utils.fingerKeyPresses([0.4, 0.6, 0.3, 0, 1], [true, true, true, false, false]), [true, true, false, false, true]);
+    assert.deepStrictEqual(utils.fingerKeyPresses([0.4], null, { pressCurl: 0.3 }), [true]);
+
+    assert.strictEqual(utils.fingerKeyIndex('left', 0, 1), 0, 'one hand: thumb lowest');
+    assert.strictEqual(utils.fingerKeyIndex('right', 4, 1), 4);
+    assert.strictEqual(utils.fingerKeyIndex('left', 4, 2), 0, 'left pinky lowest');
+    assert.strictEqual(utils.fingerKeyIndex('left', 0, 2), 4);
+    assert.strictEqual(utils.fingerKeyIndex('right', 0, 2), 5);
+    assert.strictEqual(utils.fingerKeyIndex('right', 4, 2), 9, 'right pinky highest');
+
+    assert.deepStrictEqual(utils.fingerKeyNote(3, 7), { step: 3, octave: 0 });
+    assert.deepStrictEqual(utils.fingerKeyNote(9, 7), { step: 2, octave: 1 }, 'wraps into the next octave');
+    assert.deepStrictEqual(utils.fingerKeyNote(9, 5), { step: 4, octave: 1 });
+    console.log('finger piano tests passed');
+  } catch (e) { console.error('finger piano tests failed:', e.message); failures++; }
+
+  // Pinch-to-play tests
+  try {
+    const close = (a, b) => Math.abs(a - b) < 1e-9;
+    let gate = utils.pinchGate(null, 0.5);
+    assert.strictEqual(gate.pinched, false);
+    assert.strictEqual(gate.onset, false);
+    gate = utils.pinchGate(gate, 0.8);
+    gate = utils.pinchGate(gate, 0.05);
+    assert.strictEqual(gate.onset, true);
+    assert.strictEqual(gate.pinched, true);
+    assert.ok(close(gate.velocity, 1), 'opened fully before the pinch');
+
+    // Hysteresis: 0.15 neither releases nor re-triggers
+    gate = utils.pinchGate(gate, 0.15);
+    assert.strictEqual(gate.pinched, true);
+    assert.strictEqual(gate.onset || gate.release, false);
+    gate = utils.pinchGate(gate, 0.25);
+    assert.strictEqual(gate.release, true);
+    assert.strictEqual(gate.pinched, false);
+
+    // Small stroke: quieter
+    gate = utils.pinchGate(gate, 0.4);
+    gate = utils.pinchGate(gate, 0.1);
+    assert.strictEqual(gate.onset, true);
+    assert.ok(close(gate.velocity, 0.2 + 0.8 * 0.5));
+    assert.strictEqual(utils.pinchGate(gate, 0.1).onset, false, 'onset fires once');
+
+    // First frame already pinched, and option overrides
+    assert.ok(close(utils.pinchGate(null, 0).velocity, 0.2), 'no stroke: floor velocity');
+    assert.strictEqual(utils.pinchGate(null, 0.25, { closeAt: 0.3 }).onset, true);
+
+    // A quantized zone change lands on the grid with the same gate check as the live frame
+    let queued = utils.pinchGate(null, 0.6);
+    assert.strictEqual(utils.pinchGateOpen('pinch', queued), false, 'open hand: the queued change is silent');
+    queued = utils.pinchGate(queued, 0.05);
+    assert.strictEqual(utils.pinchGateOpen('pinch', queued), true);
+    queued = utils.pinchGate(queued, 0.3);
+    assert.strictEqual(utils.pinchGateOpen('pinch', queued), false, 'released before the grid line');
+    assert.strictEqual(utils.pinchGateOpen('pinch', null), false);
+    assert.strictEqual(utils.pinchGateOpen('continuous', null), true);
+    console.log('pinch-to-play tests passed');
+  } catch (e) { console.error('pinch-to-play tests failed:', e.message); failures++; }
+
+  // Zone layout tests
+  try {
+    // Bands: highest note on top, same zones as the original Y bands
+    const bands = utils.buildZoneLayout('bands', 4);
+    assert.strictEqual(bands.length, 4);
+    assert.deepStrictEqual(bands.map(z => z.step), [3, 2, 1, 0]);
+    assert.strictEqual(utils.zoneAt(bands, 0.3, 0.1), 0);
+    assert.strictEqual(utils.zoneAt(bands, 0.9, 0.6), 2);
+    assert.strictEqual(utils.zoneAt(bands, 0.5, 1), 3, 'bottom edge belongs to the last band');
+    assert.strictEqual(utils.zoneAt(bands, 0.5, -0.2), 0, 'off-canvas points clamp');
+    assert.strictEqual(utils.buildZoneLayout('unknown', 4).length, 4);
+
+    // Keys: left to right, lowest first; Y doesn't matter
+    const keys = utils.buildZoneLayout('keys', 5);
+    assert.strictEqual(utils.zoneAt(keys, 0.05, 0.1), 0);
+    assert.strictEqual(utils.zoneAt(keys, 0.05, 0.9), 0);
+    assert.strictEqual(keys[utils.zoneAt(keys, 0.99, 0.5)].step, 4);
+
+    // Grid: a step right is one scale step, a row up a fourth (3 steps of 7)
+    const grid = utils.buildZoneLayout('grid', 7);
+    assert.strictEqual(grid.length, 16);
+    const stepAt = (x, y) => grid[utils.zoneAt(grid, x, y)].step;
+    assert.strictEqual(stepAt(0.1, 0.9), 0);
+    assert.strictEqual(stepAt(0.4, 0.9), 1);
+    assert.strictEqual(stepAt(0.1, 0.6), 3);
+    assert.strictEqual(stepAt(0.9, 0.1), 12);
+    assert.strictEqual(stepAt(0.9, 0.9) - stepAt(0.6, 0.9), stepAt(0.9, 0.6) - stepAt(0.6, 0.6), 'same shape, same interval');
+
+    // Radial: clockwise from 12 o'clock, the hub is no zone
+    const radial = utils.buildZoneLayout('radial', 4, 2);
+    assert.strictEqual(utils.zoneAt(radial, 0.5, 0.5), -1);
+    assert.strictEqual(utils.zoneAt(radial, 0.55, 0.15), 0);
+    assert.strictEqual(utils.zoneAt(radial, 0.6, 0.55), 1);
+    assert.strictEqual(utils.zoneAt(radial, 0.45, 0.8), 2);
+    assert.strictEqual(utils.zoneAt(radial, 0.4, 0.45), 3);
+    assert.strictEqual(utils.zoneAt(radial, 0.05, 0.5), -1, 'outside the ring');
+    assert.strictEqual(utils.zoneAt(radial, 0.7, 0.5), 1, 'wide canvas: the ring is stretched back to a circle');
+
+    assert.deepStrictEqual(utils.buildZoneLayout('keys', 0), []);
+
+    // Axes that pick the note (X/Y modulation routes on them are skipped)
+    assert.deepStrictEqual(utils.zoneLayoutAxes('bands'), ['y']);
+    assert.deepStrictEqual(utils.zoneLayoutAxes('keys'), ['x']);
+    assert.deepStrictEqual(utils.zoneLayoutAxes('grid'), ['x', 'y']);
+    assert.deepStrictEqual(utils.zoneLayoutAxes('radial'), ['x', 'y']);
+    console.log('zone layout tests passed');
+  } catch (e) { console.error('zone layout tests failed:', e.message); failures++; }
+
+  // Pointer input tests
+  try {
+    const rect = { left: 100, top: 50, width: 640, height: 360 };
+    assert.deepStrictEqual(utils.clientToCanvas(420, 230, rect, 1280, 720), { displayX: 640, y: 360 });
+    assert.deepStrictEqual(utils.clientToCanvas(100, 50, rect, 1280, 720), { displayX: 0, y: 0 });
+    assert.deepStrictEqual(utils.clientToCanvas(2000, -10, rect, 1280, 720), { displayX: 1280, y: 0 }, 'clamped to the canvas');
+    assert.deepStrictEqual(utils.clientToCanvas(5, 5, { left: 0, top: 0, width: 0, height: 0 }, 1280, 720), { displayX: 0, y: 0 });
+    console.log('pointer input tests passed');
+  } catch (e) { console.error('pointer input tests failed:', e.message); failures++; }
+
+  // Hand-pose recognizer tests
+  try {
+    const gestures = require('./src/gestures');
+    const pose = (extended) => gestures.classifyPose(makeHand(extended)).pose;
+    assert.strictEqual(pose([false, false, false, false, false]), 'fist');
+    assert.strictEqual(pose([true, true, true, true, true]), 'openPalm');
+    assert.strictEqual(pose([false, true, false, false, false]), 'point');
+    assert.strictEqual(pose([false, true, true, false, false]), 'peace');
+    assert.strictEqual(pose([true, false, false, false, false]), 'thumbsUp');
+    assert.strictEqual(pose([false, true, false, false, true]), 'rockHorns');
+    assert.strictEqual(pose([true, true, false, false, true]), 'rockHorns', 'thumb is free in horns');
+
+    const pinch = makeHand([true, true, true, true, true]);
+    pinch[4] = { ...pinch[8] };
+    assert.strictEqual(gestures.classifyPose(pinch).pose, 'pinch');
+    assert.strictEqual(gestures.classifyPose(makeHand([true, true, true, true, true])).confidence, 1);
+
+    // Ambiguous (ring alone) stays below the threshold
+    assert.strictEqual(pose([false, false, false, true, false]), 'none');
+    assert.deepStrictEqual(gestures.classifyPose([]), { pose: 'none', confidence: 0 });
+    assert.deepStrictEqual(gestures.fingerExtension(makeHand([true, false, true, false, true])), [1, 0, 1, 0, 1]);
+
+    // Debounce: fires once after holdMs, not again while held, cooldown between poses
+    const opts = { holdMs: 300, cooldownMs: 800, minConfidence: 0.6 };
+    const peace = { pose: 'peace', confidence: 0.9 };
+    let t = gestures.createPoseTracker();
+    let step = gestures.trackPose(t, peace, 0, opts);
+    assert.strictEqual(step.fired, null);
+    step = gestures.trackPose(step.tracker, peace, 200, opts);
+    assert.strictEqual(step.fired, null, 'not held long enough');
+    step = gestures.trackPose(step.tracker, peace, 300, opts);
+    assert.strictEqual(step.fired, 'peace');
+    step = gestures.trackPose(step.tracker, peace, 2000, opts);
+    assert.strictEqual(step.fired, null, 'holding does not repeat');
+    step = gestures.trackPose(step.tracker, { pose: 'peace', confidence: 0.4 }, 2100, opts);
+    step = gestures.trackPose(step.tracker, { pose: 'peace', confidence: 0.4 }, 2400, opts);
+    assert.strictEqual(step.tracker.active, 'none', 'low confidence counts as no pose');
+    step = gestures.trackPose(step.tracker, peace, 2500, opts);
+    step = gestures.trackPose(step.tracker, peace, 2800, opts);
+    assert.strictEqual(step.fired, 'peace', 'fires again after a release');
+
+    // A flicker resets the hold timer; cooldown delays a quick second pose
+    t = gestures.createPoseTracker();
+    step = gestures.trackPose(t, peace, 0, opts);
+    step = gestures.trackPose(step.tracker, { pose: 'point', confidence: 0.9 }, 100, opts);
+    step = gestures.trackPose(step.tracker, peace, 150, opts);
+    step = gestures.trackPose(step.tracker, peace, 400, opts);
+    assert.strictEqual(step.fired, null, 'hold restarts after a flicker');
+    step = gestures.trackPose(step.tracker, peace, 450, opts);
+    assert.strictEqual(step.fired, 'peace');
+    step = gestures.trackPose(step.tracker, { pose: 'fist', confidence: 1 }, 500, opts);
+    step = gestures.trackPose(step.tracker, { pose: 'fist', confidence: 1 }, 800, opts);
+    assert.strictEqual(step.fired, null, 'cooldown');
+    assert.strictEqual(step.tracker.active, 'fist');
+    step = gestures.trackPose(step.tracker, { pose: 'fist', confidence: 1 }, 1000, opts);
+    assert.strictEqual(step.fired, null, 'still cooling down');
+    step = gestures.trackPose(step.tracker, { pose: 'fist', confidence: 1 }, 1250, opts);
+    assert.strictEqual(step.fired, 'fist', 'fires when the cooldown ends if still held');
+    step = gestures.trackPose(step.tracker, { pose: 'fist', confidence: 1 }, 3000, opts);
+    assert.strictEqual(step.fired, null, 'and only once');
+
+    // A pose let go during the cooldown doesn't fire later
+    step = gestures.trackPose(step.tracker, { pose: 'none', confidence: 0 }, 3100, opts);
+    step = gestures.trackPose(step.tracker, { pose: 'none', confidence: 0 }, 3400, opts);
+    step = gestures.trackPose(step.tracker, peace, 3500, opts);
+    step = gestures.trackPose(step.tracker, peace, 3800, opts);
+    assert.strictEqual(step.fired, 'peace');
+    step = gestures.trackPose(step.tracker, { pose: 'point', confidence: 0.9 }, 3850, opts);
+    step = gestures.trackPose(step.tracker, { pose: 'point', confidence: 0.9 }, 4150, opts);
+    assert.strictEqual(step.fired, null);
+    step = gestures.trackPose(step.tracker, { pose: 'none', confidence: 0 }, 4200, opts);
+    step = gestures.trackPose(step.tracker, { pose: 'none', confidence: 0 }, 4700, opts);
+    assert.strictEqual(step.fired, null, 'point was released before the cooldown ended');
+    assert.strictEqual(t.candidate, 'none', 'tracker input is not modified');
+    console.log('gesture recognizer tests passed');
+  } catch (e) { console.error('gesture recognizer tests failed:', e.message); failures++; }
+
   // index.html integration checks
   try {
     const indexPath = path.join(__dirname, 'index.html');
@@ -95,6 +1022,7 @@ function run() {
     assert.ok(html.includes('vendor/camera_utils.js'), 'index.html must include local vendor/camera_utils.js');
     assert.ok(html.includes('vendor/tone.js'), 'index.html must include local vendor/tone.js');
     assert.ok(html.includes('src/utils.js'), 'index.html must include src/utils.js');
+    assert.ok(html.includes('src/gestures.js'), 'index.html must include src/gestures.js');
     assert.ok(html.includes('src/app.js'), 'index.html must include src/app.js');
     console.log('index.html integration checks passed');
   } catch (e) { console.error('index.html checks failed:', e.message); failures++; }